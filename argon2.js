@@ -0,0 +1,360 @@
+/* argon2.js
+   Argon2id (RFC 9106, version 0x13) and the BLAKE2b hash it is built on, in plain
+   JavaScript so it runs on the page and inside the crypto workers without a build step.
+   Argon2id is memory-hard: every guess at a password costs `memory` KiB of RAM for the
+   whole derivation, which makes GPU and ASIC attacks far more expensive than on PBKDF2.
+   Lanes are computed one after another (parallelism only changes the output, not the
+   speed), so keep it at 1 here. 64-bit words are handled as pairs of 32-bit halves
+   (little-endian: low half first).
+   Exposes: Argon2 (on window, or self inside a worker)
+*/
+
+(() => {
+  const scope = typeof window === 'undefined' ? self : window;
+
+  const VERSION = 0x13;
+  const TYPE_ID = 2; // Argon2id
+  const BLOCK_WORDS = 256; // 1 KiB block as uint32 words
+  const SYNC_POINTS = 4; // slices per pass
+  const ADDRESSES_IN_BLOCK = 128;
+  const TWO_32 = 4294967296;
+
+  /* --- BLAKE2b (RFC 7693), unkeyed, whole input at once --- */
+
+  const BLAKE2B_IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+  ]);
+  const SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+  ];
+
+  /* v[a] += v[b] (64-bit, word pairs at a and b) */
+  function add64(v, a, b) {
+    const lo = v[a] + v[b];
+    v[a + 1] = v[a + 1] + v[b + 1] + (lo >= TWO_32 ? 1 : 0);
+    v[a] = lo;
+  }
+
+  /* v[a] += (lo, hi) */
+  function add64c(v, a, lo, hi) {
+    const sum = v[a] + lo;
+    v[a + 1] = v[a + 1] + hi + (sum >= TWO_32 ? 1 : 0);
+    v[a] = sum;
+  }
+
+  /* v[d] = rotr64(v[d] ^ v[a], n) for n = 16, 24, 32, 63 */
+  function xorRotr(v, d, a, n) {
+    const lo = v[d] ^ v[a];
+    const hi = v[d + 1] ^ v[a + 1];
+    if (n === 32) {
+      v[d] = hi;
+      v[d + 1] = lo;
+    } else if (n === 63) {
+      v[d] = (lo << 1) | (hi >>> 31);
+      v[d + 1] = (hi << 1) | (lo >>> 31);
+    } else {
+      v[d] = (lo >>> n) | (hi << (32 - n));
+      v[d + 1] = (hi >>> n) | (lo << (32 - n));
+    }
+  }
+
+  function blake2bMix(v, m, a, b, c, d, x, y) {
+    add64(v, a, b);
+    add64c(v, a, m[x], m[x + 1]);
+    xorRotr(v, d, a, 32);
+    add64(v, c, d);
+    xorRotr(v, b, c, 24);
+    add64(v, a, b);
+    add64c(v, a, m[y], m[y + 1]);
+    xorRotr(v, d, a, 16);
+    add64(v, c, d);
+    xorRotr(v, b, c, 63);
+  }
+
+  function blake2bCompress(h, m, counter, last) {
+    const v = new Uint32Array(32);
+    v.set(h);
+    v.set(BLAKE2B_IV, 16);
+    v[24] ^= counter >>> 0;
+    v[25] ^= Math.floor(counter / TWO_32);
+    if (last) {
+      v[28] = ~v[28];
+      v[29] = ~v[29];
+    }
+    for (let round = 0; round < 12; round++) {
+      const s = SIGMA[round % 10];
+      blake2bMix(v, m, 0, 8, 16, 24, s[0] * 2, s[1] * 2);
+      blake2bMix(v, m, 2, 10, 18, 26, s[2] * 2, s[3] * 2);
+      blake2bMix(v, m, 4, 12, 20, 28, s[4] * 2, s[5] * 2);
+      blake2bMix(v, m, 6, 14, 22, 30, s[6] * 2, s[7] * 2);
+      blake2bMix(v, m, 0, 10, 20, 30, s[8] * 2, s[9] * 2);
+      blake2bMix(v, m, 2, 12, 22, 24, s[10] * 2, s[11] * 2);
+      blake2bMix(v, m, 4, 14, 16, 26, s[12] * 2, s[13] * 2);
+      blake2bMix(v, m, 6, 8, 18, 28, s[14] * 2, s[15] * 2);
+    }
+    for (let i = 0; i < 16; i++) h[i] ^= v[i] ^ v[i + 16];
+  }
+
+  /* BLAKE2b digest of `input` (Uint8Array), 1 to 64 bytes long */
+  function blake2b(input, outLength) {
+    const h = BLAKE2B_IV.slice();
+    h[0] ^= 0x01010000 ^ outLength; // no key, fanout = depth = 1
+    const block = new Uint8Array(128);
+    const words = new Uint32Array(32);
+    const view = new DataView(block.buffer);
+    let offset = 0;
+    do {
+      const length = Math.min(128, input.length - offset);
+      block.fill(0);
+      block.set(input.subarray(offset, offset + length));
+      for (let i = 0; i < 32; i++) words[i] = view.getUint32(i * 4, true);
+      offset += length;
+      blake2bCompress(h, words, offset, offset >= input.length);
+    } while (offset < input.length);
+    const out = new Uint8Array(outLength);
+    const outView = new DataView(new ArrayBuffer(64));
+    for (let i = 0; i < 16; i++) outView.setUint32(i * 4, h[i], true);
+    out.set(new Uint8Array(outView.buffer, 0, outLength));
+    return out;
+  }
+
+  /* --- Argon2 --- */
+
+  function le32(n) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, n, true);
+    return out;
+  }
+
+  function concat(...arrays) {
+    const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    for (const a of arrays) {
+      out.set(a, offset);
+      offset += a.length;
+    }
+    return out;
+  }
+
+  /* H' of RFC 9106: BLAKE2b stretched to any output length */
+  function hashLong(input, outLength) {
+    const prefixed = concat(le32(outLength), input);
+    if (outLength <= 64) return blake2b(prefixed, outLength);
+    const out = new Uint8Array(outLength);
+    let v = blake2b(prefixed, 64);
+    out.set(v.subarray(0, 32));
+    let offset = 32;
+    while (outLength - offset > 64) {
+      v = blake2b(v, 64);
+      out.set(v.subarray(0, 32), offset);
+      offset += 32;
+    }
+    out.set(blake2b(v, outLength - offset), offset);
+    return out;
+  }
+
+  /* High 32 bits of the 64-bit product of two uint32 values */
+  function mulHi(a, b) {
+    const aLo = a & 0xffff;
+    const aHi = a >>> 16;
+    const bLo = b & 0xffff;
+    const bHi = b >>> 16;
+    const lh = aLo * bHi;
+    const hl = aHi * bLo;
+    const carry = (((aLo * bLo) >>> 16) + (lh & 0xffff) + (hl & 0xffff)) >>> 16;
+    return aHi * bHi + (lh >>> 16) + (hl >>> 16) + carry;
+  }
+
+  /* v[a] += v[b] + 2 * lo32(v[a]) * lo32(v[b]) (the BlaMka multiplication) */
+  function addMul(v, a, b) {
+    const x = v[a];
+    const y = v[b];
+    const productLo = Math.imul(x, y) >>> 0;
+    const productHi = mulHi(x, y);
+    add64(v, a, b);
+    add64c(v, a, (productLo << 1) >>> 0, ((productHi << 1) | (productLo >>> 31)) >>> 0);
+  }
+
+  function mixBlaMka(v, a, b, c, d) {
+    addMul(v, a, b);
+    xorRotr(v, d, a, 32);
+    addMul(v, c, d);
+    xorRotr(v, b, c, 24);
+    addMul(v, a, b);
+    xorRotr(v, d, a, 16);
+    addMul(v, c, d);
+    xorRotr(v, b, c, 63);
+  }
+
+  /* The permutation P on 16 64-bit words; idx lists their uint32 offsets in v */
+  function permute(v, idx) {
+    mixBlaMka(v, idx[0], idx[4], idx[8], idx[12]);
+    mixBlaMka(v, idx[1], idx[5], idx[9], idx[13]);
+    mixBlaMka(v, idx[2], idx[6], idx[10], idx[14]);
+    mixBlaMka(v, idx[3], idx[7], idx[11], idx[15]);
+    mixBlaMka(v, idx[0], idx[5], idx[10], idx[15]);
+    mixBlaMka(v, idx[1], idx[6], idx[11], idx[12]);
+    mixBlaMka(v, idx[2], idx[7], idx[8], idx[13]);
+    mixBlaMka(v, idx[3], idx[4], idx[9], idx[14]);
+  }
+
+  // word offsets of the 8 rows and 8 columns of a block seen as 8x8 16-byte registers
+  const ROWS = [];
+  const COLUMNS = [];
+  for (let i = 0; i < 8; i++) {
+    const row = [];
+    const column = [];
+    for (let j = 0; j < 16; j++) {
+      row.push((i * 16 + j) * 2);
+      column.push((Math.floor(j / 2) * 16 + i * 2 + (j % 2)) * 2);
+    }
+    ROWS.push(row);
+    COLUMNS.push(column);
+  }
+
+  const R = new Uint32Array(BLOCK_WORDS);
+  const Z = new Uint32Array(BLOCK_WORDS);
+
+  /* Compression G: out = P(x ^ y) ^ x ^ y, or with xor also ^ the old out (later passes) */
+  function compress(memory, out, x, y, xor) {
+    for (let i = 0; i < BLOCK_WORDS; i++) R[i] = memory[x + i] ^ memory[y + i];
+    Z.set(R);
+    for (const row of ROWS) permute(Z, row);
+    for (const column of COLUMNS) permute(Z, column);
+    if (xor) {
+      for (let i = 0; i < BLOCK_WORDS; i++) memory[out + i] ^= Z[i] ^ R[i];
+    } else {
+      for (let i = 0; i < BLOCK_WORDS; i++) memory[out + i] = Z[i] ^ R[i];
+    }
+  }
+
+  function toBytes(value) {
+    if (value instanceof Uint8Array) return value;
+    if (typeof value === 'string') return new TextEncoder().encode(value);
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return new Uint8Array(0);
+  }
+
+  /* Argon2id tag.
+     options: { password, salt, memory (KiB), iterations, parallelism = 1, hashLength = 32,
+                secret?, associatedData? } (password, salt, ...: string, ArrayBuffer or view)
+     Returns a Uint8Array of hashLength bytes. */
+  function argon2id({ password, salt, memory, iterations, parallelism = 1, hashLength = 32,
+                      secret, associatedData }) {
+    const pwd = toBytes(password);
+    const saltBytes = toBytes(salt);
+    const key = toBytes(secret);
+    const ad = toBytes(associatedData);
+    if (saltBytes.length < 8) throw new Error('Argon2 salt must be at least 8 bytes');
+    if (!(iterations >= 1) || !(parallelism >= 1) || !(hashLength >= 4)) throw new Error('Invalid Argon2 parameters');
+    if (!(memory >= 8 * parallelism)) throw new Error('Argon2 memory must be at least 8 KiB per lane');
+
+    const h0 = blake2b(concat(
+      le32(parallelism), le32(hashLength), le32(memory), le32(iterations), le32(VERSION), le32(TYPE_ID),
+      le32(pwd.length), pwd, le32(saltBytes.length), saltBytes, le32(key.length), key, le32(ad.length), ad
+    ), 64);
+
+    const segmentLength = Math.floor(memory / (SYNC_POINTS * parallelism));
+    const laneLength = segmentLength * SYNC_POINTS;
+    const blocks = laneLength * parallelism;
+    const mem = new Uint32Array((blocks + 3) * BLOCK_WORDS); // + zero, address input and address blocks
+    const ZERO = blocks * BLOCK_WORDS;
+    const INPUT = ZERO + BLOCK_WORDS;
+    const ADDRESS = INPUT + BLOCK_WORDS;
+    const offsetOf = (lane, index) => (lane * laneLength + index) * BLOCK_WORDS;
+
+    // first two blocks of every lane
+    for (let lane = 0; lane < parallelism; lane++) {
+      for (let index = 0; index < 2; index++) {
+        const bytes = hashLong(concat(h0, le32(index), le32(lane)), 1024);
+        const view = new DataView(bytes.buffer);
+        const at = offsetOf(lane, index);
+        for (let i = 0; i < BLOCK_WORDS; i++) mem[at + i] = view.getUint32(i * 4, true);
+      }
+    }
+
+    const nextAddresses = () => {
+      mem[INPUT + 12]++; // counter (word 6)
+      compress(mem, ADDRESS, ZERO, INPUT, false);
+      compress(mem, ADDRESS, ZERO, ADDRESS, false);
+    };
+
+    for (let pass = 0; pass < iterations; pass++) {
+      for (let slice = 0; slice < SYNC_POINTS; slice++) {
+        for (let lane = 0; lane < parallelism; lane++) {
+          const independent = pass === 0 && slice < 2;
+          if (independent) {
+            mem.fill(0, INPUT, INPUT + BLOCK_WORDS);
+            mem[INPUT] = pass;
+            mem[INPUT + 2] = lane;
+            mem[INPUT + 4] = slice;
+            mem[INPUT + 6] = blocks;
+            mem[INPUT + 8] = iterations;
+            mem[INPUT + 10] = TYPE_ID;
+          }
+          const start = pass === 0 && slice === 0 ? 2 : 0;
+          if (independent && start) nextAddresses();
+
+          for (let index = start; index < segmentLength; index++) {
+            const column = slice * segmentLength + index;
+            const current = offsetOf(lane, column);
+            const previous = offsetOf(lane, column === 0 ? laneLength - 1 : column - 1);
+
+            let j1;
+            let j2;
+            if (independent) {
+              if (index % ADDRESSES_IN_BLOCK === 0) nextAddresses();
+              j1 = mem[ADDRESS + (index % ADDRESSES_IN_BLOCK) * 2];
+              j2 = mem[ADDRESS + (index % ADDRESSES_IN_BLOCK) * 2 + 1];
+            } else {
+              j1 = mem[previous];
+              j2 = mem[previous + 1];
+            }
+
+            const refLane = pass === 0 && slice === 0 ? lane : j2 % parallelism;
+            const sameLane = refLane === lane;
+            let area;
+            if (pass === 0) {
+              area = slice * segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+            } else {
+              area = laneLength - segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+            }
+            const x = mulHi(j1, j1);
+            const relative = area - 1 - mulHi(area, x);
+            const startPosition = pass === 0 || slice === SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+            const refIndex = (startPosition + relative) % laneLength;
+
+            compress(mem, current, previous, offsetOf(refLane, refIndex), pass > 0);
+          }
+        }
+      }
+    }
+
+    // xor of the last block of every lane, stretched to the tag
+    const last = new Uint32Array(BLOCK_WORDS);
+    for (let lane = 0; lane < parallelism; lane++) {
+      const at = offsetOf(lane, laneLength - 1);
+      for (let i = 0; i < BLOCK_WORDS; i++) last[i] ^= mem[at + i];
+    }
+    const lastBytes = new Uint8Array(1024);
+    const view = new DataView(lastBytes.buffer);
+    for (let i = 0; i < BLOCK_WORDS; i++) view.setUint32(i * 4, last[i], true);
+    return hashLong(lastBytes, hashLength);
+  }
+
+  scope.Argon2 = {
+    argon2id, // ({ password, salt, memory, iterations, parallelism?, hashLength?, secret?, associatedData? }) => Uint8Array
+    blake2b,  // (Uint8Array, outLength) => Uint8Array
+  };
+})();
@@ -1,22 +1,54 @@
 /* crypto-helper.js
    Web Crypto based helper for:
-     - password -> AES-GCM key derivation (PBKDF2)
+     - password -> AES-GCM key derivation (PBKDF2, or Argon2id from argon2.js), with
+       per-vault parameters proposed by a device benchmark and an optional keyfile
+     - envelope encryption: the password unwraps a random vault master key,
+       which in turn wraps a random key per file
      - encrypt / decrypt ArrayBuffers using AES-GCM
+     - chunked streaming encryption of large files (see encryptStream)
+     - sealed (encrypted) metadata headers for files and folders, bound to their record
+     - record verification for the vault audit
      - SHA-256 hashing for integrity checks
-   Exposes: CryptoHelper.encryptBuffer, CryptoHelper.decryptBuffer, CryptoHelper.hashBuffer
-   All data returned/accepted by encrypt/decrypt are base64 strings for easy storage.
+   The expensive operations run on a pool of Web Workers where the browser allows it
+   (see runOp); this same file is loaded by the workers (crypto-worker.js).
+   Exposes: CryptoHelper.encryptBuffer, CryptoHelper.decryptBuffer, CryptoHelper.hashBuffer,
+            CryptoHelper.encryptStream, CryptoHelper.decryptStream,
+            CryptoHelper.wrapMasterKey, CryptoHelper.unwrapMasterKey, ...
+   encryptBuffer/decryptBuffer (legacy single-shot format) use base64 strings;
+   chunked records keep their ciphertext as raw binary chunks.
 */
 
 (() => {
-  const subtle = window.crypto.subtle;
+  // the page and the crypto workers (crypto-worker.js) both load this file
+  const IN_WORKER = typeof window === 'undefined';
+  const scope = IN_WORKER ? self : window;
+  const subtle = scope.crypto.subtle;
 
   // Configuration
-  const PBKDF2_ITERATIONS = 200000; // fine for modern machines; adjust if slow
+  const PBKDF2_ITERATIONS = 200000; // default; each vault sets its own policy (see proposeKdfParams)
+  const PBKDF2_MIN_ITERATIONS = 100000;
+  const PBKDF2_MAX_ITERATIONS = 10000000;
   const PBKDF2_HASH = 'SHA-256';
   const AES_ALGO = 'AES-GCM';
   const AES_KEY_LENGTH = 256; // bits
   const IV_LENGTH = 12; // bytes for AES-GCM
   const SALT_LENGTH = 16; // bytes
+  const CHUNK_SIZE = 1024 * 1024; // plaintext bytes per chunk (1 MiB)
+  const CONTENT_ID_LENGTH = 16; // bytes
+  const RECORD_ID_LENGTH = 16; // bytes
+  const FORMAT_CHUNKED = 'chunked-v1';
+  const WORKER_URL = 'crypto-worker.js';
+  const KDF_PBKDF2 = 'PBKDF2';
+  const KDF_ARGON2ID = 'Argon2id';
+  const ARGON2_VERSION = 0x13;
+  const ARGON2_MIN_MEMORY = 19456; // KiB (19 MiB with 2 passes, the OWASP minimum)
+  const ARGON2_MAX_MEMORY = 1048576; // KiB; larger values (e.g. in an imported key) are refused
+  const ARGON2_PROPOSED_MEMORY = 65536; // KiB the benchmark starts from
+  const ARGON2_MIN_ITERATIONS = 2;
+  const ARGON2_MAX_ITERATIONS = 10;
+  const DEFAULT_KDF = { name: KDF_PBKDF2, iterations: PBKDF2_ITERATIONS };
+  const KEYFILE_LENGTH = 64; // bytes of a generated keyfile
+  const MAX_KEYFILE_SIZE = 16 * 1024 * 1024; // any file can be a keyfile; it is hashed in memory
 
   /* Utility: encode string to ArrayBuffer (UTF-8) */
   function str2ab(str) {
@@ -53,8 +85,62 @@
     return arr;
   }
 
-  /* Derive an AES-GCM CryptoKey from a password and salt */
-  async function deriveKeyFromPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+  /* --- Worker pool ---
+     PBKDF2 and Argon2id, chunk encryption / decryption with their hashing, whole-buffer hashes and the
+     legacy single-shot format (with its base64 loops) are the operations in OPS. runOp
+     sends them to the CryptoPool, moving the listed buffers instead of copying them, and
+     runs them on this thread inside a worker or where workers cannot start (e.g. a page
+     opened from file://). Key wrapping and small headers are cheap and stay here. */
+  let pool; // undefined until first use, null when workers are not available
+
+  function getPool() {
+    if (pool === undefined) {
+      pool = !IN_WORKER && scope.CryptoPool && typeof Worker !== 'undefined' ? CryptoPool.create(WORKER_URL) : null;
+    }
+    return pool;
+  }
+
+  function runLocal(op, args) {
+    if (!Object.prototype.hasOwnProperty.call(OPS, op)) throw new Error(`Unknown crypto operation ${op}`);
+    return OPS[op](...args);
+  }
+
+  /* Run an operation from OPS. options: { transfer: [ArrayBuffer], signal: AbortSignal } */
+  async function runOp(op, args, { transfer = [], signal } = {}) {
+    if (signal) signal.throwIfAborted();
+    const workers = getPool();
+    if (workers) {
+      try {
+        return await workers.run(op, args, { transfer, signal });
+      } catch (err) {
+        if (!workers.broken) throw err;
+        pool = null; // the job was never sent, so its buffers are still here
+      }
+    }
+    return runLocal(op, args);
+  }
+
+  /* Public form of an operation (runs through the pool) */
+  function pooled(op) {
+    return (...args) => runOp(op, args);
+  }
+
+  /* How many operations can run at once (callers size their parallel work by it) */
+  function workerCount() {
+    const workers = getPool();
+    return workers ? workers.size : 1;
+  }
+
+  /* Stop the workers (e.g. on lock); running operations fail, new ones start new workers */
+  function stopWorkers() {
+    if (pool) pool.terminate();
+  }
+
+  /* Derive an AES-GCM CryptoKey from a password and salt.
+     `usages`/`extractable` let the same derivation produce a key-encryption key
+     or an extractable legacy file key (for migration to wrapped keys). */
+  async function deriveKeyFromPassword(password, salt, iterations = PBKDF2_ITERATIONS,
+                                       usages = ['encrypt', 'decrypt'], extractable = false) {
     if (typeof password !== 'string') throw new Error('Password must be a string');
     const passKey = await subtle.importKey(
       'raw',
@@ -73,13 +159,306 @@
       },
       passKey,
       { name: AES_ALGO, length: AES_KEY_LENGTH },
-      false,
-      ['encrypt', 'decrypt']
+      extractable,
+      usages
     );
 
     return key; // CryptoKey
   }
 
+  /* Same for Argon2id. params: { memory (KiB), iterations, parallelism }. Runs the plain
+     JavaScript implementation, so it needs argon2.js loaded next to this file. */
+  async function deriveKeyFromArgon2(password, salt, params, usages = ['encrypt', 'decrypt'], extractable = false) {
+    if (typeof password !== 'string') throw new Error('Password must be a string');
+    if (!scope.Argon2) throw new Error('Argon2id is not available (argon2.js is not loaded)');
+    const bits = scope.Argon2.argon2id({
+      password: str2ab(password),
+      salt,
+      memory: params.memory,
+      iterations: params.iterations,
+      parallelism: params.parallelism,
+      hashLength: AES_KEY_LENGTH / 8
+    });
+    try {
+      return await subtle.importKey('raw', bits, { name: AES_ALGO }, extractable, usages);
+    } finally {
+      bits.fill(0);
+    }
+  }
+
+  /* --- Key derivation policy ---
+     A policy names the algorithm and its cost: { name: 'PBKDF2', iterations } or
+     { name: 'Argon2id', memory (KiB), iterations, parallelism }. Stored vault keys record
+     the parameters they were wrapped with (plus the salt), so a vault whose policy was
+     raised can tell after unlocking that its key should be re-wrapped. */
+
+  /* Normalise a policy; a plain number is a PBKDF2 iteration count (older callers) */
+  function kdfPolicy(params = DEFAULT_KDF) {
+    if (typeof params === 'number') params = { name: KDF_PBKDF2, iterations: params };
+    if (params.name === KDF_ARGON2ID) {
+      const policy = {
+        name: KDF_ARGON2ID,
+        memory: Math.floor(params.memory),
+        iterations: Math.floor(params.iterations),
+        parallelism: Math.floor(params.parallelism || 1)
+      };
+      if (!(policy.memory >= 8 * policy.parallelism && policy.memory <= ARGON2_MAX_MEMORY) ||
+          !(policy.iterations >= 1 && policy.iterations <= ARGON2_MAX_ITERATIONS) ||
+          !(policy.parallelism >= 1 && policy.parallelism <= 16)) {
+        throw new Error('Unsupported Argon2id parameters.');
+      }
+      return policy;
+    }
+    if (params.name === KDF_PBKDF2) {
+      const iterations = Math.floor(params.iterations);
+      if (!(iterations >= 1 && iterations <= PBKDF2_MAX_ITERATIONS)) throw new Error('Unsupported PBKDF2 parameters.');
+      return { name: KDF_PBKDF2, iterations };
+    }
+    throw new Error(`Unsupported key derivation ${params.name}.`);
+  }
+
+  /* Derive a key-encryption key from a stored kdf description ({ name, salt, keyfile?, ...costs }).
+     With kdf.keyfile the keyfile digest (see hashKeyfile) is appended to the password after
+     a NUL; the digest has a fixed length, so the pair is unambiguous. */
+  async function deriveKek(password, kdf, usages, keyfile = null) {
+    const policy = kdfPolicy(kdf);
+    const salt = new Uint8Array(base642ab(kdf.salt));
+    if (kdf.keyfile && !keyfile) throw new Error('This vault also needs its keyfile.');
+    const secret = kdf.keyfile ? `${password}\u0000${keyfile}` : password;
+    if (policy.name === KDF_ARGON2ID) {
+      const { memory, iterations, parallelism } = policy;
+      return runOp('deriveKeyFromArgon2', [secret, salt, { memory, iterations, parallelism }, usages]);
+    }
+    return runOp('deriveKeyFromPassword', [secret, salt, policy.iterations, usages]);
+  }
+
+  /* --- Keyfiles ---
+     A keyfile is a second unlock factor: any file (or random bytes from generateKeyfile)
+     whose SHA-256 digest is mixed into the key derivation, so the password alone no longer
+     opens the vault. Only the digest is used and nothing about it is stored; the vault key
+     just records that one is needed (kdf.keyfile). */
+
+  /* Random contents for a new keyfile */
+  function generateKeyfile() {
+    return randomBytes(KEYFILE_LENGTH).buffer;
+  }
+
+  /* Digest of a keyfile's contents (ArrayBuffer or Blob), as base64 */
+  async function hashKeyfile(contents) {
+    if (contents instanceof Blob) {
+      if (contents.size > MAX_KEYFILE_SIZE) throw new Error('Keyfiles can be at most 16 MiB.');
+      contents = await contents.arrayBuffer();
+    }
+    if (!contents.byteLength) throw new Error('The keyfile is empty.');
+    if (contents.byteLength > MAX_KEYFILE_SIZE) throw new Error('Keyfiles can be at most 16 MiB.');
+    return ab2base64(await subtle.digest('SHA-256', contents));
+  }
+
+  /* Stored kdf description for a policy and a fresh salt */
+  function kdfRecord(policy, salt) {
+    const base64Salt = ab2base64(salt.buffer);
+    if (policy.name === KDF_ARGON2ID) {
+      return { name: KDF_ARGON2ID, version: ARGON2_VERSION, salt: base64Salt, memory: policy.memory,
+        iterations: policy.iterations, parallelism: policy.parallelism };
+    }
+    return { name: KDF_PBKDF2, hash: PBKDF2_HASH, salt: base64Salt, iterations: policy.iterations };
+  }
+
+  /* Whether stored kdf parameters are at least as costly as the policy. A different
+     algorithm never meets it, so switching the policy also switches the vault key. */
+  function kdfMeetsPolicy(kdf, policy) {
+    if (!kdf) return false;
+    const wanted = kdfPolicy(policy);
+    if (kdf.name !== wanted.name) return false;
+    if (wanted.name === KDF_ARGON2ID) {
+      return kdf.memory >= wanted.memory && kdf.iterations >= wanted.iterations && kdf.parallelism >= wanted.parallelism;
+    }
+    return kdf.iterations >= wanted.iterations;
+  }
+
+  /* Milliseconds one derivation with these parameters takes (on a worker when available) */
+  async function benchmarkKdf(params) {
+    const policy = kdfPolicy(params);
+    const started = performance.now();
+    await deriveKek('benchmark', kdfRecord(policy, randomBytes(SALT_LENGTH)), ['wrapKey']);
+    return performance.now() - started;
+  }
+
+  /* Measure this device and propose parameters of one algorithm for an unlock time of
+     about targetMs. PBKDF2 scales its iterations linearly. Argon2id keeps as much memory
+     as fits the target (halving from 64 MiB down to 19 MiB) and spends the rest on
+     passes. Never proposes less than the minimums above, even on a slow device.
+     Returns { params, estimatedMs }. */
+  async function proposeKdfParams(name, targetMs) {
+    if (name === KDF_ARGON2ID) {
+      let memory = ARGON2_PROPOSED_MEMORY;
+      let passMs = await benchmarkKdf({ name, memory, iterations: 1, parallelism: 1 });
+      while (passMs * ARGON2_MIN_ITERATIONS > targetMs && memory > ARGON2_MIN_MEMORY) {
+        memory = Math.max(ARGON2_MIN_MEMORY, Math.floor(memory / 2));
+        passMs = await benchmarkKdf({ name, memory, iterations: 1, parallelism: 1 });
+      }
+      const iterations = Math.min(ARGON2_MAX_ITERATIONS, Math.max(ARGON2_MIN_ITERATIONS, Math.floor(targetMs / passMs)));
+      return { params: { name, memory, iterations, parallelism: 1 }, estimatedMs: passMs * iterations };
+    }
+    if (name !== KDF_PBKDF2) throw new Error(`Unsupported key derivation ${name}.`);
+    const sample = PBKDF2_MIN_ITERATIONS;
+    const sampleMs = await benchmarkKdf({ name, iterations: sample });
+    const scaled = Math.round((sample * targetMs) / sampleMs / 10000) * 10000;
+    const iterations = Math.min(PBKDF2_MAX_ITERATIONS, Math.max(PBKDF2_MIN_ITERATIONS, scaled));
+    return { params: { name, iterations }, estimatedMs: (sampleMs * iterations) / sample };
+  }
+
+  /* --- Envelope encryption ---
+     password --PBKDF2 / Argon2id--> key-encryption key (KEK) --wraps--> vault master key
+     master key --wraps--> per-file data key --encrypts--> file contents
+     Only the KEK derivation is slow, and it runs once per unlock. */
+
+  /* Random vault master key. Extractable so it can be re-wrapped on password change. */
+  async function generateMasterKey() {
+    return subtle.generateKey(
+      { name: AES_ALGO, length: AES_KEY_LENGTH },
+      true,
+      ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+    );
+  }
+
+  /* Wrap the master key under a password (and a keyfile digest, see hashKeyfile) with a
+     KDF policy (see kdfPolicy). Returns the storable vault key record:
+     { kdf: { name, salt, keyfile?, ...costs }, iv: <base64>, wrappedKey: <base64> } */
+  async function wrapMasterKey(masterKey, password, params = DEFAULT_KDF, keyfile = null) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new Error('password must be a non-empty string');
+    }
+    const kdf = kdfRecord(kdfPolicy(params), randomBytes(SALT_LENGTH));
+    if (keyfile) kdf.keyfile = true;
+    const iv = randomBytes(IV_LENGTH);
+    const kek = await deriveKek(password, kdf, ['wrapKey'], keyfile);
+    const wrapped = await subtle.wrapKey('raw', masterKey, kek, { name: AES_ALGO, iv: iv });
+    return {
+      kdf,
+      iv: ab2base64(iv.buffer),
+      wrappedKey: ab2base64(wrapped)
+    };
+  }
+
+  /* Unwrap the master key from a vault key record (see wrapMasterKey). keyfile is the
+     digest of its keyfile, if the record needs one (ignored otherwise).
+     AES-GCM authenticates the wrapped key, so a wrong password or keyfile fails here. */
+  async function unwrapMasterKey(vaultKey, password, keyfile = null) {
+    const kek = await deriveKek(password, vaultKey.kdf, ['unwrapKey'], keyfile);
+    try {
+      return await subtle.unwrapKey(
+        'raw',
+        base642ab(vaultKey.wrappedKey),
+        kek,
+        { name: AES_ALGO, iv: new Uint8Array(base642ab(vaultKey.iv)) },
+        { name: AES_ALGO, length: AES_KEY_LENGTH },
+        true,
+        ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+      );
+    } catch (err) {
+      throw new Error(vaultKey.kdf.keyfile ? 'Wrong password or keyfile.' : 'Wrong password.');
+    }
+  }
+
+  /* Password verifier: a known value sealed under the master key and stored next to the
+     vault key record. A vault only opens when the unwrapped key also opens its verifier. */
+  const VERIFIER_CHECK = 'efs-vault-verifier';
+
+  async function createVerifier(masterKey) {
+    return { check: await sealJson({ check: VERIFIER_CHECK, createdAt: new Date().toISOString() }, masterKey) };
+  }
+
+  async function checkVerifier(verifier, masterKey) {
+    try {
+      return (await openJson(verifier.check, masterKey)).check === VERIFIER_CHECK;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /* Random per-file data key (extractable only so the master key can wrap it) */
+  async function generateFileKey() {
+    return subtle.generateKey({ name: AES_ALGO, length: AES_KEY_LENGTH }, true, ['encrypt', 'decrypt']);
+  }
+
+  /* Wrap a file key under the master key -> { wrappedKey: <base64>, keyIv: <base64> } */
+  async function wrapFileKey(fileKey, masterKey) {
+    const iv = randomBytes(IV_LENGTH);
+    const wrapped = await subtle.wrapKey('raw', fileKey, masterKey, { name: AES_ALGO, iv: iv });
+    return { wrappedKey: ab2base64(wrapped), keyIv: ab2base64(iv.buffer) };
+  }
+
+  /* Unwrap the file key of a record (non-extractable unless it is about to be re-wrapped) */
+  async function unwrapFileKey(record, masterKey, extractable = false) {
+    try {
+      return await subtle.unwrapKey(
+        'raw',
+        base642ab(record.wrappedKey),
+        masterKey,
+        { name: AES_ALGO, iv: new Uint8Array(base642ab(record.keyIv)) },
+        { name: AES_ALGO, length: AES_KEY_LENGTH },
+        extractable,
+        ['encrypt', 'decrypt']
+      );
+    } catch (err) {
+      throw new Error('Could not unwrap file key. Record belongs to another vault or is corrupted.');
+    }
+  }
+
+  /* Random hex identifier (opaque record ids, content ids tying chunks to their file) */
+  function randomId(length = CONTENT_ID_LENGTH) {
+    return Array.from(randomBytes(length), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /* Additional authenticated data for a chunk: contentId || index (uint32 BE) || final flag.
+     Binding these means chunks cannot be moved between files, reordered or truncated
+     without decryption failing. */
+  function chunkAad(contentId, index, isFinal) {
+    const idBytes = str2ab(contentId);
+    const aad = new Uint8Array(idBytes.length + 5);
+    aad.set(idBytes, 0);
+    new DataView(aad.buffer).setUint32(idBytes.length, index);
+    aad[idBytes.length + 4] = isFinal ? 1 : 0;
+    return aad;
+  }
+
+  /* Chained SHA-256 over chunks: h_i = SHA-256(h_(i-1) || chunk_i), h_(-1) = 32 zero bytes.
+     Web Crypto has no incremental digest, so this stands in for a whole-file hash. */
+  async function chainHash(previous, chunk) {
+    const input = new Uint8Array(previous.byteLength + chunk.byteLength);
+    input.set(new Uint8Array(previous), 0);
+    input.set(new Uint8Array(chunk), previous.byteLength);
+    return subtle.digest('SHA-256', input);
+  }
+
+  /* One chunk of the chunked format, encrypted / decrypted bound to its position (see
+     chunkAad) while extending the running hash (pass hash = null to skip it). These are
+     the units of work the streams hand to the workers. */
+  async function encryptChunk(key, plain, contentId, index, isFinal, hash) {
+    const iv = randomBytes(IV_LENGTH);
+    const data = await subtle.encrypt(
+      { name: AES_ALGO, iv: iv, additionalData: chunkAad(contentId, index, isFinal) },
+      key,
+      plain
+    );
+    return { iv: iv.buffer, data, hash: hash && await chainHash(hash, plain) };
+  }
+
+  async function decryptChunk(key, iv, data, contentId, index, isFinal, hash) {
+    let plain;
+    try {
+      plain = await subtle.decrypt(
+        { name: AES_ALGO, iv: new Uint8Array(iv), additionalData: chunkAad(contentId, index, isFinal) },
+        key,
+        data
+      );
+    } catch (err) {
+      throw new Error('Decryption failed. Wrong password or corrupted data.');
+    }
+    return { plain, hash: hash && await chainHash(hash, plain) };
+  }
+
   /* Compute SHA-256 hash of an ArrayBuffer, return base64 */
   async function hashBufferToBase64(arrayBuffer) {
     const digest = await subtle.digest('SHA-256', arrayBuffer);
@@ -155,13 +534,18 @@
       throw new Error('password must be a non-empty string');
     }
 
-    const ciphertextBuf = base642ab(encryptedPackage.ciphertext);
-    const ivBuf = base642ab(encryptedPackage.iv);
     const saltBuf = base642ab(encryptedPackage.salt);
     const iterations = encryptedPackage.iterations || PBKDF2_ITERATIONS;
 
     // derive key
     const key = await deriveKeyFromPassword(password, new Uint8Array(saltBuf), iterations);
+    return decryptPackageWithKey(encryptedPackage, key);
+  }
+
+  /* Decrypt a single-shot package ({ ciphertext, iv, hash }) with an already available key */
+  async function decryptPackageWithKey(encryptedPackage, key) {
+    const ciphertextBuf = base642ab(encryptedPackage.ciphertext);
+    const ivBuf = base642ab(encryptedPackage.iv);
 
     // decrypt
     let plainBuf;
@@ -189,48 +573,612 @@
     };
   }
 
-  /* Helper: create a serializable package for storing files in IndexedDB.
-     Accepts: fileName (string), arrayBuffer (file contents), password (string)
-     Returns object:
+  /* Encrypt a ReadableStream of bytes (e.g. File.stream()) in fixed-size chunks.
+     Each chunk gets its own random IV and is authenticated together with its
+     position and a final-chunk marker (see chunkAad). Chunks are handed to
+     `onChunk` as they are produced and are never held in memory all at once:
+       onChunk({ contentId, index, iv: ArrayBuffer, data: ArrayBuffer }) => Promise
+     `key` is the file's AES-GCM data key.
+     options: { signal } aborts between chunks, { onProgress(bytes) } follows the plaintext
+     bytes encrypted and stored so far.
+     Returns the header needed to decrypt:
      {
-       name: <filename>,
-       createdAt: <ISO string>,
-       size: <number>,
-       ciphertext: <base64 string>,
-       iv: <base64>,
-       salt: <base64>,
-       iterations: <number>,
-       hash: <base64>
+       format: 'chunked-v1',
+       contentId: <hex>,
+       chunkSize: <number>,
+       chunkCount: <number>,
+       size: <number>,          // plaintext bytes
+       hash: <base64>,          // chained SHA-256 of plaintext chunks
+       hashAlgo: 'sha256-chain'
+     }
+  */
+  async function encryptStream(stream, key, onChunk, options = {}) {
+    const contentId = randomId();
+
+    let index = 0;
+    let size = 0;
+    let hash = new ArrayBuffer(32);
+
+    // `plain` always owns its whole buffer, so the buffer can be moved to a worker
+    async function emit(plain, isFinal) {
+      const length = plain.byteLength;
+      const result = await runOp('encryptChunk', [key, plain, contentId, index, isFinal, hash],
+        { transfer: [plain.buffer, hash], signal: options.signal });
+      hash = result.hash;
+      size += length;
+      await onChunk({ contentId, index, iv: result.iv, data: result.data });
+      index++;
+      if (options.onProgress) options.onProgress(size);
+    }
+
+    // A full chunk is held back until more input arrives, so we know whether it is final.
+    const reader = stream.getReader();
+    let buffer = new Uint8Array(CHUNK_SIZE);
+    let filled = 0;
+    let held = null;
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        let offset = 0;
+        while (offset < value.byteLength) {
+          if (held) { await emit(held, false); held = null; }
+          const take = Math.min(CHUNK_SIZE - filled, value.byteLength - offset);
+          buffer.set(value.subarray(offset, offset + take), filled);
+          filled += take;
+          offset += take;
+          if (filled === CHUNK_SIZE) {
+            held = buffer;
+            buffer = new Uint8Array(CHUNK_SIZE);
+            filled = 0;
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+    // the last chunk may be short; an empty input still yields one (empty) final chunk
+    await emit(held || buffer.slice(0, filled), true);
+
+    return {
+      format: FORMAT_CHUNKED,
+      contentId,
+      chunkSize: CHUNK_SIZE,
+      chunkCount: index,
+      size,
+      hash: ab2base64(hash),
+      hashAlgo: 'sha256-chain'
+    };
+  }
+
+  /* Decrypt a chunked record incrementally.
+     getChunk(index) => Promise<{ iv, data } | null>   (e.g. DB.getChunk)
+     onPlain(ArrayBuffer, index) => Promise|void        receives plaintext in order
+     `options.limit` stops after that many chunks (used to verify a password cheaply),
+     `options.signal` aborts between chunks and `options.onProgress(bytes)` follows the
+     plaintext delivered so far. Chunk data is moved to a worker, so getChunk should hand
+     out buffers nobody else uses (fresh reads do).
+     Returns { ok, expectedHash, computedHash } like decryptBuffer (without the data).
+  */
+  async function decryptStream(header, key, getChunk, onPlain, options = {}) {
+    if (!header || header.format !== FORMAT_CHUNKED) throw new Error('Invalid chunked header');
+
+    const count = Math.min(header.chunkCount, options.limit || Infinity);
+
+    let hash = new ArrayBuffer(32);
+    let done = 0;
+    for (let index = 0; index < count; index++) {
+      const chunk = await getChunk(index);
+      if (!chunk) throw new Error(`Missing chunk ${index + 1} of ${header.chunkCount}. File is truncated.`);
+      const isFinal = index === header.chunkCount - 1;
+      const result = await runOp('decryptChunk', [key, chunk.iv, chunk.data, header.contentId, index, isFinal, hash],
+        { transfer: chunk.data instanceof ArrayBuffer ? [chunk.data, hash] : [hash], signal: options.signal });
+      hash = result.hash;
+      done += result.plain.byteLength;
+      if (onPlain) await onPlain(result.plain, index);
+      if (options.onProgress) options.onProgress(done);
+    }
+
+    const computedHash = ab2base64(hash);
+    const expectedHash = count === header.chunkCount ? (header.hash || null) : null;
+    return {
+      ok: expectedHash ? (computedHash === expectedHash) : true,
+      expectedHash,
+      computedHash
+    };
+  }
+
+  /* --- Sealed metadata ---
+     Everything descriptive about a file (name, folder, size, dates, MIME type, plaintext
+     hash) lives in an AES-GCM encrypted JSON header. Only structural fields needed to
+     find and decrypt the content stay in the clear.
+     Headers are authenticated together with the record they belong to (see
+     fileHeaderAad): a header cannot be moved to another record or paired with other
+     content, and since chunks are bound to the content id and the header carries the
+     content hash, metadata and ciphertext can only be changed together by the key holder.
+     Headers sealed before this binding are opened with { allowUnbound: true } only to
+     migrate them (bindFileHeader / bindFolderRecord) or from an authenticated archive. */
+
+  /* AAD of a file header: the owning file id (versions use their fileId, so a version
+     keeps the file's binding) and the content layout */
+  function fileHeaderAad(record) {
+    return str2ab(JSON.stringify(['efs-file-header', 1, record.fileId || record.id,
+      record.format || 'single', record.contentId || '', record.chunkSize || 0, record.chunkCount || 0]));
+  }
+
+  /* AAD of a folder header: the folder id */
+  function folderHeaderAad(id) {
+    return str2ab(JSON.stringify(['efs-folder-header', 1, id]));
+  }
+
+  /* Encrypt a JSON-serialisable object -> { iv: ArrayBuffer, data: ArrayBuffer } */
+  async function sealJson(obj, key, aad) {
+    const iv = randomBytes(IV_LENGTH);
+    const params = aad ? { name: AES_ALGO, iv: iv, additionalData: aad } : { name: AES_ALGO, iv: iv };
+    const data = await subtle.encrypt(params, key, str2ab(JSON.stringify(obj)));
+    return { iv: iv.buffer, data };
+  }
+
+  /* Decrypt a sealed object produced by sealJson (with the same aad, if any) */
+  async function openJson(sealed, key, aad) {
+    const params = { name: AES_ALGO, iv: new Uint8Array(sealed.iv) };
+    if (aad) params.additionalData = aad;
+    let plain;
+    try {
+      plain = await subtle.decrypt(params, key, sealed.data);
+    } catch (err) {
+      throw new Error('Could not open sealed metadata. Wrong key, corrupted or tampered data.');
+    }
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  /* Open a header bound to `aad`; with allowUnbound a pre-binding header is accepted too */
+  async function openBoundJson(sealed, key, aad, { allowUnbound = false } = {}) {
+    try {
+      return await openJson(sealed, key, aad);
+    } catch (err) {
+      if (!allowUnbound) throw err;
+    }
+    return openJson(sealed, key);
+  }
+
+  /* Read a file record's sealed header: { name, folderId, size, createdAt, mimeType, hash, hashAlgo } */
+  async function openFileHeader(record, masterKey, options = {}) {
+    const fileKey = await unwrapFileKey(record, masterKey);
+    return openBoundJson(record.header, fileKey, fileHeaderAad(record), options);
+  }
+
+  /* Return a copy of the record with `meta` sealed as its new header (rename, move, ...).
+     The header is bound to the record as passed in, so set its id / fileId first. */
+  async function sealFileHeader(record, meta, masterKey) {
+    const fileKey = await unwrapFileKey(record, masterKey);
+    return { ...record, header: await sealJson(meta, fileKey, fileHeaderAad(record)) };
+  }
+
+  /* Folder records are just an opaque id and a header ({ name, parentId, createdAt })
+     sealed directly under the master key. */
+  async function sealFolderRecord(meta, masterKey, id = randomId(RECORD_ID_LENGTH)) {
+    return { id, header: await sealJson(meta, masterKey, folderHeaderAad(id)) };
+  }
+
+  async function openFolderRecord(record, masterKey, options = {}) {
+    return openBoundJson(record.header, masterKey, folderHeaderAad(record.id), options);
+  }
+
+  /* Vault-wide settings that name files (e.g. the tag colours) are meta records sealed
+     under the master key, bound to their meta id */
+  function metaRecordAad(id) {
+    return str2ab(JSON.stringify(['efs-meta', 1, id]));
+  }
+
+  async function sealMetaRecord(id, value, masterKey) {
+    return { id, header: await sealJson(value, masterKey, metaRecordAad(id)) };
+  }
+
+  async function openMetaRecord(record, masterKey) {
+    return openJson(record.header, masterKey, metaRecordAad(record.id));
+  }
+
+  /* Migration: a copy of the record with its header re-sealed bound to the record, or null
+     if it is bound already. Throws if the header cannot be opened either way. */
+  async function bindFileHeader(record, masterKey) {
+    const fileKey = await unwrapFileKey(record, masterKey);
+    try {
+      await openJson(record.header, fileKey, fileHeaderAad(record));
+      return null;
+    } catch (err) {
+      const meta = await openJson(record.header, fileKey);
+      return { ...record, header: await sealJson(meta, fileKey, fileHeaderAad(record)) };
+    }
+  }
+
+  async function bindFolderRecord(record, masterKey) {
+    try {
+      await openJson(record.header, masterKey, folderHeaderAad(record.id));
+      return null;
+    } catch (err) {
+      const meta = await openJson(record.header, masterKey);
+      return { ...record, header: await sealJson(meta, masterKey, folderHeaderAad(record.id)) };
+    }
+  }
+
+  /* Decrypt a record's content with its (unwrapped) file key, chunked or legacy single-shot */
+  async function decryptWithFileKey(record, fileKey, getChunk, onPlain, options = {}) {
+    if (record.format === FORMAT_CHUNKED) {
+      return decryptStream(record, fileKey, getChunk, onPlain, options);
+    }
+    const result = await runOp('decryptPackageWithKey',
+      [{ ciphertext: record.ciphertext, iv: record.iv, hash: record.hash }, fileKey], { signal: options.signal });
+    if (onPlain) await onPlain(result.arrayBuffer, 0);
+    return { ok: result.ok, expectedHash: result.expectedHash, computedHash: result.computedHash };
+  }
+
+  /* Decrypt any stored file record, chunked or legacy single-shot base64.
+     Plaintext is delivered through onPlain (once for single-shot records).
+     The expected plaintext hash comes from the sealed header; the opened header is
+     returned as `meta`. */
+  async function decryptFileRecord(record, masterKey, getChunk, onPlain, options = {}) {
+    if (isLegacyRecord(record)) throw new Error('Record has not been migrated to the vault key yet');
+    const fileKey = await unwrapFileKey(record, masterKey);
+    const meta = record.header ? await openJson(record.header, fileKey, fileHeaderAad(record)) : { hash: record.hash };
+    const result = await decryptWithFileKey({ ...record, hash: meta.hash }, fileKey, getChunk, onPlain, options);
+    return { ...result, meta };
+  }
+
+  /* Audit one file record: decrypt all of it (plaintext is discarded as it is checked) and
+     compare it with its sealed header. Returns { status, detail, meta } with status
+       'ok'            authenticates and matches its header
+       'undecryptable' the file key cannot be unwrapped (another vault, damaged key)
+       'tampered'      the header or a chunk fails authentication (edited, swapped or damaged)
+       'corrupt'       the record is malformed or chunks are missing
+       'mismatched'    decrypts cleanly, but size or hash differ from the header
+     meta is the opened header, or null when it could not be opened. */
+  async function verifyRecord(record, masterKey, getChunk) {
+    const result = (status, detail = '', meta = null) => ({ status, detail, meta });
+    if (isLegacyRecord(record)) return result('corrupt', 'Still encrypted with a per-file password key.');
+    if (!record.wrappedKey || !record.keyIv || !record.header) {
+      return result('corrupt', 'Record is missing its wrapped key or header.');
+    }
+
+    let fileKey;
+    try {
+      fileKey = await unwrapFileKey(record, masterKey);
+    } catch (err) {
+      return result('undecryptable', err.message);
+    }
+
+    let meta;
+    try {
+      meta = await openJson(record.header, fileKey, fileHeaderAad(record));
+    } catch (err) {
+      let unbound = false;
+      try {
+        await openJson(record.header, fileKey);
+        unbound = true;
+      } catch (ignored) {
+        // not an old unbound header either
+      }
+      return result('tampered', unbound
+        ? 'Metadata is not bound to this record.'
+        : 'Metadata fails authentication: it was edited, swapped from another record or damaged.');
+    }
+
+    if (record.format === FORMAT_CHUNKED &&
+      !(record.contentId && Number.isInteger(record.chunkCount) && record.chunkCount > 0)) {
+      return result('corrupt', 'Chunk layout is invalid.', meta);
+    }
+
+    let missing = false;
+    let size = 0;
+    let check;
+    try {
+      check = await decryptWithFileKey({ ...record, hash: meta.hash }, fileKey,
+        async (index) => {
+          const chunk = await getChunk(index);
+          if (!chunk) missing = true;
+          return chunk;
+        },
+        (plain) => { size += plain.byteLength; });
+    } catch (err) {
+      if (missing) return result('corrupt', err.message, meta);
+      return result('tampered', 'Content fails authentication: it was modified or damaged.', meta);
+    }
+
+    if (!check.ok) return result('mismatched', 'Content hash differs from the metadata.', meta);
+    if (typeof meta.size === 'number' && meta.size !== size) {
+      return result('mismatched', `Content is ${size} bytes, the metadata says ${meta.size}.`, meta);
+    }
+    return result('ok', '', meta);
+  }
+
+  /* Records written before envelope encryption carry their own PBKDF2 salt
+     instead of a wrapped file key. */
+  function isLegacyRecord(record) {
+    return !record.wrappedKey && typeof record.salt === 'string';
+  }
+
+  /* Migrate a legacy record: re-derive its password key once, check that it opens the
+     record, and store that key wrapped under the master key. The ciphertext is untouched. */
+  async function upgradeLegacyRecord(record, password, masterKey, getChunk) {
+    const salt = new Uint8Array(base642ab(record.salt));
+    const legacyKey = await runOp('deriveKeyFromPassword', [password, salt,
+      record.iterations || PBKDF2_ITERATIONS, ['encrypt', 'decrypt'], true]);
+    await decryptWithFileKey(record, legacyKey, getChunk, null, { limit: 1 });
+
+    const { salt: _salt, iterations: _iterations, ...rest } = record;
+    return { ...rest, ...(await wrapFileKey(legacyKey, masterKey)) };
+  }
+
+  /* Helper: create a serializable record for storing files in IndexedDB.
+     Accepts: meta ({ name, folderId, mimeType, ... }), source (Blob/File, ArrayBuffer or a
+              ReadableStream of bytes, e.g. one the caller throttles or cancels),
+              masterKey (CryptoKey), onChunk (receives each encrypted chunk, see encryptStream),
+              id (record id; the header is bound to it, so an overwrite passes the old id),
+              options ({ signal, onProgress }, see encryptStream)
+     A fresh file key encrypts the content and is stored wrapped under the master key.
+     Returns { record, meta }: the opaque record to store alongside the chunks
+     {
+       id: <hex>,
+       format: 'chunked-v1',
+       contentId, chunkSize, chunkCount,
+       wrappedKey: <base64>, keyIv: <base64>,
+       header: { iv, data }   // sealed meta
      }
+     and the full plaintext meta (input + createdAt, size, hash, hashAlgo).
   */
-  async function createEncryptedFileRecord(fileName, arrayBuffer, password) {
-    const enc = await encryptBuffer(arrayBuffer, password);
+  async function createEncryptedFileRecord(meta, source, masterKey, onChunk, id = randomId(RECORD_ID_LENGTH),
+                                           options = {}) {
+    const stream = source instanceof ReadableStream ? source
+      : (source instanceof Blob ? source : new Blob([source])).stream();
+    const fileKey = await generateFileKey();
+    const { size, hash, hashAlgo, ...structure } = await encryptStream(stream, fileKey, onChunk, options);
+    const fullMeta = { ...meta, createdAt: new Date().toISOString(), size, hash, hashAlgo };
+    const record = {
+      id,
+      ...structure,
+      ...(await wrapFileKey(fileKey, masterKey))
+    };
+    record.header = await sealJson(fullMeta, fileKey, fileHeaderAad(record));
+    return { record, meta: fullMeta };
+  }
+
+  /* --- Moving records between vaults ---
+     Records from another vault (e.g. an imported archive) have their file key wrapped
+     under that vault's master key. They come from an authenticated archive, so headers
+     from before metadata binding are accepted; the new header is always bound to `id`. */
+
+  /* Re-wrap a record's file key under another master key and re-seal its header with
+     `metaChanges` applied, as record `id`. The content (and its chunks) stays exactly as it is. */
+  async function transferRecord(record, fromMasterKey, toMasterKey, metaChanges = {}, id = record.id) {
+    const fileKey = await unwrapFileKey(record, fromMasterKey, true);
+    const meta = {
+      ...(await openBoundJson(record.header, fileKey, fileHeaderAad(record), { allowUnbound: true })),
+      ...metaChanges
+    };
+    const moved = { ...record, id, ...(await wrapFileKey(fileKey, toMasterKey)) };
+    moved.header = await sealJson(meta, fileKey, fileHeaderAad(moved));
+    return { record: moved, meta };
+  }
+
+  /* Re-encrypt a chunked record under a fresh file key and content id, chunk by chunk
+     (same boundaries and final marker). Needed when its content id is already taken. */
+  async function recryptRecord(record, fromMasterKey, toMasterKey, getChunk, onChunk, metaChanges = {}, id = record.id) {
+    if (record.format !== FORMAT_CHUNKED) return transferRecord(record, fromMasterKey, toMasterKey, metaChanges, id);
+
+    const oldKey = await unwrapFileKey(record, fromMasterKey);
+    const meta = {
+      ...(await openBoundJson(record.header, oldKey, fileHeaderAad(record), { allowUnbound: true })),
+      ...metaChanges
+    };
+    const fileKey = await generateFileKey();
+    const contentId = randomId();
+    for (let index = 0; index < record.chunkCount; index++) {
+      const chunk = await getChunk(index);
+      if (!chunk) throw new Error(`Missing chunk ${index + 1} of ${record.chunkCount}. File is truncated.`);
+      const isFinal = index === record.chunkCount - 1;
+      const { plain } = await runOp('decryptChunk', [oldKey, chunk.iv, chunk.data, record.contentId, index, isFinal, null],
+        { transfer: chunk.data instanceof ArrayBuffer ? [chunk.data] : [] });
+      const { iv, data } = await runOp('encryptChunk', [fileKey, plain, contentId, index, isFinal, null],
+        { transfer: [plain] });
+      await onChunk({ contentId, index, iv, data });
+    }
+    const moved = { ...record, id, contentId, ...(await wrapFileKey(fileKey, toMasterKey)) };
+    moved.header = await sealJson(meta, fileKey, fileHeaderAad(moved));
+    return { record: moved, meta };
+  }
+
+  /* --- Key agreement (share packages) ---
+     A vault can hold an ECDH P-256 key pair so others can share files to it. A package key
+     is wrapped for a recipient under a key derived (HKDF-SHA256) from an ECDH secret between
+     a one-time ephemeral key and the recipient's public key; only the recipient's private
+     key can derive it again. Public keys travel as JWK. */
+  const ECDH_CURVE = 'P-256';
+  const SHARE_KDF_INFO = 'efs-share-package-key';
+
+  /* New extractable key pair (the private half is stored sealed under the master key) */
+  async function generateShareKeyPair() {
+    const pair = await subtle.generateKey({ name: 'ECDH', namedCurve: ECDH_CURVE }, true, ['deriveBits']);
     return {
-      name: fileName,
-      createdAt: new Date().toISOString(),
-      size: arrayBuffer.byteLength,
-      ciphertext: enc.ciphertext,
-      iv: enc.iv,
-      salt: enc.salt,
-      iterations: enc.iterations,
-      hash: enc.hash
+      publicKey: await subtle.exportKey('jwk', pair.publicKey),
+      privateKey: await subtle.exportKey('jwk', pair.privateKey)
     };
   }
 
+  /* Short, stable id of a public key (hex of SHA-256 over its coordinates) for display and matching */
+  async function publicKeyFingerprint(jwk) {
+    const digest = await subtle.digest('SHA-256', str2ab(`${jwk.crv}:${jwk.x}:${jwk.y}`));
+    return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function importEcdhKey(jwk, isPrivate) {
+    try {
+      return await subtle.importKey('jwk', jwk, { name: 'ECDH', namedCurve: ECDH_CURVE }, false,
+        isPrivate ? ['deriveBits'] : []);
+    } catch (err) {
+      throw new Error('Invalid or unsupported key.');
+    }
+  }
+
+  async function deriveShareWrappingKey(privateKey, publicKey, salt, usage) {
+    const secret = await subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const hkdfKey = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return subtle.deriveKey({ name: 'HKDF', hash: 'SHA-256', salt, info: str2ab(SHARE_KDF_INFO) }, hkdfKey,
+      { name: AES_ALGO, length: AES_KEY_LENGTH }, false, [usage]);
+  }
+
+  /* Wrap an AES key (e.g. a package key) for the holder of `recipientJwk`.
+     Returns { ephemeralKey: <JWK>, salt, iv, wrappedKey } (base64 strings) */
+  async function wrapKeyForRecipient(key, recipientJwk) {
+    const recipient = await importEcdhKey(recipientJwk, false);
+    const ephemeral = await subtle.generateKey({ name: 'ECDH', namedCurve: ECDH_CURVE }, true, ['deriveBits']);
+    const salt = randomBytes(SALT_LENGTH);
+    const iv = randomBytes(IV_LENGTH);
+    const kek = await deriveShareWrappingKey(ephemeral.privateKey, recipient, salt, 'wrapKey');
+    const wrapped = await subtle.wrapKey('raw', key, kek, { name: AES_ALGO, iv: iv });
+    return {
+      ephemeralKey: await subtle.exportKey('jwk', ephemeral.publicKey),
+      salt: ab2base64(salt.buffer),
+      iv: ab2base64(iv.buffer),
+      wrappedKey: ab2base64(wrapped)
+    };
+  }
+
+  /* Unwrap a key wrapped by wrapKeyForRecipient with the matching private key (JWK) */
+  async function unwrapKeyForRecipient(wrapped, privateJwk) {
+    const privateKey = await importEcdhKey(privateJwk, true);
+    const ephemeral = await importEcdhKey(wrapped.ephemeralKey, false);
+    const kek = await deriveShareWrappingKey(privateKey, ephemeral, new Uint8Array(base642ab(wrapped.salt)), 'unwrapKey');
+    try {
+      return await subtle.unwrapKey(
+        'raw',
+        base642ab(wrapped.wrappedKey),
+        kek,
+        { name: AES_ALGO, iv: new Uint8Array(base642ab(wrapped.iv)) },
+        { name: AES_ALGO, length: AES_KEY_LENGTH },
+        true,
+        ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+      );
+    } catch (err) {
+      throw new Error('This package was not shared with this vault\'s key.');
+    }
+  }
+
+  /* --- Message authentication (vault archives) --- */
+
+  /* Random HMAC-SHA256 key, extractable so the master key can wrap it */
+  async function generateMacKey() {
+    return subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, true, ['sign', 'verify']);
+  }
+
+  /* Wrap / unwrap an HMAC key under the master key -> { iv, wrappedKey } (base64) */
+  async function wrapMacKey(macKey, masterKey) {
+    const iv = randomBytes(IV_LENGTH);
+    const wrapped = await subtle.wrapKey('raw', macKey, masterKey, { name: AES_ALGO, iv: iv });
+    return { iv: ab2base64(iv.buffer), wrappedKey: ab2base64(wrapped) };
+  }
+
+  async function unwrapMacKey(wrapped, masterKey) {
+    try {
+      return await subtle.unwrapKey(
+        'raw',
+        base642ab(wrapped.wrappedKey),
+        masterKey,
+        { name: AES_ALGO, iv: new Uint8Array(base642ab(wrapped.iv)) },
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+      );
+    } catch (err) {
+      throw new Error('Could not unwrap integrity key. Data is corrupted or from another vault.');
+    }
+  }
+
+  /* HMAC-SHA256 tag of an ArrayBuffer / verification of one */
+  async function signBuffer(macKey, data) {
+    return subtle.sign('HMAC', macKey, data);
+  }
+
+  async function verifyBuffer(macKey, tag, data) {
+    return subtle.verify('HMAC', macKey, tag, data);
+  }
+
   /* Helper: convert ArrayBuffer to Blob with original filename MIME hint (optional) */
   function arrayBufferToBlob(arrayBuffer, mimeType = '') {
     return new Blob([arrayBuffer], { type: mimeType });
   }
 
-  // Expose API on window.CryptoHelper
-  window.CryptoHelper = {
-    encryptBuffer,             // (ArrayBuffer, password) => encryptedPackage (object with base64 fields)
-    decryptBuffer,             // (encryptedPackage, password) => {arrayBuffer, ok, expectedHash, computedHash}
-    hashBufferToBase64,        // (ArrayBuffer) => base64 hash
-    createEncryptedFileRecord, // (fileName, ArrayBuffer, password) => record ready to store
+  // Operations that may run on a worker (see runOp); arguments and results are cloneable
+  const OPS = {
+    deriveKeyFromPassword,
+    deriveKeyFromArgon2,
+    encryptBuffer,
+    decryptBuffer,
+    decryptPackageWithKey,
+    hashBufferToBase64,
+    chainHash,
+    encryptChunk,
+    decryptChunk
+  };
+
+  // Expose API on window.CryptoHelper (self.CryptoHelper inside a worker)
+  scope.CryptoHelper = {
+    encryptBuffer: pooled('encryptBuffer'), // (ArrayBuffer, password) => encryptedPackage (object with base64 fields)
+    decryptBuffer: pooled('decryptBuffer'), // (encryptedPackage, password) => {arrayBuffer, ok, expectedHash, computedHash}
+    encryptStream,             // (ReadableStream, fileKey, onChunk, { signal, onProgress }?) => chunked header
+    decryptStream,             // (header, fileKey, getChunk, onPlain, { limit, signal, onProgress }?) => {ok, expectedHash, computedHash}
+    decryptFileRecord,         // (record, masterKey, getChunk, onPlain, options) => {ok, expectedHash, computedHash, meta}
+    verifyRecord,              // (record, masterKey, getChunk) => { status, detail, meta } (vault audit)
+    hashBufferToBase64: pooled('hashBufferToBase64'), // (ArrayBuffer) => base64 hash
+    createEncryptedFileRecord, // (meta, Blob|ArrayBuffer|ReadableStream, masterKey, onChunk, id?, options?) => { record, meta }
+    // sealed metadata
+    openFileHeader,            // (record, masterKey, { allowUnbound }?) => meta
+    sealFileHeader,            // (record, meta, masterKey) => record with new sealed header
+    sealFolderRecord,          // (meta, masterKey, id?) => folder record
+    openFolderRecord,          // (folderRecord, masterKey, { allowUnbound }?) => meta
+    bindFileHeader,            // (record, masterKey) => record with a bound header, or null if already bound
+    bindFolderRecord,          // (folderRecord, masterKey) => same for folders
+    sealMetaRecord,            // (id, value, masterKey) => sealed meta record
+    openMetaRecord,            // (metaRecord, masterKey) => value
+    // envelope encryption
+    generateMasterKey,         // () => master CryptoKey
+    wrapMasterKey,             // (masterKey, password, kdfPolicy?, keyfileDigest?) => vault key record
+    unwrapMasterKey,           // (vaultKeyRecord, password, keyfileDigest?) => master CryptoKey (throws on wrong password)
+    generateKeyfile,           // () => ArrayBuffer of random keyfile contents
+    hashKeyfile,               // (ArrayBuffer | Blob) => keyfile digest
+    // key derivation policy
+    KDF_PBKDF2,
+    KDF_ARGON2ID,
+    DEFAULT_KDF,
+    kdfPolicy,                 // (policy | iterations) => normalised policy (throws if unsupported)
+    kdfMeetsPolicy,            // (storedKdf, policy) => whether it needs no upgrade
+    benchmarkKdf,              // (policy) => milliseconds for one derivation
+    proposeKdfParams,          // (name, targetMs) => { params, estimatedMs }
+    createVerifier,            // (masterKey) => password verifier record fields
+    checkVerifier,             // (verifier, masterKey) => boolean
+    isLegacyRecord,            // (record) => whether it still uses a per-file PBKDF2 key
+    upgradeLegacyRecord,       // (record, password, masterKey, getChunk) => migrated record
+    transferRecord,            // (record, fromMasterKey, toMasterKey, metaChanges, id?) => { record, meta }
+    recryptRecord,             // (record, fromMasterKey, toMasterKey, getChunk, onChunk, metaChanges, id?) => { record, meta }
+    // key agreement (share packages)
+    generateShareKeyPair,      // () => { publicKey, privateKey } as JWK
+    publicKeyFingerprint,      // (publicJwk) => short hex id
+    wrapKeyForRecipient,       // (AES CryptoKey, recipientPublicJwk) => { ephemeralKey, salt, iv, wrappedKey }
+    unwrapKeyForRecipient,     // (wrapped, privateJwk) => AES CryptoKey
+    // integrity tags
+    generateMacKey,            // () => HMAC CryptoKey
+    wrapMacKey,                // (macKey, masterKey) => { iv, wrappedKey }
+    unwrapMacKey,              // ({ iv, wrappedKey }, masterKey) => HMAC CryptoKey
+    signBuffer,                // (macKey, ArrayBuffer) => tag ArrayBuffer
+    verifyBuffer,              // (macKey, tag, ArrayBuffer) => boolean
+    chainHash: pooled('chainHash'), // (previousDigest, ArrayBuffer) => SHA-256(previous || data)
+    randomId,                  // (byteLength?) => random hex id
     arrayBufferToBlob,         // (ArrayBuffer, mimeType) => Blob
+    // worker pool
+    workerCount,               // () => how many operations run in parallel
+    stopWorkers,               // () => terminates the workers (they restart on demand)
     // utilities (exposed for convenience)
     _ab2base64: ab2base64,
-    _base642ab: base642ab
+    _base642ab: base642ab,
+    _runLocal: runLocal        // (op, args) => result, used by crypto-worker.js
   };
 })();
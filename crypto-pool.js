@@ -0,0 +1,169 @@
+/* crypto-pool.js
+   Web Worker pool for EFS Explorer's crypto work (see crypto-helper.js / crypto-worker.js).
+   Jobs ({ op, args }) wait in a queue and run on at most `size` workers at a time; the
+   workers are started on demand and reused. ArrayBuffers listed in `transfer` are moved
+   to the worker instead of copied, and the worker moves its results back the same way.
+   A job can be cancelled with an AbortSignal: a queued job is simply dropped, a running
+   one has its worker terminated and replaced, since a Web Crypto call cannot be stopped.
+   Workers announce themselves once their script has loaded. If the first one cannot
+   start (no Worker support, pages opened from file://, a blocked script), the pool marks
+   itself `broken` and rejects the jobs it holds without having sent them, so the caller
+   still owns their buffers and can run them on its own thread instead.
+   Exposes: window.CryptoPool
+*/
+
+(() => {
+  const MAX_WORKERS = 4;
+
+  /* One worker per spare core, keeping one for the page */
+  function defaultSize() {
+    const cores = navigator.hardwareConcurrency || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+  }
+
+  /* Rebuild an error thrown inside a worker (only name and message survive the trip) */
+  function toError(data) {
+    const err = new Error(data.message);
+    err.name = data.name || 'Error';
+    return err;
+  }
+
+  function create(url, { size = defaultSize() } = {}) {
+    const workers = new Set(); // every started worker
+    const idle = [];           // ready workers without a job
+    const queue = [];          // jobs waiting for a worker
+    let nextId = 1;
+    let broken = null;         // set when workers cannot run here
+    let started = false;       // whether any worker has come up yet
+
+    function fail(error) {
+      broken = error;
+      for (const worker of workers) worker.terminate();
+      workers.clear();
+      idle.length = 0;
+      for (const job of queue.splice(0)) settle(job, null, error);
+    }
+
+    function spawn() {
+      let worker;
+      try {
+        worker = new Worker(url);
+      } catch (err) {
+        fail(new Error(`Crypto workers are not available: ${err.message}`));
+        return;
+      }
+      worker.ready = false;
+      worker.job = null;
+      worker.onmessage = (event) => onMessage(worker, event.data);
+      worker.onerror = (event) => {
+        if (event.preventDefault) event.preventDefault();
+        onCrash(worker, new Error(`Crypto worker failed: ${event.message || 'script error'}`));
+      };
+      worker.onmessageerror = () => onCrash(worker, new Error('Crypto worker sent an unreadable message'));
+      workers.add(worker);
+    }
+
+    function discard(worker) {
+      worker.terminate();
+      workers.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) idle.splice(index, 1);
+    }
+
+    /* Hand queued jobs to idle workers; start more workers while jobs are waiting */
+    function dispatch() {
+      while (queue.length && idle.length) {
+        const worker = idle.pop();
+        const job = queue.shift();
+        worker.job = job;
+        job.worker = worker;
+        worker.postMessage({ id: job.id, op: job.op, args: job.args }, job.transfer);
+      }
+      const starting = [...workers].filter(w => !w.ready).length;
+      for (let n = starting; n < queue.length && workers.size < size && !broken; n++) spawn();
+    }
+
+    function onMessage(worker, message) {
+      if (message.ready) {
+        worker.ready = true;
+        started = true;
+        idle.push(worker);
+        dispatch();
+        return;
+      }
+      const job = worker.job;
+      if (!job || job.id !== message.id) return; // answer to a job that was cancelled
+      worker.job = null;
+      idle.push(worker);
+      if (message.error) settle(job, null, toError(message.error));
+      else settle(job, message.result);
+      dispatch();
+    }
+
+    function onCrash(worker, error) {
+      if (!worker.ready) {
+        if (!started) fail(error); // the script does not load here; no job was sent to it
+        else discard(worker);      // the others keep serving the queue
+        return;
+      }
+      const job = worker.job;
+      discard(worker);
+      if (job) settle(job, null, error);
+      dispatch();
+    }
+
+    function settle(job, result, error) {
+      if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+      if (error) job.reject(error);
+      else job.resolve(result);
+    }
+
+    function cancel(job) {
+      const index = queue.indexOf(job);
+      if (index !== -1) queue.splice(index, 1);
+      else if (job.worker && job.worker.job === job) discard(job.worker);
+      else return; // already settled
+      settle(job, null, job.signal.reason);
+      dispatch();
+    }
+
+    /* Run `op` on a worker. options: { transfer: [ArrayBuffer], signal: AbortSignal } */
+    function run(op, args, { transfer = [], signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (broken) return reject(broken);
+        if (signal && signal.aborted) return reject(signal.reason);
+        const job = { id: nextId++, op, args, transfer, signal, resolve, reject, worker: null };
+        if (signal) {
+          job.onAbort = () => cancel(job);
+          signal.addEventListener('abort', job.onAbort);
+        }
+        queue.push(job);
+        dispatch();
+      });
+    }
+
+    /* Stop every worker; running and queued jobs fail */
+    function terminate() {
+      const error = new Error('Crypto workers were stopped');
+      for (const worker of workers) {
+        if (worker.job) settle(worker.job, null, error);
+        worker.terminate();
+      }
+      workers.clear();
+      idle.length = 0;
+      for (const job of queue.splice(0)) settle(job, null, error);
+    }
+
+    return {
+      size,
+      run,
+      terminate,
+      get broken() { return broken; }
+    };
+  }
+
+  window.CryptoPool = {
+    create,      // (workerUrl, { size }?) => { size, run(op, args, { transfer, signal }), terminate, broken }
+    defaultSize, // () => worker count used when no size is given
+  };
+})();
@@ -0,0 +1,27 @@
+/* crypto-worker.js
+   Web Worker entry point of the crypto pool (see crypto-pool.js).
+   Loads argon2.js and crypto-helper.js, which runs its operations on this thread when it
+   finds itself in a worker, then answers { id, op, args } with { id, result } or { id, error }.
+   ArrayBuffers in a result are transferred back rather than copied.
+*/
+
+importScripts('argon2.js', 'crypto-helper.js');
+
+/* ArrayBuffers directly inside a result (a buffer, or an object of fields) */
+function transferables(result) {
+  if (result instanceof ArrayBuffer) return [result];
+  if (!result || typeof result !== 'object') return [];
+  return Object.values(result).filter(value => value instanceof ArrayBuffer);
+}
+
+self.onmessage = async (event) => {
+  const { id, op, args } = event.data;
+  try {
+    const result = await CryptoHelper._runLocal(op, args);
+    self.postMessage({ id, result }, transferables(result));
+  } catch (err) {
+    self.postMessage({ id, error: { name: err.name, message: err.message } });
+  }
+};
+
+self.postMessage({ ready: true });
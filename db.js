@@ -1,91 +1,262 @@
 /* db.js
-   IndexedDB wrapper for EFS Explorer
-   Handles storing encrypted file records locally in the browser.
-   Uses database: "efs-explorer", object store: "files"
+   Storage facade for EFS Explorer
+   Handles storing encrypted file records locally in the browser. Every call goes to the
+   storage adapter of the active vault: IndexedDB (storage-indexeddb.js) or the Origin
+   Private File System (storage-opfs.js). migrateVault() moves a vault between them.
+   The list of vaults (id, display name, database name, backend, KDF settings) lives in the
+   "efs-explorer-vaults" IndexedDB database; the first vault keeps the original database
+   name "efs-explorer". useVault() selects the vault the other calls work on.
+
+   Every vault keeps the record stores "files", "folders", "versions", "trash",
+   "quarantine" and "meta", plus its chunks.
+   Files and folders are keyed by an opaque random id. Their names, folder
+   placement and other descriptive metadata live in a sealed (encrypted)
+   header, so the storage alone does not reveal what is stored.
+   Chunked records keep their ciphertext as raw binary chunks, keyed by
+   [contentId, index]; deleting or overwriting a file removes its chunks.
+   "versions" keeps superseded file records (same shape plus fileId) together with
+   their chunks, so an overwrite never destroys the previous contents.
+   "trash" keeps deleted file and folder records (same shape plus kind: "file" | "folder")
+   until they are restored or purged; a trashed file keeps its chunks and versions.
+   "quarantine" holds records the vault audit flagged ({ id, source, reason, quarantinedAt,
+   record }), out of the way of listing and export until they are released or deleted.
+   "meta" holds vault-wide records keyed by id (e.g. "vault": the wrapped master key).
 */
 
 (() => {
-  const DB_NAME = "efs-explorer";
-  const DB_VERSION = 1;
-  const STORE_NAME = "files";
+  const DB_NAME = "efs-explorer";          // database of the default vault
+  const REGISTRY_DB_NAME = "efs-explorer-vaults";
+  const REGISTRY_STORE = "vaults";
+  const DEFAULT_VAULT_ID = "default";
+  const DEFAULT_BACKEND = "indexeddb";     // backend of vaults registered without one
+  const ROOT = "/";
 
-  /** Open (or create) the IndexedDB */
-  function openDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+  /* Storage adapter interface: one vault's records and chunks. The calls below are
+     forwarded to the active vault's adapter (storage-indexeddb.js documents each one);
+     adapters also have close() and destroy(). Backends register themselves in
+     window.StorageAdapters as { label, isAvailable(), open(name) => adapter }, and
+     tests/storage-conformance.html runs the same checks against each of them. */
+  const STORAGE_METHODS = [
+    "saveFile", "getFile", "deleteFile", "getAllFiles",
+    "saveFolder", "getAllFolders", "deleteFolder",
+    "saveChunk", "getChunk", "deleteChunks", "getChunkUsage",
+    "getVersions", "getAllVersions", "saveVersion", "deleteVersion", "restoreVersion",
+    "trashRecords", "getTrash", "saveTrash", "restoreTrash", "purgeTrash",
+    "quarantineRecord", "getQuarantine", "saveQuarantined", "releaseQuarantined", "deleteQuarantined",
+    "getMeta", "getAllMeta", "saveMeta", "deleteMeta",
+    "putRecord", "deleteRecord",
+    "clearAll",
+  ];
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: "name" });
-          store.createIndex("createdAt", "createdAt", { unique: false });
-        }
-      };
+  let activeDbName = DB_NAME;
+  let activeBackend = DEFAULT_BACKEND;
+  let adapter = null; // adapter of the active vault, opened on first use
+  const changeListeners = new Set(); // see onChange()
 
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+  // --- Path helpers (paths are only ever built in memory, after unlock) ---
+
+  /** Join a folder path and an entry name into a full path */
+  function joinPath(folder, name) {
+    return folder === ROOT ? ROOT + name : `${folder}/${name}`;
   }
 
-  /** Add or update a file record */
-  async function saveFile(record) {
-    if (!record || !record.name) throw new Error("Invalid file record");
+  /** Validate a single folder or file name (no separators, not "." / "..") */
+  function isValidName(name) {
+    return typeof name === "string" && name.length > 0 && !name.includes("/") &&
+      name !== "." && name !== "..";
+  }
 
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, "readwrite");
-      const store = tx.objectStore(STORE_NAME);
-      const request = store.put(record);
+  // --- Storage backends ---
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
+  /** A registered backend by id ("indexeddb", "opfs") */
+  function backendOf(id) {
+    const backend = (window.StorageAdapters || {})[id || DEFAULT_BACKEND];
+    if (!backend) throw new Error(`Unknown storage backend "${id}"`);
+    return backend;
   }
 
-  /** Get file record by name */
-  async function getFile(name) {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, "readonly");
-      const store = tx.objectStore(STORE_NAME);
-      const request = store.get(name);
+  /** Every registered backend: [{ id, label, available }] */
+  function listBackends() {
+    return Object.entries(window.StorageAdapters || {})
+      .map(([id, backend]) => ({ id, label: backend.label, available: backend.isAvailable() }));
+  }
 
-      request.onsuccess = () => resolve(request.result || null);
-      request.onerror = () => reject(request.error);
-    });
+  /** The active vault's adapter */
+  function storage() {
+    if (!adapter) {
+      const backend = backendOf(activeBackend);
+      if (!backend.isAvailable()) throw new Error(`This vault uses the ${backend.label} backend, which this browser does not support`);
+      adapter = backend.open(activeDbName);
+    }
+    return adapter;
   }
 
-  /** Delete file by name */
-  async function deleteFile(name) {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, "readwrite");
-      const store = tx.objectStore(STORE_NAME);
-      const request = store.delete(name);
+  /** Close the active adapter (if open) */
+  function closeStorage() {
+    if (adapter) adapter.close();
+    adapter = null;
+  }
 
-      request.onsuccess = () => resolve(true);
-      request.onerror = () => reject(request.error);
-    });
+  /** Forward a storage call to the active adapter. Calls other than get* may change the
+      vault, so the change listeners are told once they have finished. */
+  function forward(name) {
+    if (name.startsWith("get")) return async (...args) => storage()[name](...args);
+    return async (...args) => {
+      const result = await storage()[name](...args);
+      for (const listener of changeListeners) listener(name);
+      return result;
+    };
   }
 
-  /** Get all stored files */
-  async function getAllFiles() {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, "readonly");
-      const store = tx.objectStore(STORE_NAME);
-      const request = store.getAll();
+  /** Call listener(methodName) after every storage call that may have changed the active
+      vault (e.g. so sync can queue the change). Returns a function that removes it. */
+  function onChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  function isActive(vault) {
+    return vault.dbName === activeDbName && (vault.backend || DEFAULT_BACKEND) === activeBackend;
+  }
 
-      request.onsuccess = () => resolve(request.result || []);
-      request.onerror = () => reject(request.error);
+  /** Copy a vault into another backend, switch its registry entry over and delete the old
+      storage. Records and chunks are copied as they are: nothing is decrypted. The copy is
+      checked chunk for chunk before the original goes; a failed move leaves it untouched.
+      onProgress({ done, total }) follows the copied records and contents.
+      Returns the updated vault entry. */
+  async function migrateVault(vault, backendId, { onProgress } = {}) {
+    const from = backendOf(vault.backend);
+    const to = backendOf(backendId);
+    if (from === to) throw new Error(`The vault already uses the ${to.label} backend`);
+    if (!to.isAvailable()) throw new Error(`The ${to.label} backend is not available in this browser`);
+
+    const moved = { ...vault, backend: backendId, dbName: `${DB_NAME}-${vault.id}-${backendId}` };
+    const wasActive = isActive(vault);
+    if (wasActive) closeStorage();
+    const source = from.open(vault.dbName);
+    const target = to.open(moved.dbName);
+    try {
+      await target.destroy(); // leftovers of an interrupted move
+      const usage = await source.getChunkUsage();
+      const stores = [
+        [await source.getAllMeta(), record => target.saveMeta(record)],
+        [await source.getAllFolders(), record => target.saveFolder(record)],
+        [await source.getAllFiles(), record => target.saveFile(record)],
+        [await source.getAllVersions(), record => target.saveVersion(record)],
+        [await source.getTrash(), record => target.saveTrash(record)],
+        [await source.getQuarantine(), entry => target.saveQuarantined(entry)],
+      ];
+      const total = usage.size + stores.reduce((sum, [records]) => sum + records.length, 0);
+      let done = 0;
+      const step = () => { if (onProgress) onProgress({ done: ++done, total }); };
+
+      for (const contentId of usage.keys()) {
+        for (let index = 0; ; index++) {
+          const chunk = await source.getChunk(contentId, index);
+          if (!chunk) break;
+          await target.saveChunk(chunk);
+        }
+        step();
+      }
+      for (const [records, save] of stores) {
+        for (const record of records) {
+          await save(record);
+          step();
+        }
+      }
+
+      const copied = await target.getChunkUsage();
+      for (const [contentId, bytes] of usage) {
+        if (copied.get(contentId) !== bytes) throw new Error("The copy does not match the original; nothing was moved");
+      }
+    } catch (err) {
+      source.close();
+      await target.destroy();
+      throw err;
+    }
+    source.close();
+    target.close();
+
+    const entry = await saveVault(moved);
+    if (wasActive) {
+      activeDbName = entry.dbName;
+      activeBackend = entry.backend;
+    }
+    await source.destroy();
+    return entry;
+  }
+
+  // --- Vault registry ---
+
+  /** Run one request against the registry store; the connection is closed afterwards */
+  function registryRequest(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const open = indexedDB.open(REGISTRY_DB_NAME, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(REGISTRY_STORE, { keyPath: "id" });
+      open.onerror = () => reject(open.error);
+      open.onsuccess = () => {
+        const db = open.result;
+        const tx = db.transaction(REGISTRY_STORE, mode);
+        const request = makeRequest(tx.objectStore(REGISTRY_STORE));
+        tx.oncomplete = () => { db.close(); resolve(request.result); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+      };
     });
   }
 
-  // Expose API
+  /** All vaults ({ id, name, dbName, backend, createdAt, kdf }), oldest first.
+      The default vault (the original "efs-explorer" database) is registered on first use. */
+  async function listVaults() {
+    let vaults = await registryRequest("readonly", store => store.getAll());
+    if (!vaults.length) {
+      const vault = { id: DEFAULT_VAULT_ID, name: "My vault", dbName: DB_NAME, createdAt: new Date().toISOString() };
+      await saveVault(vault);
+      vaults = [vault];
+    }
+    return vaults
+      .map(vault => ({ backend: DEFAULT_BACKEND, ...vault }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /** Add or update a vault entry. New vaults get their own database name. */
+  async function saveVault(vault) {
+    if (!vault || !vault.id || !vault.name) throw new Error("Invalid vault");
+    const entry = { backend: DEFAULT_BACKEND, ...vault, dbName: vault.dbName || `${DB_NAME}-${vault.id}` };
+    await registryRequest("readwrite", store => store.put(entry));
+    return entry;
+  }
+
+  /** Delete a vault's storage and its registry entry */
+  async function deleteVault(vault) {
+    if (isActive(vault)) closeStorage();
+    await backendOf(vault.backend).open(vault.dbName).destroy();
+    await registryRequest("readwrite", store => store.delete(vault.id));
+  }
+
+  /** Make every other call operate on this vault's storage */
+  function useVault(vault) {
+    if (isActive(vault)) return;
+    closeStorage();
+    activeDbName = vault.dbName;
+    activeBackend = vault.backend || DEFAULT_BACKEND;
+  }
+
+  // Expose API: the adapter calls (for the active vault), then vaults and helpers
   window.DB = {
-    saveFile,
-    getFile,
-    deleteFile,
-    getAllFiles,
+    ROOT,
+    STORAGE_METHODS,
+    ...Object.fromEntries(STORAGE_METHODS.map(name => [name, forward(name)])),
+    onChange,
+    // vaults
+    listVaults,
+    saveVault,
+    deleteVault,
+    useVault,
+    // storage backends
+    listBackends,
+    migrateVault,
+    // path helpers
+    joinPath,
+    isValidName,
   };
 })();
@@ -0,0 +1,158 @@
+/* dialogs.js
+   Non-blocking modal dialogs for EFS Explorer (replacing confirm() / prompt()).
+   Every dialog returns a Promise and only one is shown at a time; the others wait in
+   line. Dialogs are keyboard-accessible: focus moves into the dialog and stays there
+   (Tab / Shift+Tab cycle), Escape cancels, Enter in a text field confirms, and focus
+   returns to where it was when the dialog closes.
+   Exposes: window.Dialogs
+*/
+
+(() => {
+  const FOCUSABLE = 'button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+  let queue = Promise.resolve();
+  let nextId = 1;
+
+  function button(label, className = '') {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    if (className) btn.className = className;
+    return btn;
+  }
+
+  /* Show one dialog. build(parts, close) fills parts.body / parts.actions and returns the
+     element to focus first; close(value) resolves it. Escape resolves `cancelValue`. */
+  function open({ title, message }, cancelValue, build) {
+    const shown = queue.then(() => new Promise((resolve) => {
+      const id = `dialog-${nextId++}`;
+      const previousFocus = document.activeElement;
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'dialog-backdrop';
+      const dialog = document.createElement('div');
+      dialog.className = 'dialog';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', `${id}-title`);
+      dialog.setAttribute('aria-describedby', `${id}-message`);
+
+      const heading = document.createElement('h2');
+      heading.id = `${id}-title`;
+      heading.textContent = title;
+      const text = document.createElement('p');
+      text.id = `${id}-message`;
+      text.textContent = message || '';
+      const body = document.createElement('div');
+      body.className = 'dialog-body';
+      const actions = document.createElement('div');
+      actions.className = 'dialog-actions';
+      dialog.appendChild(heading);
+      dialog.appendChild(text);
+      dialog.appendChild(body);
+      dialog.appendChild(actions);
+      backdrop.appendChild(dialog);
+
+      function close(value) {
+        backdrop.remove();
+        if (previousFocus && previousFocus.focus && document.contains(previousFocus)) previousFocus.focus();
+        resolve(value);
+      }
+
+      dialog.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          close(cancelValue);
+        } else if (e.key === 'Tab') {
+          // keep focus inside the dialog
+          const items = [...dialog.querySelectorAll(FOCUSABLE)].filter(el => !el.disabled);
+          if (!items.length) return;
+          const first = items[0];
+          const last = items[items.length - 1];
+          if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+          } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+          }
+        }
+      });
+
+      const initial = build({ body, actions }, close);
+      document.body.appendChild(backdrop);
+      (initial || actions.querySelector('button') || dialog).focus();
+    }));
+    queue = shown.catch(() => {});
+    return shown;
+  }
+
+  /* Yes / no question. Resolves true or false. With danger, the confirm button is styled
+     as destructive and Cancel gets the initial focus. */
+  function confirm({ title = 'Please confirm', message, confirmLabel = 'OK', cancelLabel = 'Cancel', danger = false }) {
+    return open({ title, message }, false, ({ actions }, close) => {
+      const cancel = button(cancelLabel);
+      const ok = button(confirmLabel, danger ? 'danger' : 'primary');
+      cancel.addEventListener('click', () => close(false));
+      ok.addEventListener('click', () => close(true));
+      actions.appendChild(cancel);
+      actions.appendChild(ok);
+      return danger ? cancel : ok;
+    });
+  }
+
+  /* Ask for a line of text (type 'password' hides it). Resolves the text, or null when cancelled. */
+  function prompt({ title = 'Enter a value', message, value = '', confirmLabel = 'OK', type = 'text' }) {
+    return open({ title, message }, null, ({ body, actions }, close) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.value = value;
+      input.setAttribute('aria-label', title);
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          close(input.value);
+        }
+      });
+      body.appendChild(input);
+      const cancel = button('Cancel');
+      const ok = button(confirmLabel, 'primary');
+      cancel.addEventListener('click', () => close(null));
+      ok.addEventListener('click', () => close(input.value));
+      actions.appendChild(cancel);
+      actions.appendChild(ok);
+      setTimeout(() => input.select(), 0);
+      return input;
+    });
+  }
+
+  /* Pick one of several answers: choices [{ value, label, danger? }], the first one is
+     focused. With applyToAll (a label), a checkbox lets the answer stand for the rest of
+     a batch. Resolves { value, applyToAll } or null when cancelled (Escape). */
+  function choose({ title, message, choices, applyToAll = '' }) {
+    return open({ title, message }, null, ({ body, actions }, close) => {
+      let checkbox = null;
+      if (applyToAll) {
+        const label = document.createElement('label');
+        label.className = 'dialog-apply-all';
+        checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${applyToAll}`));
+        body.appendChild(label);
+      }
+      const buttons = choices.map((choice) => {
+        const btn = button(choice.label, choice.danger ? 'danger' : 'primary');
+        btn.addEventListener('click', () => close({ value: choice.value, applyToAll: Boolean(checkbox && checkbox.checked) }));
+        actions.appendChild(btn);
+        return btn;
+      });
+      return buttons[0];
+    });
+  }
+
+  window.Dialogs = {
+    confirm, // ({ title, message, confirmLabel, cancelLabel, danger }) => Promise<boolean>
+    prompt,  // ({ title, message, value, confirmLabel, type }) => Promise<string | null>
+    choose,  // ({ title, message, choices, applyToAll }) => Promise<{ value, applyToAll } | null>
+  };
+})();
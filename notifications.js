@@ -0,0 +1,117 @@
+/* notifications.js
+   Toasts and a notification centre for EFS Explorer (replacing alert()).
+   notify() shows a short-lived toast and records it in the history shown by the centre.
+   Info toasts close after a few seconds, errors stay longer; a toast stays open while
+   it is hovered or focused and can always be closed by hand. Only the newest few toasts
+   are on screen at once, everything remains in the history until it is cleared. The
+   history lives in memory only (messages may name files) and the caller clears it on lock.
+   Exposes: window.Notifications
+*/
+
+(() => {
+  const MAX_VISIBLE = 4;
+  const MAX_HISTORY = 200;
+  const DURATION = { info: 4000, error: 10000 }; // ms on screen
+
+  let els = null; // { stack, list, badge, empty } once mounted
+  let history = []; // { message, type, time }
+  let unread = 0;
+
+  /* Attach to the page: stack (toast container), list (centre history), badge (unread
+     count) and empty (shown when the history is empty) */
+  function mount(elements) {
+    els = elements;
+    render();
+  }
+
+  function notify(message, type = 'info') {
+    const entry = { message, type, time: new Date() };
+    history.unshift(entry);
+    if (history.length > MAX_HISTORY) history.length = MAX_HISTORY;
+    unread++;
+    if (els) {
+      showToast(entry);
+      render();
+    }
+  }
+
+  function showToast(entry) {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${entry.type}`;
+    // errors interrupt screen readers, info waits for a pause
+    toast.setAttribute('role', entry.type === 'error' ? 'alert' : 'status');
+    const text = document.createElement('span');
+    text.textContent = entry.message;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.setAttribute('aria-label', 'Dismiss notification');
+    close.textContent = '✕';
+    toast.appendChild(text);
+    toast.appendChild(close);
+
+    let timer = null;
+    const dismiss = () => {
+      clearTimeout(timer);
+      toast.remove();
+    };
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(dismiss, DURATION[entry.type] || DURATION.info);
+    };
+    close.addEventListener('click', dismiss);
+    toast.addEventListener('mouseenter', () => clearTimeout(timer));
+    toast.addEventListener('mouseleave', schedule);
+    toast.addEventListener('focusin', () => clearTimeout(timer));
+    toast.addEventListener('focusout', schedule);
+    schedule();
+
+    els.stack.appendChild(toast);
+    while (els.stack.children.length > MAX_VISIBLE) els.stack.firstElementChild.remove();
+  }
+
+  function render() {
+    if (!els) return;
+    els.badge.textContent = unread > 99 ? '99+' : String(unread);
+    els.badge.style.display = unread ? '' : 'none';
+    els.list.replaceChildren(...history.map((entry) => {
+      const li = document.createElement('li');
+      li.className = `notification-${entry.type}`;
+      const time = document.createElement('time');
+      time.dateTime = entry.time.toISOString();
+      time.textContent = entry.time.toLocaleTimeString();
+      const text = document.createElement('span');
+      text.textContent = entry.message;
+      li.appendChild(time);
+      li.appendChild(text);
+      return li;
+    }));
+    els.empty.style.display = history.length ? 'none' : '';
+  }
+
+  /* The centre was opened: nothing is unread any more */
+  function markRead() {
+    unread = 0;
+    render();
+  }
+
+  function getHistory() {
+    return history.slice();
+  }
+
+  /* Forget every notification and remove the toasts on screen */
+  function clear() {
+    history = [];
+    unread = 0;
+    if (els) els.stack.replaceChildren();
+    render();
+  }
+
+  window.Notifications = {
+    mount,               // ({ stack, list, badge, empty }) => void
+    notify,              // (message, 'info' | 'error') => void
+    markRead,            // () => void
+    clear,               // () => void
+    history: getHistory, // () => newest first: [{ message, type, time }]
+  };
+})();
@@ -0,0 +1,97 @@
+/* password-strength.js
+   Offline password strength estimate for EFS Explorer.
+   Estimates entropy from length and character classes, then discounts the patterns
+   people actually use: common passwords, repeated characters, keyboard and
+   alphabet runs, years, and a word followed by digits / symbols.
+   The result is a score from 0 (very weak) to 4 (very strong) plus a hint.
+   Exposes: window.PasswordStrength
+*/
+
+(() => {
+  const LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+  // entropy (bits) needed for scores 1..4
+  const SCORE_THRESHOLDS = [28, 40, 60, 80];
+
+  const COMMON_PASSWORDS = new Set([
+    'password', 'passw0rd', 'p@ssw0rd', 'p@ssword', '123456', '12345678', '123456789', '1234567890',
+    'qwerty', 'qwertyuiop', 'abc123', 'letmein', 'welcome', 'monkey', 'dragon', 'football',
+    'baseball', 'iloveyou', 'admin', 'administrator', 'login', 'master', 'sunshine', 'princess',
+    'shadow', 'superman', 'batman', 'trustno1', 'hello', 'freedom', 'whatever', 'starwars',
+    'secret', 'changeme', 'default', 'guest', 'root', 'test', 'access', 'mustang', 'michael',
+    'charlie', 'jordan', 'computer', 'internet', 'security', 'encrypted', 'vault', 'explorer'
+  ]);
+  const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+  function charsetSize(password) {
+    let size = 0;
+    if (/[a-z]/.test(password)) size += 26;
+    if (/[A-Z]/.test(password)) size += 26;
+    if (/[0-9]/.test(password)) size += 10;
+    if (/[^a-zA-Z0-9]/.test(password)) size += 33;
+    return size;
+  }
+
+  /* Length of the password once runs ("aaaa"), sequences ("abcd", "4321") and
+     keyboard rows ("qwer") are counted as a single character each */
+  function effectiveLength(password) {
+    const lower = password.toLowerCase();
+    let length = 0;
+    let i = 0;
+    while (i < lower.length) {
+      let run = 1;
+      while (i + run < lower.length && lower[i + run] === lower[i]) run++;
+      if (run < 3) {
+        run = 1;
+        for (const seq of SEQUENCES) {
+          for (const text of [seq, [...seq].reverse().join('')]) {
+            let n = 1;
+            let pos = text.indexOf(lower[i]);
+            while (pos !== -1 && i + n < lower.length && text[pos + n] === lower[i + n]) n++;
+            if (pos !== -1 && n >= 3 && n > run) run = n;
+          }
+        }
+        if (run < 3) run = 1;
+      }
+      length += 1;
+      i += run;
+    }
+    return length;
+  }
+
+  /* Estimate the strength of a password.
+     Returns { score: 0-4, label, bits, hint } */
+  function score(password) {
+    password = password || '';
+    const lower = password.toLowerCase();
+    const bare = lower.replace(/[^a-z]/g, '');
+    let bits = effectiveLength(password) * Math.log2(Math.max(charsetSize(password), 1));
+    let hint = '';
+
+    if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(bare) ||
+      COMMON_PASSWORDS.has(lower.replace(/[\d\W_]+$/, ''))) {
+      bits = Math.min(bits, 10);
+      hint = 'This is one of the most common passwords.';
+    } else if (/^[a-z]+[\d\W_]{1,6}$/i.test(password)) {
+      // "Summer2024!": a single word with a suffix is guessed early
+      bits = Math.min(bits, 36);
+      hint = 'A single word followed by numbers or symbols is easy to guess.';
+    }
+    if (/(19|20)\d\d/.test(password)) {
+      bits -= 6;
+      hint = hint || 'Avoid years and dates.';
+    }
+    if (password.length < 12) hint = hint || 'Use at least 12 characters.';
+    if (charsetSize(password) <= 26) hint = hint || 'Mix in upper case letters, digits or symbols, or use more words.';
+
+    bits = Math.max(0, Math.round(bits));
+    const value = SCORE_THRESHOLDS.filter(t => bits >= t).length;
+    if (value === 4) hint = '';
+    else if (!hint) hint = 'Longer is stronger: add another word or a few characters.';
+    return { score: value, label: LABELS[value], bits, hint };
+  }
+
+  window.PasswordStrength = {
+    LABELS, // score -> label
+    score,  // (password) => { score, label, bits, hint }
+  };
+})();
@@ -0,0 +1,318 @@
+/* preview.js
+   In-page preview of decrypted files for EFS Explorer.
+   Renders images, plain text / code (with light syntax highlighting), Markdown, PDFs,
+   audio and video from an in-memory Blob, so nothing decrypted is written to disk.
+   Text and Markdown are built from DOM nodes and textContent only: file contents are
+   never parsed as HTML, and Markdown images are not fetched.
+   Object URLs are obtained through the caller's createUrl(blob), which lets the caller
+   revoke them when the preview is closed or the vault is locked.
+   Exposes: window.Preview
+*/
+
+(() => {
+  const TEXT_PREVIEW_LIMIT = 2 * 1024 * 1024; // longer text is shown truncated
+
+  const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'bmp', 'ico', 'svg'];
+  const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'flac'];
+  const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'webm', 'ogv', 'mov'];
+  const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+  const TEXT_EXTENSIONS = ['txt', 'log', 'csv', 'tsv', 'ini', 'cfg', 'conf', 'env', 'toml', 'gitignore'];
+  const TEXT_MIME_TYPES = ['application/json', 'application/javascript', 'application/xml',
+    'application/x-sh', 'application/x-yaml', 'application/sql', 'application/x-httpd-php'];
+
+  /* Keyword sets and comment / string syntax per language, keyed by file extension */
+  const C_LIKE = {
+    lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'"],
+    keywords: ['if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+      'return', 'goto', 'struct', 'union', 'enum', 'typedef', 'const', 'static', 'extern', 'void',
+      'int', 'char', 'long', 'short', 'float', 'double', 'unsigned', 'signed', 'sizeof', 'class',
+      'public', 'private', 'protected', 'new', 'delete', 'this', 'true', 'false', 'null', 'nullptr',
+      'namespace', 'using', 'template', 'virtual', 'override', 'final', 'try', 'catch', 'throw',
+      'throws', 'import', 'package', 'interface', 'extends', 'implements', 'abstract', 'boolean',
+      'byte', 'var', 'func', 'fn', 'let', 'mut', 'impl', 'trait', 'pub', 'use', 'mod', 'match',
+      'go', 'defer', 'chan', 'map', 'range', 'type', 'struct', 'string', 'bool', 'self', 'Self']
+  };
+  const JAVASCRIPT = {
+    lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'", '`'],
+    keywords: ['var', 'let', 'const', 'function', 'return', 'if', 'else', 'for', 'while', 'do',
+      'switch', 'case', 'default', 'break', 'continue', 'new', 'delete', 'typeof', 'instanceof',
+      'in', 'of', 'class', 'extends', 'super', 'this', 'import', 'export', 'from', 'as', 'async',
+      'await', 'yield', 'try', 'catch', 'finally', 'throw', 'true', 'false', 'null', 'undefined',
+      'void', 'static', 'get', 'set', 'interface', 'type', 'enum', 'implements', 'private',
+      'public', 'protected', 'readonly', 'declare', 'namespace']
+  };
+  const PYTHON = {
+    lineComment: '#', quotes: ['"', "'"],
+    keywords: ['def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'break', 'continue',
+      'pass', 'import', 'from', 'as', 'with', 'try', 'except', 'finally', 'raise', 'lambda',
+      'yield', 'global', 'nonlocal', 'in', 'is', 'not', 'and', 'or', 'None', 'True', 'False',
+      'async', 'await', 'assert', 'del', 'self']
+  };
+  const SHELL = {
+    lineComment: '#', quotes: ['"', "'"],
+    keywords: ['if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case',
+      'esac', 'in', 'function', 'return', 'exit', 'export', 'local', 'readonly', 'echo', 'set',
+      'unset', 'source', 'shift']
+  };
+  const SQL = {
+    lineComment: '--', blockComment: ['/*', '*/'], quotes: ["'", '"'], ignoreCase: true,
+    keywords: ['select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete',
+      'create', 'table', 'drop', 'alter', 'add', 'index', 'primary', 'key', 'foreign',
+      'references', 'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by', 'order',
+      'having', 'limit', 'offset', 'and', 'or', 'not', 'null', 'is', 'in', 'as', 'distinct',
+      'union', 'all', 'case', 'when', 'then', 'else', 'end', 'default', 'unique']
+  };
+  const CSS = { blockComment: ['/*', '*/'], quotes: ['"', "'"], keywords: ['important', 'media', 'import'] };
+  const MARKUP = { blockComment: ['<!--', '-->'], quotes: ['"', "'"], keywords: [] };
+  const CONFIG = { lineComment: '#', quotes: ['"', "'"], keywords: ['true', 'false', 'null', 'yes', 'no'] };
+
+  const LANGUAGES = {
+    js: JAVASCRIPT, mjs: JAVASCRIPT, cjs: JAVASCRIPT, jsx: JAVASCRIPT, ts: JAVASCRIPT, tsx: JAVASCRIPT,
+    json: { quotes: ['"'], keywords: ['true', 'false', 'null'] },
+    c: C_LIKE, h: C_LIKE, cpp: C_LIKE, cc: C_LIKE, hpp: C_LIKE, cs: C_LIKE, java: C_LIKE,
+    kt: C_LIKE, go: C_LIKE, rs: C_LIKE, swift: C_LIKE, php: C_LIKE,
+    py: PYTHON, sh: SHELL, bash: SHELL, zsh: SHELL, sql: SQL, css: CSS, scss: CSS,
+    html: MARKUP, htm: MARKUP, xml: MARKUP, yml: CONFIG, yaml: CONFIG, toml: CONFIG, ini: CONFIG
+  };
+
+  function extensionOf(name) {
+    const dot = (name || '').lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+  }
+
+  /* What kind of preview a file gets, from its stored MIME type and then its extension.
+     Returns 'image' | 'markdown' | 'text' | 'pdf' | 'audio' | 'video' | null */
+  function kindOf(meta) {
+    const type = (meta.mimeType || '').toLowerCase();
+    const ext = extensionOf(meta.name);
+    if (type === 'text/markdown' || MARKDOWN_EXTENSIONS.includes(ext)) return 'markdown';
+    if (type.startsWith('image/') || IMAGE_EXTENSIONS.includes(ext)) return 'image';
+    if (type === 'application/pdf' || ext === 'pdf') return 'pdf';
+    if (type.startsWith('audio/') || AUDIO_EXTENSIONS.includes(ext)) return 'audio';
+    if (type.startsWith('video/') || VIDEO_EXTENSIONS.includes(ext)) return 'video';
+    if (type.startsWith('text/') || TEXT_MIME_TYPES.includes(type) ||
+      TEXT_EXTENSIONS.includes(ext) || LANGUAGES[ext]) return 'text';
+    return null;
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /* One global regex per language: (comment)|(string)|(number)|(word) */
+  const patternCache = new Map();
+  function tokenPattern(lang) {
+    if (patternCache.has(lang)) return patternCache.get(lang);
+    const comments = [];
+    if (lang.lineComment) comments.push(`${escapeRegExp(lang.lineComment)}[^\\n]*`);
+    if (lang.blockComment) {
+      const [open, close] = lang.blockComment.map(escapeRegExp);
+      comments.push(`${open}[\\s\\S]*?(?:${close}|$)`);
+    }
+    const strings = lang.quotes.map((q) => {
+      const quote = escapeRegExp(q);
+      const body = q === '`' ? `[^\\\\${quote}]` : `[^\\\\${quote}\\n]`;
+      return `${quote}(?:\\\\[\\s\\S]|${body})*${quote}?`;
+    });
+    const pattern = new RegExp([
+      `(${comments.join('|') || '(?!)'})`,
+      `(${strings.join('|') || '(?!)'})`,
+      '(\\b0x[0-9a-fA-F]+\\b|\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b)',
+      '([A-Za-z_$][\\w$]*)'
+    ].join('|'), 'g');
+    patternCache.set(lang, pattern);
+    return pattern;
+  }
+
+  /* Syntax-highlighted text as a DocumentFragment of text nodes and <span class="tok-*"> */
+  function highlight(code, lang) {
+    const frag = document.createDocumentFragment();
+    if (!lang) {
+      frag.appendChild(document.createTextNode(code));
+      return frag;
+    }
+    const keywords = lang.keywordSet || (lang.keywordSet = new Set(lang.keywords));
+    let last = 0;
+    for (const match of code.matchAll(tokenPattern(lang))) {
+      const [text, comment, string, number, word] = match;
+      let cls = null;
+      if (comment) cls = 'tok-comment';
+      else if (string) cls = 'tok-string';
+      else if (number) cls = 'tok-number';
+      else if (word && keywords.has(lang.ignoreCase ? word.toLowerCase() : word)) cls = 'tok-keyword';
+      if (!cls) continue;
+      if (match.index > last) frag.appendChild(document.createTextNode(code.slice(last, match.index)));
+      frag.appendChild(el('span', cls, text));
+      last = match.index + text.length;
+    }
+    if (last < code.length) frag.appendChild(document.createTextNode(code.slice(last)));
+    return frag;
+  }
+
+  function safeHref(url) {
+    return /^(https?:|mailto:)/i.test(url) ? url : null;
+  }
+
+  /* Inline Markdown: `code`, images (as text), [links](url), **bold**, *italic* */
+  const INLINE_PATTERN = /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)|!\[([^\]]*)\]\([^)]*\)|\[([^\]]+)\]\(([^)\s]+)[^)]*\)|(\*\*|__)(.+?)\6|(\*|_)(.+?)\8/g;
+
+  function renderInline(text, parent) {
+    let last = 0;
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+      if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+      const [whole, , code, imageAlt, linkText, linkUrl, , strong, , em] = match;
+      if (code !== undefined) {
+        parent.appendChild(el('code', null, code.trim()));
+      } else if (imageAlt !== undefined) {
+        // remote images would leak that the file is being viewed; show the alt text instead
+        parent.appendChild(el('span', 'md-image-placeholder', `[image: ${imageAlt || 'untitled'}]`));
+      } else if (linkText !== undefined) {
+        const href = safeHref(linkUrl);
+        const node = href ? el('a') : el('span');
+        if (href) {
+          node.href = href;
+          node.target = '_blank';
+          node.rel = 'noopener noreferrer';
+        }
+        renderInline(linkText, node);
+        parent.appendChild(node);
+      } else if (strong !== undefined) {
+        renderInline(strong, parent.appendChild(el('strong')));
+      } else if (em !== undefined) {
+        renderInline(em, parent.appendChild(el('em')));
+      } else {
+        parent.appendChild(document.createTextNode(whole));
+      }
+      last = match.index + whole.length;
+    }
+    if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+  }
+
+  /* Block-level Markdown: headings, fenced code, lists, quotes, rules and paragraphs */
+  function renderMarkdown(source) {
+    const root = el('div', 'preview-markdown');
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+      if (!paragraph.length) return;
+      const p = el('p');
+      renderInline(paragraph.join(' '), p);
+      root.appendChild(p);
+      paragraph = [];
+    };
+    const closeBlocks = () => {
+      flushParagraph();
+      list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let m;
+      if ((m = line.match(/^\s*(```|~~~)\s*([\w+-]*)/))) {
+        closeBlocks();
+        const fence = m[1];
+        const code = [];
+        for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) code.push(lines[i]);
+        const pre = el('pre', 'preview-code');
+        pre.appendChild(el('code')).appendChild(highlight(code.join('\n'), LANGUAGES[m[2].toLowerCase()]));
+        root.appendChild(pre);
+      } else if (!line.trim()) {
+        closeBlocks();
+      } else if ((m = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+        closeBlocks();
+        const heading = el(`h${m[1].length}`);
+        renderInline(m[2], heading);
+        root.appendChild(heading);
+      } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        closeBlocks();
+        root.appendChild(el('hr'));
+      } else if ((m = line.match(/^\s*>\s?(.*)$/))) {
+        closeBlocks();
+        const quote = el('blockquote');
+        renderInline(m[1], quote);
+        root.appendChild(quote);
+      } else if ((m = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/))) {
+        flushParagraph();
+        const tag = m[1] ? 'ul' : 'ol';
+        if (!list || list.tagName.toLowerCase() !== tag) {
+          list = el(tag);
+          root.appendChild(list);
+        }
+        const item = el('li');
+        renderInline(m[3], item);
+        list.appendChild(item);
+      } else {
+        list = null;
+        paragraph.push(line.trim());
+      }
+    }
+    closeBlocks();
+    return root;
+  }
+
+  async function readText(blob) {
+    const truncated = blob.size > TEXT_PREVIEW_LIMIT;
+    const text = await (truncated ? blob.slice(0, TEXT_PREVIEW_LIMIT) : blob).text();
+    return { text, truncated };
+  }
+
+  /* Render a decrypted file into container (its previous content is replaced).
+     meta: the opened file header ({ name, mimeType, ... }).
+     createUrl(blob) must return an object URL the caller revokes later. */
+  async function render(container, blob, meta, createUrl) {
+    const kind = kindOf(meta);
+    const ext = extensionOf(meta.name);
+    const typed = (type) => (blob.type === type ? blob : new Blob([blob], { type }));
+    const nodes = [];
+
+    if (kind === 'image') {
+      const img = el('img', 'preview-media');
+      img.alt = meta.name;
+      img.src = createUrl(ext === 'svg' ? typed('image/svg+xml') : blob);
+      nodes.push(img);
+    } else if (kind === 'pdf') {
+      const frame = el('iframe', 'preview-pdf');
+      frame.title = meta.name;
+      frame.src = createUrl(typed('application/pdf'));
+      nodes.push(frame);
+    } else if (kind === 'audio' || kind === 'video') {
+      const media = el(kind, 'preview-media');
+      media.controls = true;
+      media.preload = 'metadata';
+      media.src = createUrl(blob);
+      nodes.push(media);
+    } else if (kind === 'markdown' || kind === 'text') {
+      const { text, truncated } = await readText(blob);
+      if (text.includes('\u0000')) throw new Error('File looks binary; download it instead.');
+      if (truncated) {
+        nodes.push(el('p', 'preview-note', `Showing the first ${TEXT_PREVIEW_LIMIT / (1024 * 1024)} MB only.`));
+      }
+      if (kind === 'markdown') {
+        nodes.push(renderMarkdown(text));
+      } else {
+        const pre = el('pre', 'preview-code');
+        pre.appendChild(el('code')).appendChild(highlight(text, LANGUAGES[ext]));
+        nodes.push(pre);
+      }
+    } else {
+      throw new Error('No preview available for this file type.');
+    }
+
+    container.replaceChildren(...nodes);
+  }
+
+  window.Preview = {
+    kindOf,         // (meta) => preview kind or null
+    render,         // (container, blob, meta, createUrl) => renders the preview
+    renderMarkdown, // (source) => <div> with the rendered Markdown
+  };
+})();
@@ -14,25 +14,485 @@
   const addFileBtn = document.getElementById('add-file-btn');
   const downloadBtn = document.getElementById('download-btn');
   const deleteBtn = document.getElementById('delete-btn');
+  const breadcrumbEl = document.getElementById('breadcrumb');
+  const newFolderBtn = document.getElementById('new-folder-btn');
+  const changePasswordBtn = document.getElementById('change-password-btn');
+  const changePasswordForm = document.getElementById('change-password-form');
+  const currentPasswordInput = document.getElementById('current-password');
+  const newPasswordInput = document.getElementById('new-password');
+  const confirmPasswordInput = document.getElementById('confirm-password');
+  const changePasswordSave = document.getElementById('change-password-save');
+  const changePasswordCancel = document.getElementById('change-password-cancel');
+  const exportVaultBtn = document.getElementById('export-vault-btn');
+  const importVaultBtn = document.getElementById('import-vault-btn');
+  const importFileInput = document.getElementById('import-file-input');
+  const importForm = document.getElementById('import-form');
+  const importFileName = document.getElementById('import-file-name');
+  const importPasswordInput = document.getElementById('import-password');
+  const importModeSelect = document.getElementById('import-mode');
+  const importConflictSelect = document.getElementById('import-conflict');
+  const importConfirmBtn = document.getElementById('import-confirm');
+  const importCancelBtn = document.getElementById('import-cancel');
+  const importKeyfileInput = document.getElementById('import-keyfile');
+  const keyfileBtn = document.getElementById('keyfile-btn');
+  const keyfileGenerateBtn = document.getElementById('keyfile-generate');
+  const keyfileInput = document.getElementById('keyfile-input');
+  const keyfileManageBtn = document.getElementById('keyfile-manage-btn');
+  const keyfileNewInput = document.getElementById('keyfile-new-input');
+  const lockButton = document.getElementById('lock-button');
+  const lockCountdownEl = document.getElementById('lock-countdown');
+  const lockCountdownText = document.getElementById('lock-countdown-text');
+  const lockCountdownStay = document.getElementById('lock-countdown-stay');
+  const autoLockIdleInput = document.getElementById('auto-lock-idle');
+  const autoLockHiddenInput = document.getElementById('auto-lock-hidden');
+  const autoLockSleepInput = document.getElementById('auto-lock-sleep');
+  const previewPane = document.getElementById('preview-pane');
+  const previewTitle = document.getElementById('preview-title');
+  const previewBody = document.getElementById('preview-body');
+  const previewClose = document.getElementById('preview-close');
+  const vaultSelect = document.getElementById('vault-select');
+  const newVaultBtn = document.getElementById('new-vault-btn');
+  const renameVaultBtn = document.getElementById('rename-vault-btn');
+  const deleteVaultBtn = document.getElementById('delete-vault-btn');
+  const vaultForm = document.getElementById('vault-form');
+  const vaultNameInput = document.getElementById('vault-name');
+  const vaultKdfSelect = document.getElementById('vault-kdf');
+  const vaultBackendSelect = document.getElementById('vault-backend');
+  const vaultCreateBtn = document.getElementById('vault-create');
+  const vaultCancelBtn = document.getElementById('vault-cancel');
+  const confirmSetupInput = document.getElementById('confirm-setup-password');
+  const passwordStrengthEl = document.getElementById('password-strength');
+  const newPasswordStrengthEl = document.getElementById('new-password-strength');
+  const minStrengthSelect = document.getElementById('min-password-strength');
+  const kdfCurrentEl = document.getElementById('kdf-current');
+  const kdfAlgorithmSelect = document.getElementById('kdf-algorithm');
+  const kdfTargetInput = document.getElementById('kdf-target');
+  const kdfBenchmarkBtn = document.getElementById('kdf-benchmark');
+  const kdfProposalEl = document.getElementById('kdf-proposal');
+  const kdfApplyBtn = document.getElementById('kdf-apply');
+  const listControls = document.getElementById('list-controls');
+  const searchInput = document.getElementById('search-input');
+  const sortKeySelect = document.getElementById('sort-key');
+  const sortDirBtn = document.getElementById('sort-dir-btn');
+  const filterTypeSelect = document.getElementById('filter-type');
+  const filterTagSelect = document.getElementById('filter-tag');
+  const filterFromInput = document.getElementById('filter-from');
+  const filterToInput = document.getElementById('filter-to');
+  const selectAllBtn = document.getElementById('select-all-btn');
+  const invertSelectionBtn = document.getElementById('invert-selection-btn');
+  const listCountEl = document.getElementById('list-count');
+  const historyPane = document.getElementById('history-pane');
+  const historyTitle = document.getElementById('history-title');
+  const historyList = document.getElementById('history-list');
+  const historyClose = document.getElementById('history-close');
+  const detailsPane = document.getElementById('details-pane');
+  const detailsTitle = document.getElementById('details-title');
+  const detailsTagsInput = document.getElementById('details-tags');
+  const detailsTagColors = document.getElementById('details-tag-colors');
+  const detailsNoteInput = document.getElementById('details-note');
+  const detailsSave = document.getElementById('details-save');
+  const detailsClose = document.getElementById('details-close');
+  const newNoteBtn = document.getElementById('new-note-btn');
+  const editorPane = document.getElementById('editor-pane');
+  const editorTitle = document.getElementById('editor-title');
+  const editorClose = document.getElementById('editor-close');
+  const editorNameInput = document.getElementById('editor-name');
+  const editorFormatSelect = document.getElementById('editor-format');
+  const editorPreviewBtn = document.getElementById('editor-preview-btn');
+  const editorTextInput = document.getElementById('editor-text');
+  const editorPreview = document.getElementById('editor-preview');
+  const editorStatus = document.getElementById('editor-status');
+  const editorSave = document.getElementById('editor-save');
+  const sharePane = document.getElementById('share-pane');
+  const shareTitle = document.getElementById('share-title');
+  const shareClose = document.getElementById('share-close');
+  const sharePassphraseFields = document.getElementById('share-passphrase-fields');
+  const sharePassphraseInput = document.getElementById('share-passphrase');
+  const shareGenerateBtn = document.getElementById('share-generate');
+  const shareKeyFields = document.getElementById('share-key-fields');
+  const shareKeyInput = document.getElementById('share-key-input');
+  const shareKeyInfo = document.getElementById('share-key-info');
+  const shareExpirySelect = document.getElementById('share-expiry');
+  const shareCreateBtn = document.getElementById('share-create');
+  const openPackageBtn = document.getElementById('open-package-btn');
+  const openPackageInput = document.getElementById('open-package-input');
+  const exportPublicKeyBtn = document.getElementById('export-public-key-btn');
+  const versionKeepCountInput = document.getElementById('version-keep-count');
+  const versionKeepDaysInput = document.getElementById('version-keep-days');
+  const trashBtn = document.getElementById('trash-btn');
+  const trashPane = document.getElementById('trash-pane');
+  const trashList = document.getElementById('trash-list');
+  const trashEmptyBtn = document.getElementById('trash-empty');
+  const trashClose = document.getElementById('trash-close');
+  const trashKeepDaysInput = document.getElementById('trash-keep-days');
+  const auditVaultBtn = document.getElementById('audit-vault-btn');
+  const auditPane = document.getElementById('audit-pane');
+  const auditStatus = document.getElementById('audit-status');
+  const auditProgress = document.getElementById('audit-progress');
+  const auditCancel = document.getElementById('audit-cancel');
+  const auditClose = document.getElementById('audit-close');
+  const auditReport = document.getElementById('audit-report');
+  const auditQuarantineAll = document.getElementById('audit-quarantine-all');
+  const quarantineList = document.getElementById('quarantine-list');
+  const storageBtn = document.getElementById('storage-btn');
+  const storagePane = document.getElementById('storage-pane');
+  const storageRefresh = document.getElementById('storage-refresh');
+  const storageClose = document.getElementById('storage-close');
+  const storageQuotaText = document.getElementById('storage-quota-text');
+  const storageQuota = document.getElementById('storage-quota');
+  const storagePersistStatus = document.getElementById('storage-persist-status');
+  const storagePersistBtn = document.getElementById('storage-persist');
+  const storageBackendText = document.getElementById('storage-backend-text');
+  const storageBackendMove = document.getElementById('storage-backend-move');
+  const storageBackendSelect = document.getElementById('storage-backend-select');
+  const storageMigrateBtn = document.getElementById('storage-migrate');
+  const storageVaultTotal = document.getElementById('storage-vault-total');
+  const storageByArea = document.getElementById('storage-by-area');
+  const storageByType = document.getElementById('storage-by-type');
+  const storageByFile = document.getElementById('storage-by-file');
+  const syncBtn = document.getElementById('sync-btn');
+  const syncPane = document.getElementById('sync-pane');
+  const syncNowBtn = document.getElementById('sync-now');
+  const syncClose = document.getElementById('sync-close');
+  const syncStatusText = document.getElementById('sync-status');
+  const syncSetup = document.getElementById('sync-setup');
+  const syncServerInput = document.getElementById('sync-server');
+  const syncTokenInput = document.getElementById('sync-token');
+  const syncIdInput = document.getElementById('sync-id-input');
+  const syncConnectBtn = document.getElementById('sync-connect');
+  const syncConnected = document.getElementById('sync-connected');
+  const syncIdText = document.getElementById('sync-id');
+  const syncDisconnectBtn = document.getElementById('sync-disconnect');
+  const syncConflictsTitle = document.getElementById('sync-conflicts-title');
+  const syncConflictList = document.getElementById('sync-conflicts');
+  const notificationsBtn = document.getElementById('notifications-btn');
+  const notificationCenter = document.getElementById('notification-center');
+  const notificationsClear = document.getElementById('notifications-clear');
+  const notificationsClose = document.getElementById('notifications-close');
+  const transferQueueEl = document.getElementById('transfer-queue');
+  const transferList = document.getElementById('transfer-list');
+  const transferProgress = document.getElementById('transfer-progress');
+  const transferStatus = document.getElementById('transfer-status');
+  const transferPauseAll = document.getElementById('transfer-pause-all');
+  const transferCancelAll = document.getElementById('transfer-cancel-all');
+  const transferClear = document.getElementById('transfer-clear');
+
+  // dataTransfer types for dragging list entries between folders
+  const DRAG_FILE_TYPE = 'application/x-efs-file';
+  const DRAG_FOLDER_TYPE = 'application/x-efs-folder';
+
+  // id of the implicit root folder (folder records are keyed by opaque ids)
+  const ROOT_FOLDER = 'root';
 
   // --- In-memory session ---
-  let sessionPassword = null; // stored only while page is open and unlocked
+  let sessionKey = null;      // vault master key (CryptoKey), only while page is open and unlocked
   let unlocked = false;       // whether explorer is unlocked for this session
-  let storedFiles = [];       // cached list of file records from DB
+  let storedFiles = [];       // file entries: { id, record, ...opened header } (locked: { id, record })
+  let storedFolders = [];     // folder entries: { id, record, name, parentId, createdAt } (unlocked only)
+  let currentFolder = ROOT_FOLDER; // id of the folder shown in the explorer
+  const objectUrls = new Set(); // blob: URLs handed out for decrypted data, revoked on lock
+  let previewId = null;        // id of the file shown in the preview pane
+  let previewUrls = [];        // object URLs owned by the current preview
+  let previewToken = 0;        // bumped on every open/close so stale decrypts are dropped
+  let versionCounts = new Map(); // file id -> number of stored versions
+  let historyFileId = null;      // id of the file whose history is shown
+  let detailsFileId = null;      // id of the file whose tags and note are being edited
+  let tagColors = {};            // tag -> colour (unlocked only)
+  let editorNote = null;         // note open in the editor: { fileId (null until first saved), folderId }
+  let editorDirty = false;       // the editor has changes that are not saved as a file yet
+  let editorDraftTimer = null;   // pending draft autosave
+  let draftToken = 0;            // bumped when the draft is removed, so a late autosave is dropped
+  let shareFileId = null;        // id of the file the share pane packages
+  let shareRecipient = null;     // public key file chosen in the share pane: { name, keyId, key }
+  let trashEntries = [];         // trashed files / folders: { id, kind, record, ...opened header } (unlocked only)
+  let auditToken = 0;            // bumped to cancel a running audit (cancel button, lock, reset)
+  let auditProblems = [];        // findings of the last audit: { source, record, label, status, detail }
+  let transfers = [];            // upload queue items: { file, name, path, label, size, done, status, ... }
+  let transferRun = null;        // promise of the running queue worker, null when idle
+  let transferConflicts = conflictBatch(); // name conflict answers for the current batch
+  const transferLanes = new Set(); // promises of the uploads running side by side
+  let transfersPaused = false;   // "Pause all"; items can also be paused one by one
+
+  // meta record holding the password-wrapped vault master key
+  const VAULT_KEY_ID = 'vault';
+  // meta record holding the password verifier (a known value sealed under the master key)
+  const VERIFIER_ID = 'verifier';
+  // meta record marking that every header is bound to its record; older ones are migrated once
+  const HEADER_BINDING_ID = 'headerBinding';
+  // meta record holding this vault's key pair for receiving shares, sealed under the master key
+  const SHARE_KEY_PAIR_ID = 'shareKeyPair';
+
+  // minimum PasswordStrength score for new passwords; configurable, stored like the theme
+  const PASSWORD_POLICY_STORAGE_KEY = 'passwordPolicy';
+  const DEFAULT_MIN_PASSWORD_SCORE = 2;
+  let vaultInitialized = true; // false while the active vault has no password yet (first run)
+  let vaultNeedsKeyfile = false; // the active vault's key is wrapped with a keyfile as well
+  let unlockKeyfile = null;     // { name, digest } picked next to the password; kept until lock
+
+  // --- Vaults ---
+  // each vault is a separate database with its own password; the selection persists like the theme
+  const ACTIVE_VAULT_STORAGE_KEY = 'activeVault';
+  let vaults = [];        // registered vaults: { id, name, dbName, backend, createdAt, kdf }
+  let activeVault = null; // the vault whose database is in use
+
+  // --- Key derivation ---
+  // a vault's `kdf` is its policy (see CryptoHelper.kdfPolicy); the vault key records the
+  // parameters it was actually wrapped with and is re-wrapped after unlock when weaker
+  const KDF_PRESETS = {
+    'pbkdf2-200k': { name: 'PBKDF2', iterations: 200000 },
+    'pbkdf2-600k': { name: 'PBKDF2', iterations: 600000 },
+    'pbkdf2-1m': { name: 'PBKDF2', iterations: 1000000 },
+    'argon2id-19m': { name: 'Argon2id', memory: 19456, iterations: 2, parallelism: 1 },
+    'argon2id-64m': { name: 'Argon2id', memory: 65536, iterations: 3, parallelism: 1 }
+  };
+  let kdfProposal = null; // params from the last benchmark, until applied
+
+  // Files at least this large are streamed straight to disk where the browser allows it
+  const STREAM_TO_DISK_THRESHOLD = 256 * 1024 * 1024;
+  // Previews decrypt into memory, so larger files have to be downloaded instead
+  const PREVIEW_MAX_BYTES = STREAM_TO_DISK_THRESHOLD;
+
+  // --- Version history ---
+  // overwritten files keep their previous revisions; retention is configurable (0 = no limit)
+  const VERSION_RETENTION_STORAGE_KEY = 'versionRetention';
+  const VERSION_RETENTION_DEFAULTS = { maxVersions: 10, maxAgeDays: 0 };
+  let versionRetention = loadVersionRetention();
+
+  // --- Trash ---
+  // deleted files and folders wait in the trash; purged automatically after maxAgeDays (0 = never)
+  const TRASH_RETENTION_STORAGE_KEY = 'trashRetention';
+  const TRASH_RETENTION_DEFAULTS = { maxAgeDays: 30 };
+  let trashRetention = loadTrashRetention();
+
+  // --- Tags and notes ---
+  // a file's tags and note live in its sealed header; the tag colours are one meta record
+  // sealed under the master key, so none of them is readable while locked
+  const TAG_COLORS_ID = 'tagColors';
+  const TAG_PALETTE = ['#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#e53935', '#00897b', '#6d4c41', '#546e7a'];
+  const MAX_TAGS = 20;
+  const MAX_TAG_LENGTH = 32;
+  const MAX_NOTE_LENGTH = 4000;
+
+  // --- Note editor ---
+  // notes are text files written in the page; the unsaved state of the editor is one meta
+  // record (the draft) sealed under the master key
+  const NOTE_DRAFT_ID = 'noteDraft';
+  const NOTE_DRAFT_DELAY_MS = 1500;   // the draft is sealed this long after the last keystroke
+  const NOTE_MAX_BYTES = 1024 * 1024; // larger text files are previewed, not edited
+  const NOTE_FORMATS = {
+    text: { extension: 'txt', mimeType: 'text/plain' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' }
+  };
+
+  // --- Storage ---
+  // the browser quota is shared by every vault of this site; uploads that would fill more
+  // than STORAGE_WARN_RATIO of it ask first, uploads that do not fit are refused
+  const STORAGE_WARN_RATIO = 0.8;
+  const STORAGE_TOP_FILES = 20;
+  const STORAGE_CHUNK_SIZE = 1024 * 1024; // plaintext bytes per chunk (see CryptoHelper)
+  const STORAGE_CHUNK_OVERHEAD = 64;      // stored bytes per chunk besides the plaintext (tag, IV, keys)
+  const STORAGE_RECORD_OVERHEAD = 2048;   // bytes per file record (sealed header, wrapped key)
+  const PERSIST_OFFERED_STORAGE_KEY = 'persistOffered';
+  let storageToken = 0; // bumped to drop a measurement that is no longer wanted
+
+  // --- Sync ---
+  // optional sync with a self-hosted server (SyncEngine): it runs while the vault is unlocked,
+  // and once when an empty vault joins a vault that is synced elsewhere
+  const SYNC_INTERVAL_MS = 60 * 1000; // pull and replay the queue this often
+  const SYNC_DELAY_MS = 2000;         // a local change is pushed this long after the last one
+  const SYNC_LOCAL_META_IDS = [NOTE_DRAFT_ID]; // meta records that stay on this device
+  const SYNC_META_LABELS = {
+    [VAULT_KEY_ID]: 'The vault password',
+    [VERIFIER_ID]: 'The password check',
+    [HEADER_BINDING_ID]: 'The metadata binding marker',
+    [SHARE_KEY_PAIR_ID]: 'The key pair for receiving shares',
+    [TAG_COLORS_ID]: 'The tag colours'
+  };
+  let syncAbort = null;      // AbortController of this session's syncs (or of a join)
+  let syncTimer = null;      // periodic sync while unlocked
+  let syncDelayTimer = null; // pending sync after a local change
+  let syncRun = null;        // promise of the running sync, null when idle
+  let syncProblem = '';      // what went wrong in the last sync, as shown in the pane ('offline' if the server was unreachable)
+  let syncConflictCount = 0; // conflicts after the last sync, to announce new ones
+
+  // --- Auto-lock ---
+  // settings persist in localStorage (like the theme); a value of 0 minutes turns that trigger off
+  const AUTO_LOCK_STORAGE_KEY = 'autoLock';
+  const AUTO_LOCK_DEFAULTS = { idleMinutes: 10, hiddenMinutes: 5, lockOnSleep: true };
+  const LOCK_COUNTDOWN_MS = 30 * 1000; // warning shown before an inactivity lock
+  const AUTO_LOCK_TICK_MS = 1000;
+  // a tick arriving this late means the machine was suspended; browsers throttle timers
+  // in background tabs to roughly one per minute, so stay well above that
+  const SLEEP_GAP_MS = 2 * 60 * 1000;
+  const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+  let autoLockSettings = loadAutoLockSettings();
+  let autoLockTimer = null;
+  let lastActivity = 0;   // time of the last user input while unlocked
+  let lastTick = 0;       // time of the previous auto-lock check (sleep detection)
+  let hiddenSince = null; // when the tab was hidden, null while visible
+
+  // --- List view: search, sort, filter, virtual scrolling ---
+  const LIST_ROW_HEIGHT = 52; // px; must match `#file-list li.list-row` in style.css
+  const LIST_OVERSCAN = 8;    // extra rows rendered above and below the viewport
+  const LIST_SORT_STORAGE_KEY = 'listSort';
+  let listRows = [];          // rows of the current view: { key, render: () => <li> }
+  let renderedRange = null;   // [first, last) indexes of listRows currently in the DOM
+  let viewFiles = [];         // files matching the current search and filters
+  const selectedIds = new Set(); // ids of checked files (rows are recycled, so not kept in the DOM)
+  let listSort = loadListSort();
+
+  // MIME category filters; files matching none of them are "other"
+  const ARCHIVE_EXTENSIONS = ['zip', 'tar', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'efsvault'];
+  const DOCUMENT_EXTENSIONS = ['pdf', 'txt', 'md', 'rtf', 'csv', 'doc', 'docx', 'odt', 'xls', 'xlsx', 'ods', 'ppt', 'pptx', 'odp'];
+  const MIME_CATEGORIES = {
+    image: (type) => type.startsWith('image/'),
+    audio: (type) => type.startsWith('audio/'),
+    video: (type) => type.startsWith('video/'),
+    archive: (type, ext) => /zip|x-tar|gzip|x-bzip|x-xz|x-7z|x-rar/.test(type) || ARCHIVE_EXTENSIONS.includes(ext),
+    document: (type, ext) => type.startsWith('text/') || type === 'application/pdf' ||
+      /msword|officedocument|opendocument|rtf|json|xml/.test(type) || DOCUMENT_EXTENSIONS.includes(ext)
+  };
 
   // --- Helpers ---
+  /* Toast + notification history (type 'info' or 'error'), see notifications.js */
   function showMessage(msg, type = 'info') {
-    // For now just console + alert for errors; replace later with toast UI
-    console.log(`[EFS] ${msg}`);
-    if (type === 'error') {
-      alert(msg);
+    Notifications.notify(msg, type);
+  }
+
+  function openNotifications() {
+    notificationCenter.style.display = 'block';
+    notificationsBtn.setAttribute('aria-expanded', 'true');
+    Notifications.markRead();
+    notificationsClose.focus();
+  }
+
+  function closeNotifications() {
+    notificationCenter.style.display = 'none';
+    notificationsBtn.setAttribute('aria-expanded', 'false');
+  }
+
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  /* Upper bound of a record's plaintext size, derived only from its clear structure
+     (used for the locked view, where the sealed size is not readable) */
+  function approxSize(record) {
+    if (record.chunkCount) return record.chunkCount * record.chunkSize;
+    return record.ciphertext ? Math.floor(record.ciphertext.length * 3 / 4) : 0;
+  }
+
+  function findFolder(id) {
+    return storedFolders.find(f => f.id === id) || null;
+  }
+
+  /* Display path of a folder ("/a/b"), built from the decrypted folder tree */
+  function folderPath(id) {
+    const names = [];
+    for (let f = findFolder(id); f; f = findFolder(f.parentId)) names.unshift(f.name);
+    return DB.ROOT + names.join('/');
+  }
+
+  /* Whether folder `id` is `ancestorId` or lives somewhere below it */
+  function isFolderInside(id, ancestorId) {
+    if (ancestorId === ROOT_FOLDER) return true;
+    for (let f = findFolder(id); f; f = findFolder(f.parentId)) {
+      if (f.id === ancestorId) return true;
+    }
+    return false;
+  }
+
+  /* Whether a file or folder called `name` already lives directly in `folderId` */
+  function nameTaken(folderId, name, exceptId = null) {
+    return storedFiles.some(e => e.id !== exceptId && e.folderId === folderId && e.name === name) ||
+      storedFolders.some(f => f.id !== exceptId && f.parentId === folderId && f.name === name);
+  }
+
+  /* "report.pdf" -> "report (1).pdf", "report (2).pdf", ... until the name is free in `folderId` */
+  function uniqueName(folderId, name) {
+    if (!nameTaken(folderId, name)) return name;
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let n = 1; ; n++) {
+      const candidate = `${stem} (${n})${ext}`;
+      if (!nameTaken(folderId, candidate)) return candidate;
     }
   }
 
-  function createFileListItem(record) {
-    // record: { name, createdAt, size, ciphertext, ... }
+  /* Name conflicts in a batch (uploads, archive merges): { choice, asking }, where choice is
+     an answer given "for all remaining" and asking chains the dialogs one after another */
+  function conflictBatch() {
+    return { choice: null, asking: Promise.resolve() };
+  }
+
+  /* Ask what to do about `label`, which already exists: resolves 'overwrite', 'keep-both'
+     or 'skip' (also when the dialog is dismissed). Without a batch (a single file) there is
+     no "apply to all". */
+  function askConflict(batch, label) {
+    const ask = async () => {
+      if (batch && batch.choice) return batch.choice;
+      const result = await Dialogs.choose({
+        title: 'File already exists',
+        message: `"${label}" already exists. Overwriting keeps the current contents in its version history; ` +
+          'keeping both stores the new file under a numbered name.',
+        choices: [
+          { value: 'overwrite', label: 'Overwrite' },
+          { value: 'keep-both', label: 'Keep both' },
+          { value: 'skip', label: 'Skip' }
+        ],
+        applyToAll: batch ? 'Apply to all remaining conflicts' : ''
+      });
+      if (!result) return 'skip';
+      if (batch && result.applyToAll) batch.choice = result.value;
+      return result.value;
+    };
+    if (!batch) return ask();
+    const answer = batch.asking.then(ask);
+    batch.asking = answer.catch(() => {});
+    return answer;
+  }
+
+  /* Object URLs for decrypted data go through here so lock() can revoke whatever is still out */
+  function trackObjectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    objectUrls.add(url);
+    return url;
+  }
+
+  function releaseObjectUrl(url) {
+    if (objectUrls.delete(url)) URL.revokeObjectURL(url);
+  }
+
+  function revokeObjectUrls() {
+    for (const url of objectUrls) URL.revokeObjectURL(url);
+    objectUrls.clear();
+  }
+
+  /* Trigger a browser download of a Blob */
+  function saveBlob(blob, name) {
+    const url = trackObjectUrl(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    releaseObjectUrl(url);
+  }
+
+  function createFileListItem(entry) {
+    // entry: { id, record, name, folderId, createdAt, size, mimeType, ... }
     const li = document.createElement('li');
-    li.dataset.name = record.name;
+    li.dataset.id = entry.id;
+    li.draggable = unlocked && !entry.unreadable;
+    li.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(DRAG_FILE_TYPE, entry.id);
+      e.dataTransfer.effectAllowed = 'move';
+    });
 
     const left = document.createElement('div');
     left.style.display = 'flex';
@@ -42,17 +502,41 @@
     const checkbox = document.createElement('input');
     checkbox.type = 'checkbox';
     checkbox.className = 'file-checkbox';
+    checkbox.checked = selectedIds.has(entry.id);
+    checkbox.addEventListener('change', () => setSelected(entry.id, checkbox.checked));
 
     const icon = document.createElement('span');
-    icon.textContent = unlocked ? '📄' : '🔒';
+    icon.className = 'file-icon';
+    icon.textContent = entry.unreadable ? '⚠️' : '📄';
 
     const nameSpan = document.createElement('span');
-    nameSpan.textContent = record.name;
-    nameSpan.title = record.name;
+    nameSpan.textContent = entry.name;
+    nameSpan.title = DB.joinPath(folderPath(entry.folderId), entry.name);
 
     left.appendChild(checkbox);
     left.appendChild(icon);
     left.appendChild(nameSpan);
+    if (entry.tags && entry.tags.length) {
+      const tags = document.createElement('span');
+      tags.className = 'file-tags';
+      entry.tags.forEach(tag => tags.appendChild(tagChip(tag)));
+      left.appendChild(tags);
+    }
+    if (entry.note) {
+      const note = document.createElement('span');
+      note.className = 'file-note';
+      note.textContent = '📝';
+      note.title = entry.note;
+      note.setAttribute('aria-label', `Note: ${entry.note}`);
+      left.appendChild(note);
+    }
+    if (entry.folderId !== currentFolder) {
+      // search results from other folders show where they live
+      const location = document.createElement('small');
+      location.className = 'file-location';
+      location.textContent = `in ${folderPath(entry.folderId)}`;
+      left.appendChild(location);
+    }
 
     const right = document.createElement('div');
     right.style.display = 'flex';
@@ -60,14 +544,14 @@
     right.style.gap = '0.6rem';
 
     const meta = document.createElement('small');
-    const date = new Date(record.createdAt);
-    meta.textContent = `${(record.size/1024).toFixed(1)} KB • ${date.toLocaleString()}`;
+    const date = entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'unknown date';
+    meta.textContent = `${formatSize(entry.size)} • ${date}`;
     right.appendChild(meta);
 
     // Download / status button
     const actionBtn = document.createElement('button');
-    actionBtn.textContent = unlocked ? 'Download' : 'Locked';
-    actionBtn.disabled = !unlocked;
+    actionBtn.textContent = 'Download';
+    actionBtn.disabled = !unlocked || entry.unreadable;
     actionBtn.className = 'file-action-btn';
     actionBtn.addEventListener('click', async (e) => {
       e.stopPropagation();
@@ -76,12 +560,84 @@
         return;
       }
       try {
-        await downloadFile(record.name);
+        await downloadFile(entry.id);
       } catch (err) {
         showMessage(`Download failed: ${err.message}`, 'error');
       }
     });
 
+    if (!entry.unreadable && Preview.kindOf(entry)) {
+      const previewBtn = document.createElement('button');
+      previewBtn.textContent = 'Preview';
+      previewBtn.disabled = !unlocked;
+      previewBtn.className = 'file-action-btn';
+      previewBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+          await previewFile(entry.id);
+        } catch (err) {
+          closePreview();
+          showMessage(`Preview failed: ${err.message}`, 'error');
+        }
+      });
+      right.appendChild(previewBtn);
+    }
+
+    if (!entry.unreadable && isEditableNote(entry)) {
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit';
+      editBtn.disabled = !unlocked;
+      editBtn.className = 'file-action-btn';
+      editBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+          await openNoteEditor(entry.id);
+        } catch (err) {
+          showMessage(`Could not open the editor: ${err.message}`, 'error');
+        }
+      });
+      right.appendChild(editBtn);
+    }
+
+    const versions = versionCounts.get(entry.id) || 0;
+    if (versions) {
+      const historyBtn = document.createElement('button');
+      historyBtn.textContent = `History (${versions})`;
+      historyBtn.disabled = !unlocked;
+      historyBtn.className = 'file-action-btn';
+      historyBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+          await openHistory(entry.id);
+        } catch (err) {
+          showMessage(`Could not load history: ${err.message}`, 'error');
+        }
+      });
+      right.appendChild(historyBtn);
+    }
+
+    if (!entry.unreadable) {
+      const shareBtn = document.createElement('button');
+      shareBtn.textContent = 'Share';
+      shareBtn.disabled = !unlocked;
+      shareBtn.className = 'file-action-btn';
+      shareBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openShare(entry.id);
+      });
+      right.appendChild(shareBtn);
+
+      const detailsBtn = document.createElement('button');
+      detailsBtn.textContent = 'Tags & note';
+      detailsBtn.disabled = !unlocked;
+      detailsBtn.className = 'file-action-btn';
+      detailsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openDetails(entry.id);
+      });
+      right.appendChild(detailsBtn);
+    }
+
     right.appendChild(actionBtn);
 
     li.appendChild(left);
@@ -91,207 +647,3616 @@
     li.addEventListener('click', (e) => {
       if (e.target.tagName.toLowerCase() === 'input') return;
       checkbox.checked = !checkbox.checked;
+      setSelected(entry.id, checkbox.checked);
+    });
+
+    return li;
+  }
+
+  /* Placeholder row for the locked view: no name, only an approximate size */
+  function createLockedListItem(entry) {
+    const li = document.createElement('li');
+    li.className = 'locked-item';
+
+    const left = document.createElement('div');
+    left.style.display = 'flex';
+    left.style.alignItems = 'center';
+    left.style.gap = '0.6rem';
+
+    const icon = document.createElement('span');
+    icon.className = 'file-icon';
+    icon.textContent = '🔒';
+
+    const label = document.createElement('span');
+    label.textContent = 'Encrypted file';
+
+    left.appendChild(icon);
+    left.appendChild(label);
+
+    const right = document.createElement('div');
+    right.style.display = 'flex';
+    right.style.alignItems = 'center';
+    right.style.gap = '0.6rem';
+
+    const meta = document.createElement('small');
+    meta.textContent = `≈ ${formatSize(approxSize(entry.record))}`;
+    right.appendChild(meta);
+
+    const actionBtn = document.createElement('button');
+    actionBtn.textContent = 'Locked';
+    actionBtn.disabled = true;
+    actionBtn.className = 'file-action-btn';
+    right.appendChild(actionBtn);
+
+    li.appendChild(left);
+    li.appendChild(right);
+    return li;
+  }
+
+  function createFolderListItem(folder) {
+    const li = document.createElement('li');
+    li.className = 'folder-item';
+    li.dataset.folder = folder.id;
+    li.draggable = unlocked;
+    li.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(DRAG_FOLDER_TYPE, folder.id);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    makeDropTarget(li, folder.id);
+
+    const left = document.createElement('div');
+    left.style.display = 'flex';
+    left.style.alignItems = 'center';
+    left.style.gap = '0.6rem';
+
+    const icon = document.createElement('span');
+    icon.className = 'folder-icon';
+    icon.textContent = '📁';
+
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = folder.name;
+    nameSpan.title = folderPath(folder.id);
+
+    left.appendChild(icon);
+    left.appendChild(nameSpan);
+
+    const right = document.createElement('div');
+    right.style.display = 'flex';
+    right.style.alignItems = 'center';
+    right.style.gap = '0.6rem';
+
+    const zipBtn = document.createElement('button');
+    zipBtn.textContent = 'Download';
+    zipBtn.className = 'folder-action-btn';
+    zipBtn.title = 'Download as ZIP';
+    zipBtn.disabled = !unlocked;
+    zipBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      try {
+        await downloadFolder(folder.id);
+      } catch (err) {
+        showMessage(`Download failed: ${err.message}`, 'error');
+      }
+    });
+
+    const renameBtn = document.createElement('button');
+    renameBtn.textContent = 'Rename';
+    renameBtn.className = 'folder-action-btn';
+    renameBtn.disabled = !unlocked;
+    renameBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await renameFolder(folder.id);
     });
 
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Delete';
+    removeBtn.className = 'folder-action-btn danger';
+    removeBtn.disabled = !unlocked;
+    removeBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await deleteFolder(folder.id);
+    });
+
+    right.appendChild(zipBtn);
+    right.appendChild(renameBtn);
+    right.appendChild(removeBtn);
+
+    li.appendChild(left);
+    li.appendChild(right);
+
+    // clicking a folder row opens it
+    li.addEventListener('click', () => openFolder(folder.id));
+
     return li;
   }
 
+  /* Accept files and folders dragged from the list onto `el`, moving them into `targetFolder` */
+  function makeDropTarget(el, targetFolder) {
+    el.addEventListener('dragover', (e) => {
+      const types = Array.from(e.dataTransfer.types);
+      if (!unlocked || !(types.includes(DRAG_FILE_TYPE) || types.includes(DRAG_FOLDER_TYPE))) return;
+      e.preventDefault();
+      e.stopPropagation();
+      el.classList.add('drop-target');
+    });
+    el.addEventListener('dragleave', () => el.classList.remove('drop-target'));
+    el.addEventListener('drop', async (e) => {
+      const fileId = e.dataTransfer.getData(DRAG_FILE_TYPE);
+      const folderId = e.dataTransfer.getData(DRAG_FOLDER_TYPE);
+      if (!fileId && !folderId) return;
+      e.preventDefault();
+      e.stopPropagation();
+      el.classList.remove('drop-target');
+      try {
+        if (fileId) await moveFile(fileId, targetFolder);
+        else await moveFolder(folderId, targetFolder);
+      } catch (err) {
+        showMessage(`Move failed: ${err.message}`, 'error');
+      }
+      await refreshFileList();
+    });
+  }
+
+  /* Open the sealed headers of all records. Records that cannot be opened
+     (corrupted, or still keyed by another password) are listed as unreadable. */
+  async function openFileEntries(records) {
+    return Promise.all(records.map(async (record) => {
+      try {
+        const meta = await CryptoHelper.openFileHeader(record, sessionKey);
+        const folderId = findFolder(meta.folderId) ? meta.folderId : ROOT_FOLDER;
+        return { ...meta, id: record.id, record, folderId };
+      } catch (err) {
+        return {
+          id: record.id,
+          record,
+          name: `Unreadable record ${record.id.slice(0, 8)}`,
+          folderId: ROOT_FOLDER,
+          size: approxSize(record),
+          createdAt: null,
+          unreadable: true
+        };
+      }
+    }));
+  }
+
+  async function openFolderEntries(records) {
+    const entries = [];
+    for (const record of records) {
+      try {
+        entries.push({ ...(await CryptoHelper.openFolderRecord(record, sessionKey)), id: record.id, record });
+      } catch (err) {
+        showMessage(`Skipping unreadable folder ${record.id.slice(0, 8)}: ${err.message}`);
+      }
+    }
+    return entries;
+  }
+
   async function refreshFileList() {
     try {
-      storedFiles = await DB.getAllFiles();
-      // sort by createdAt desc
-      storedFiles.sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt));
+      const records = await DB.getAllFiles();
+      if (unlocked) {
+        storedFolders = await openFolderEntries(await DB.getAllFolders());
+        storedFiles = await openFileEntries(records);
+        // sort by createdAt desc
+        storedFiles.sort((a,b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+        storedFolders.sort((a,b) => a.name.localeCompare(b.name));
+        versionCounts = new Map();
+        for (const version of await DB.getAllVersions()) {
+          versionCounts.set(version.fileId, (versionCounts.get(version.fileId) || 0) + 1);
+        }
+        await loadTrash();
+        tagColors = await loadTagColors();
+      } else {
+        // locked: only opaque records, nothing descriptive is readable
+        storedFolders = [];
+        storedFiles = records.map(record => ({ id: record.id, record }));
+        versionCounts = new Map();
+        trashEntries = [];
+      }
+      if (currentFolder !== ROOT_FOLDER && !findFolder(currentFolder)) {
+        currentFolder = ROOT_FOLDER; // folder vanished (deleted, reset or locked)
+      }
+      if (previewId && !storedFiles.some(e => e.id === previewId && e.name)) closePreview();
+      if (historyFileId) {
+        if (storedFiles.some(e => e.id === historyFileId && e.name)) await renderHistory(historyFileId);
+        else closeHistory();
+      }
+      if (detailsFileId && !storedFiles.some(e => e.id === detailsFileId && e.name)) closeDetails();
+      if (shareFileId && !storedFiles.some(e => e.id === shareFileId && e.name)) closeShare();
+      renderTagFilter();
+      renderTrash();
       renderFileList();
     } catch (err) {
       showMessage('Failed to load files from DB: ' + err.message, 'error');
     }
   }
 
+  function renderBreadcrumb() {
+    breadcrumbEl.innerHTML = '';
+    if (!unlocked) return; // the folder tree is sealed while locked
+
+    const crumbs = [{ label: 'Root', id: ROOT_FOLDER }];
+    const chain = [];
+    for (let f = findFolder(currentFolder); f; f = findFolder(f.parentId)) chain.unshift(f);
+    chain.forEach(f => crumbs.push({ label: f.name, id: f.id }));
+
+    crumbs.forEach((crumb, i) => {
+      if (i > 0) {
+        const sep = document.createElement('span');
+        sep.className = 'breadcrumb-sep';
+        sep.textContent = '›';
+        breadcrumbEl.appendChild(sep);
+      }
+      const btn = document.createElement('button');
+      btn.className = 'breadcrumb-item';
+      btn.textContent = crumb.label;
+      btn.disabled = crumb.id === currentFolder;
+      btn.addEventListener('click', () => openFolder(crumb.id));
+      makeDropTarget(btn, crumb.id);
+      breadcrumbEl.appendChild(btn);
+    });
+  }
+
+  function messageRow(text, className = '') {
+    return {
+      key: `message:${text}`,
+      render: () => {
+        const li = document.createElement('li');
+        li.className = className;
+        li.textContent = text;
+        return li;
+      }
+    };
+  }
+
+  function lockedRows() {
+    const total = storedFiles.reduce((sum, e) => sum + approxSize(e.record), 0);
+    const summary = messageRow(`🔒 ${storedFiles.length} encrypted file(s), about ${formatSize(total)} in total. ` +
+      'Unlock to see names and folders.', 'locked-summary');
+    return [summary, ...storedFiles.map(entry => ({ key: entry.id, render: () => createLockedListItem(entry) }))];
+  }
+
   function renderFileList() {
-    fileListEl.innerHTML = '';
-    if (!storedFiles || storedFiles.length === 0) {
+    renderBreadcrumb();
+    const rows = [];
+    viewFiles = [];
+
+    if (!storedFiles.length && !storedFolders.length) {
+      selectedIds.clear();
+      rows.push(messageRow('No files stored yet.'));
+    } else if (!unlocked) {
+      selectedIds.clear();
+      rows.push(...lockedRows());
+    } else {
+      const { folders, files } = currentView();
+      viewFiles = files;
+      // never act on checked files that the search or filters now hide
+      const visible = new Set(files.map(e => e.id));
+      for (const id of selectedIds) if (!visible.has(id)) selectedIds.delete(id);
+
+      if (!folders.length && !files.length) {
+        rows.push(messageRow(isFiltering() ? 'No files match the search or filters.' : 'This folder is empty.'));
+      }
+      for (const folder of folders) rows.push({ key: `folder:${folder.id}`, render: () => createFolderListItem(folder) });
+      for (const entry of files) rows.push({ key: entry.id, render: () => createFileListItem(entry) });
+    }
+
+    listRows = rows;
+    renderedRange = null;
+    renderVisibleRows();
+    renderListCount();
+  }
+
+  /* Only the rows in (or near) the scroll viewport are in the DOM; spacers stand in for the rest */
+  function renderVisibleRows() {
+    const viewport = fileListEl.clientHeight || 300; // 0 before the first layout
+    const first = Math.max(0, Math.floor(fileListEl.scrollTop / LIST_ROW_HEIGHT) - LIST_OVERSCAN);
+    const last = Math.min(listRows.length,
+      Math.ceil((fileListEl.scrollTop + viewport) / LIST_ROW_HEIGHT) + LIST_OVERSCAN);
+    if (renderedRange && renderedRange[0] === first && renderedRange[1] === last) return;
+    renderedRange = [first, last];
+
+    const spacer = (rows) => {
       const li = document.createElement('li');
-      li.textContent = 'No files stored yet.';
-      fileListEl.appendChild(li);
+      li.className = 'list-spacer';
+      li.setAttribute('aria-hidden', 'true');
+      li.style.height = `${rows * LIST_ROW_HEIGHT}px`;
+      return li;
+    };
+    const nodes = [];
+    if (first > 0) nodes.push(spacer(first));
+    for (let i = first; i < last; i++) {
+      const li = listRows[i].render();
+      li.classList.add('list-row');
+      nodes.push(li);
+    }
+    if (last < listRows.length) nodes.push(spacer(listRows.length - last));
+    fileListEl.replaceChildren(...nodes);
+  }
+
+  function isFiltering() {
+    return Boolean(searchInput.value.trim() || filterTypeSelect.value !== 'all' || filterTagSelect.value ||
+      filterFromInput.value || filterToInput.value);
+  }
+
+  function extensionOf(name) {
+    const dot = (name || '').lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+  }
+
+  function mimeCategory(entry) {
+    const type = (entry.mimeType || '').toLowerCase();
+    const ext = extensionOf(entry.name);
+    for (const [category, matches] of Object.entries(MIME_CATEGORIES)) {
+      if (matches(type, ext)) return category;
+    }
+    return 'other';
+  }
+
+  function compareEntries(a, b, key) {
+    const byName = (a.name || '').localeCompare(b.name || '', undefined, { numeric: true, sensitivity: 'base' });
+    if (key === 'date') return (new Date(a.createdAt || 0) - new Date(b.createdAt || 0)) || byName;
+    if (key === 'size') return ((a.size || 0) - (b.size || 0)) || byName;
+    if (key === 'type') {
+      const type = (e) => e.mimeType || extensionOf(e.name);
+      return type(a).localeCompare(type(b)) || byName;
+    }
+    return byName;
+  }
+
+  /* Whether a search matches a name, one of the tags or the note */
+  function matchesQuery(entry, query) {
+    return (entry.name || '').toLowerCase().includes(query) ||
+      (entry.tags || []).some(tag => tag.toLowerCase().includes(query)) ||
+      (entry.note || '').toLowerCase().includes(query);
+  }
+
+  /* Folders and files to list: the open folder, or every folder while searching or
+     filtering by tag */
+  function currentView() {
+    const query = searchInput.value.trim().toLowerCase();
+    const category = filterTypeSelect.value;
+    const tag = filterTagSelect.value;
+    const from = filterFromInput.value ? new Date(`${filterFromInput.value}T00:00:00`) : null;
+    const to = filterToInput.value ? new Date(`${filterToInput.value}T00:00:00`) : null;
+    if (to) to.setDate(to.getDate() + 1); // "to" is inclusive
+    const matches = (entry, parentId) => {
+      if (!query && !tag && parentId !== currentFolder) return false;
+      if (query && !matchesQuery(entry, query)) return false;
+      if (from || to) {
+        const created = new Date(entry.createdAt || 0);
+        if ((from && created < from) || (to && created >= to)) return false;
+      }
+      return true;
+    };
+
+    const direction = listSort.dir === 'asc' ? 1 : -1;
+    const folders = category === 'all' && !tag ? storedFolders.filter(f => matches(f, f.parentId)) : [];
+    // folders stay on top, by name unless the list is sorted by name or date
+    const folderKey = listSort.key === 'date' ? 'date' : 'name';
+    folders.sort((a, b) => (listSort.key === folderKey ? direction : 1) * compareEntries(a, b, folderKey));
+    const files = storedFiles.filter(e => matches(e, e.folderId) &&
+      (category === 'all' || mimeCategory(e) === category) && (!tag || (e.tags || []).includes(tag)));
+    files.sort((a, b) => direction * compareEntries(a, b, listSort.key));
+    return { folders, files };
+  }
+
+  function renderListCount() {
+    if (!unlocked) {
+      listCountEl.textContent = '';
       return;
     }
+    const selected = selectedIds.size ? ` · ${selectedIds.size} selected` : '';
+    listCountEl.textContent = `${viewFiles.length} file(s)${selected}`;
+  }
+
+  function setSelected(id, selected) {
+    if (selected) selectedIds.add(id);
+    else selectedIds.delete(id);
+    renderListCount();
+  }
+
+  /* Select all / invert only touch the files the current search and filters show */
+  function selectAll() {
+    const all = viewFiles.every(e => selectedIds.has(e.id));
+    for (const entry of viewFiles) setSelected(entry.id, !all);
+    renderedRange = null;
+    renderVisibleRows();
+  }
+
+  function invertSelection() {
+    for (const entry of viewFiles) setSelected(entry.id, !selectedIds.has(entry.id));
+    renderedRange = null;
+    renderVisibleRows();
+  }
 
-    for (const rec of storedFiles) {
-      const item = createFileListItem(rec);
-      fileListEl.appendChild(item);
+  function loadListSort() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LIST_SORT_STORAGE_KEY)) || {};
+      if (['name', 'size', 'date', 'type'].includes(saved.key) && ['asc', 'desc'].includes(saved.dir)) return saved;
+    } catch (err) {
+      // corrupt value: fall back to the default
     }
+    return { key: 'date', dir: 'desc' };
+  }
+
+  function setListSort(sort) {
+    listSort = sort;
+    localStorage.setItem(LIST_SORT_STORAGE_KEY, JSON.stringify(sort));
+    sortKeySelect.value = sort.key;
+    sortDirBtn.textContent = sort.dir === 'asc' ? '↑' : '↓';
+    renderFileList();
+  }
+
+  function openFolder(id) {
+    currentFolder = id;
+    // a search or tag filter spans all folders; opening one ends it
+    searchInput.value = '';
+    filterTagSelect.value = '';
+    fileListEl.scrollTop = 0;
+    renderFileList();
   }
 
   function setUnlockedState(state) {
     unlocked = state;
-    if (!unlocked) sessionPassword = null;
-    // Update UI states (file icons and action buttons)
-    const items = fileListEl.querySelectorAll('li');
-    items.forEach(li => {
-      const icon = li.querySelector('span');
-      const actionBtn = li.querySelector('.file-action-btn');
-      if (unlocked) {
-        if (icon) icon.textContent = '📄';
-        if (actionBtn) {
-          actionBtn.textContent = 'Download';
-          actionBtn.disabled = false;
-        }
-      } else {
-        if (icon) icon.textContent = '🔒';
-        if (actionBtn) {
-          actionBtn.textContent = 'Locked';
-          actionBtn.disabled = true;
-        }
-      }
-    });
+    if (!unlocked) sessionKey = null;
 
     // Footer buttons
     addFileBtn.disabled = !unlocked;
     downloadBtn.disabled = !unlocked;
     deleteBtn.disabled = !unlocked;
+    newFolderBtn.disabled = !unlocked;
+    newNoteBtn.disabled = !unlocked;
+    trashBtn.disabled = !unlocked;
+    auditVaultBtn.disabled = !unlocked;
+    storageBtn.disabled = !unlocked;
+    syncBtn.disabled = !unlocked && vaultInitialized; // an empty vault can join a synced one
+    openPackageBtn.disabled = !unlocked;
+    exportPublicKeyBtn.disabled = !unlocked;
+    changePasswordBtn.disabled = !unlocked;
+    keyfileManageBtn.disabled = !unlocked;
+    if (!unlocked) changePasswordForm.style.display = 'none';
+    renderKeyfilePicker();
+    listControls.disabled = !unlocked;
+
+    if (unlocked) startAutoLock();
+    else stopAutoLock();
+  }
+
+  // --- Session lock ---
+  /* Forget the master key and everything decrypted with it, then show the locked
+     view. Nothing is reloaded: the opaque records stay listed as placeholders. */
+  function lock(reason = '') {
+    if (!unlocked) return;
+    // edits not sealed yet go into the draft, with the key still at hand
+    if (editorDraftTimer) saveNoteDraft().catch(() => {});
+    setUnlockedState(false); // drops sessionKey and stops the auto-lock timer
+    closePreview();
+    closeHistory();
+    closeDetails();
+    hideNoteEditor();
+    closeShare();
+    closeTrash();
+    closeAudit();
+    closeStorage();
+    stopSync();
+    closeSync();
+    cancelAllTransfers();
+    CryptoHelper.stopWorkers(); // they may still hold keys of running operations
+    revokeObjectUrls();
+    storedFiles = storedFiles.map(entry => ({ id: entry.id, record: entry.record }));
+    storedFolders = [];
+    trashEntries = [];
+    tagColors = {};
+    renderTagFilter();
+    currentFolder = ROOT_FOLDER;
+    passwordInput.value = '';
+    unlockKeyfile = null; // picked again for the next unlock
+    renderKeyfilePicker();
+    closeChangePasswordForm();
+    closeImportForm();
+    renderFileList();
+    closeNotifications();
+    Notifications.clear(); // messages name files and folders
+    showMessage(reason ? `Explorer locked (${reason}).` : 'Explorer locked.');
+  }
+
+  function loadAutoLockSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(AUTO_LOCK_STORAGE_KEY)) || {};
+    } catch (err) {
+      // corrupt value: fall back to the defaults
+    }
+    const minutes = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+    return {
+      idleMinutes: minutes(saved.idleMinutes, AUTO_LOCK_DEFAULTS.idleMinutes),
+      hiddenMinutes: minutes(saved.hiddenMinutes, AUTO_LOCK_DEFAULTS.hiddenMinutes),
+      lockOnSleep: typeof saved.lockOnSleep === 'boolean' ? saved.lockOnSleep : AUTO_LOCK_DEFAULTS.lockOnSleep
+    };
+  }
+
+  function saveAutoLockSettings(settings) {
+    autoLockSettings = settings;
+    localStorage.setItem(AUTO_LOCK_STORAGE_KEY, JSON.stringify(settings));
+    lastActivity = Date.now(); // a changed timeout counts from now
+  }
+
+  function startAutoLock() {
+    stopAutoLock();
+    lastActivity = lastTick = Date.now();
+    hiddenSince = document.hidden ? Date.now() : null;
+    autoLockTimer = setInterval(checkAutoLock, AUTO_LOCK_TICK_MS);
+  }
+
+  function stopAutoLock() {
+    clearInterval(autoLockTimer);
+    autoLockTimer = null;
+    hideLockCountdown();
+  }
+
+  /* Runs every tick while unlocked, and when the tab becomes visible again */
+  function checkAutoLock() {
+    const now = Date.now();
+    const { idleMinutes, hiddenMinutes, lockOnSleep } = autoLockSettings;
+    const slept = now - lastTick > SLEEP_GAP_MS;
+    lastTick = now;
+
+    if (slept && lockOnSleep) { lock('system sleep'); return; }
+    if (hiddenMinutes > 0 && hiddenSince !== null && now - hiddenSince >= hiddenMinutes * 60000) {
+      lock('tab hidden');
+      return;
+    }
+    if (idleMinutes > 0) {
+      const remaining = lastActivity + idleMinutes * 60000 - now;
+      if (remaining <= 0) { lock('inactivity'); return; }
+      if (remaining <= LOCK_COUNTDOWN_MS) { showLockCountdown(remaining); return; }
+    }
+    hideLockCountdown();
+  }
+
+  function noteActivity() {
+    if (!unlocked) return;
+    lastActivity = Date.now();
+    hideLockCountdown();
+  }
+
+  function showLockCountdown(remaining) {
+    lockCountdownText.textContent = `No activity: locking in ${Math.ceil(remaining / 1000)} s.`;
+    lockCountdownEl.style.display = 'flex';
+  }
+
+  function hideLockCountdown() {
+    lockCountdownEl.style.display = 'none';
   }
 
   // --- Core operations ---
   async function tryUnlock(password) {
-    // Validate password by attempting to decrypt one file (if exists)
-    const files = await DB.getAllFiles();
-    if (!files || files.length === 0) {
-      // no files to validate against; accept password
-      sessionPassword = password;
-      setUnlockedState(true);
-      showMessage('Explorer unlocked (no files to validate).');
-      await refreshFileList();
-      return true;
-    }
+    let masterKey;
+    const vaultKey = await DB.getMeta(VAULT_KEY_ID);
+    if (vaultKey) {
+      if (vaultKey.kdf.keyfile && !unlockKeyfile) {
+        showMessage('This vault also needs its keyfile. Select it next to the password.', 'error');
+        return false;
+      }
+      // the password (and keyfile) derive the key-encryption key; unwrapping fails if either is wrong
+      try {
+        masterKey = await CryptoHelper.unwrapMasterKey(vaultKey, password, keyfileDigest(vaultKey));
+      } catch (err) {
+        setUnlockedState(false);
+        showMessage(`${err.message} Unlock failed.`, 'error');
+        return false;
+      }
+      const verifier = await DB.getMeta(VERIFIER_ID);
+      if (verifier && !(await CryptoHelper.checkVerifier(verifier, masterKey))) {
+        setUnlockedState(false);
+        showMessage('Wrong password. Unlock failed.', 'error');
+        return false;
+      }
+      if (!verifier) {
+        // vaults created before verifiers existed get one now
+        await DB.saveMeta({ id: VERIFIER_ID, ...(await CryptoHelper.createVerifier(masterKey)) });
+      }
+    } else {
+      // vault from before envelope encryption: the password must open one of its files
+      const files = await DB.getAllFiles();
+      const sample = files.find(rec => CryptoHelper.isLegacyRecord(rec));
+      if (!sample) {
+        showMessage('This vault has no password yet. Choose one to create it.', 'error');
+        await refreshAuthMode();
+        return false;
+      }
+      masterKey = await CryptoHelper.generateMasterKey();
+      try {
+        await DB.saveFile(await CryptoHelper.upgradeLegacyRecord(sample, password, masterKey,
+          (index) => DB.getChunk(sample.contentId, index)));
+      } catch (err) {
+        setUnlockedState(false);
+        showMessage('Wrong password. Unlock failed.', 'error');
+        return false;
+      }
+      await saveVaultKey(masterKey, password);
+    }
+
+    sessionKey = masterKey;
+    setUnlockedState(true);
+    passwordInput.value = '';
+    showMessage('Explorer unlocked.');
+    await migrateLegacyRecords(password);
+    await sealPlaintextMetadata();
+    await bindRecordHeaders();
+    await refreshFileList();
+    startSync(); // after the migrations above, so it sends their results
+    if (await DB.getMeta(NOTE_DRAFT_ID)) {
+      showMessage('A note draft was not saved yet; it is offered again when you open the editor.');
+    }
+    if (vaultKey && !CryptoHelper.kdfMeetsPolicy(vaultKey.kdf, vaultKdfPolicy())) {
+      upgradeVaultKey(vaultKey, password); // in the background; reports its own outcome
+    }
+    return true;
+  }
+
+  /* Wrap a master key under a password (and optional keyfile digest) with this vault's
+     KDF policy, and store it together with a fresh verifier */
+  async function saveVaultKey(masterKey, password, keyfile = null) {
+    await DB.saveMeta({ id: VAULT_KEY_ID, ...(await CryptoHelper.wrapMasterKey(masterKey, password, vaultKdfPolicy(), keyfile)) });
+    await DB.saveMeta({ id: VERIFIER_ID, ...(await CryptoHelper.createVerifier(masterKey)) });
+  }
+
+  /* First run of a vault: set its password (entered twice, checked against the policy) */
+  async function initializeVault(password, confirmation) {
+    if (password !== confirmation) throw new Error('Passwords do not match.');
+    checkPasswordPolicy(password);
+    if (await DB.getMeta(VAULT_KEY_ID)) throw new Error('This vault already has a password.');
+
+    const masterKey = await CryptoHelper.generateMasterKey();
+    await saveVaultKey(masterKey, password, unlockKeyfile && unlockKeyfile.digest);
+    sessionKey = masterKey;
+    setUnlockedState(true);
+    await bindRecordHeaders();
+    passwordInput.value = '';
+    confirmSetupInput.value = '';
+    await refreshAuthMode();
+    await refreshFileList();
+    startSync();
+    showMessage(unlockKeyfile
+      ? `Vault "${activeVault.name}" created and unlocked. It opens only with the password and the keyfile "${unlockKeyfile.name}".`
+      : `Vault "${activeVault.name}" created and unlocked.`);
+  }
+
+  /* Throws unless the password meets the configured minimum strength */
+  function checkPasswordPolicy(password) {
+    const strength = PasswordStrength.score(password);
+    const minScore = loadMinPasswordScore();
+    if (strength.score < minScore) {
+      throw new Error(`Password is too weak (${strength.label}; at least ` +
+        `${PasswordStrength.LABELS[minScore]} is required). ${strength.hint}`);
+    }
+  }
+
+  function loadMinPasswordScore() {
+    try {
+      const policy = JSON.parse(localStorage.getItem(PASSWORD_POLICY_STORAGE_KEY)) || {};
+      if (Number.isInteger(policy.minScore) && policy.minScore >= 0 && policy.minScore <= 4) return policy.minScore;
+    } catch (err) {
+      // corrupt value: fall back to the default
+    }
+    return DEFAULT_MIN_PASSWORD_SCORE;
+  }
+
+  function renderStrengthMeter(meterEl, password) {
+    const strength = PasswordStrength.score(password);
+    meterEl.dataset.score = password ? strength.score : '';
+    meterEl.querySelector('.strength-label').textContent = password
+      ? `${strength.label}${strength.hint ? ` · ${strength.hint}` : ''}`
+      : '';
+  }
+
+  /* Switch the header between "Unlock" and "Create vault" (first run) */
+  async function refreshAuthMode() {
+    const vaultKey = await DB.getMeta(VAULT_KEY_ID);
+    const files = vaultKey ? [] : await DB.getAllFiles();
+    vaultInitialized = Boolean(vaultKey) || files.some(rec => CryptoHelper.isLegacyRecord(rec));
+    vaultNeedsKeyfile = Boolean(vaultKey && vaultKey.kdf.keyfile);
+    const setup = !vaultInitialized && !unlocked;
+    confirmSetupInput.style.display = setup ? '' : 'none';
+    passwordStrengthEl.style.display = setup ? '' : 'none';
+    passwordInput.placeholder = setup ? 'Choose a password' : 'Enter password';
+    unlockBtn.textContent = setup ? 'Create vault' : 'Unlock';
+    if (setup) renderStrengthMeter(passwordStrengthEl, passwordInput.value);
+    renderKeyfilePicker();
+    renderKdfSettings(vaultKey);
+    syncBtn.disabled = !unlocked && vaultInitialized;
+  }
+
+  /* Unlock button / Enter in the password field */
+  async function submitPassword() {
+    const pwd = passwordInput.value || '';
+    if (!vaultInitialized) {
+      if (!pwd) { showMessage('Choose a password for this vault.', 'error'); return; }
+      try {
+        await initializeVault(pwd, confirmSetupInput.value || '');
+      } catch (err) {
+        showMessage(`Could not create vault: ${err.message}`, 'error');
+      }
+      return;
+    }
+    if (!pwd) { showMessage('Enter a password to unlock.', 'error'); return; }
+    await tryUnlock(pwd);
+  }
+
+  /* Records from before envelope encryption are keyed directly by the password.
+     Wrap their keys under the master key now that we have both. */
+  async function migrateLegacyRecords(password) {
+    const legacy = (await DB.getAllFiles()).filter(rec => CryptoHelper.isLegacyRecord(rec));
+    if (!legacy.length) return;
+
+    let migrated = 0;
+    for (const rec of legacy) {
+      try {
+        const upgraded = await CryptoHelper.upgradeLegacyRecord(rec, password, sessionKey,
+          (index) => DB.getChunk(rec.contentId, index));
+        await DB.saveFile(upgraded);
+        migrated++;
+      } catch (err) {
+        showMessage(`Could not migrate ${rec.name || rec.id}: ${err.message}`, 'error');
+      }
+    }
+    showMessage(`Migrated ${migrated} of ${legacy.length} file(s) to the vault master key.`);
+  }
+
+  /* Files and folders from before sealed metadata still carry plaintext names and paths
+     (the DB upgrade only re-keyed them by id). Seal them into encrypted headers, turning
+     the old path-based folders into id-linked ones. */
+  async function sealPlaintextMetadata() {
+    const folders = (await DB.getAllFolders()).filter(f => !f.header);
+    const files = (await DB.getAllFiles()).filter(rec => !rec.header && !CryptoHelper.isLegacyRecord(rec));
+    if (!folders.length && !files.length) return;
+
+    const legacyByPath = new Map(folders.map(f => [f.path, f]));
+    const idByPath = new Map([[DB.ROOT, ROOT_FOLDER]]);
+    async function ensureFolder(path) {
+      if (idByPath.has(path)) return idByPath.get(path);
+      const cut = path.lastIndexOf('/');
+      const parentId = await ensureFolder(cut <= 0 ? DB.ROOT : path.slice(0, cut));
+      const legacy = legacyByPath.get(path);
+      const meta = { name: path.slice(cut + 1), parentId, createdAt: legacy ? legacy.createdAt : new Date().toISOString() };
+      const record = await CryptoHelper.sealFolderRecord(meta, sessionKey, legacy ? legacy.id : undefined);
+      await DB.saveFolder(record);
+      idByPath.set(path, record.id);
+      return record.id;
+    }
+
+    for (const folder of folders) await ensureFolder(folder.path);
+    for (const rec of files) {
+      const { name, folder, path, size, createdAt, mimeType, hash, hashAlgo, ...structure } = rec;
+      const meta = { name, folderId: await ensureFolder(folder || DB.ROOT), size, createdAt, mimeType: mimeType || '', hash, hashAlgo };
+      await DB.saveFile(await CryptoHelper.sealFileHeader(structure, meta, sessionKey));
+    }
+    showMessage(`Encrypted the metadata of ${files.length} file(s) and ${folders.length} folder(s).`);
+  }
+
+  /* Headers sealed before metadata binding are re-sealed bound to their record, once per
+     vault; after that, unbound headers are treated as tampered. */
+  async function bindRecordHeaders() {
+    if (await DB.getMeta(HEADER_BINDING_ID)) return;
+
+    let bound = 0;
+    async function bind(records, save, folders = false) {
+      for (const record of records) {
+        if (!record.header) continue;
+        try {
+          const rebound = folders
+            ? await CryptoHelper.bindFolderRecord(record, sessionKey)
+            : await CryptoHelper.bindFileHeader(record, sessionKey);
+          if (rebound) {
+            await save(rebound);
+            bound++;
+          }
+        } catch (err) {
+          // unreadable either way: left as it is, listed as unreadable and reported by the audit
+        }
+      }
+    }
+    const trash = await DB.getTrash();
+    await bind(await DB.getAllFiles(), (record) => DB.saveFile(record));
+    await bind(await DB.getAllVersions(), (record) => DB.saveVersion(record));
+    await bind(trash.filter(t => t.kind === 'file'), (record) => DB.saveTrash(record));
+    await bind(trash.filter(t => t.kind === 'folder'), (record) => DB.saveTrash(record), true);
+    await bind(await DB.getAllFolders(), (record) => DB.saveFolder(record), true);
+    await DB.saveMeta({ id: HEADER_BINDING_ID, version: 1, boundAt: new Date().toISOString() });
+    if (bound) showMessage(`Bound the metadata of ${bound} record(s) to their contents.`);
+  }
+
+  /* Re-wrap the master key under a new password. File contents are not touched. */
+  async function changePassword(currentPassword, newPassword) {
+    const vaultKey = await DB.getMeta(VAULT_KEY_ID);
+    if (!vaultKey) throw new Error('Vault has no master key yet');
+    const keyfile = keyfileDigest(vaultKey); // the keyfile stays as it is
+    await CryptoHelper.unwrapMasterKey(vaultKey, currentPassword, keyfile); // throws on wrong password
+    checkPasswordPolicy(newPassword);
+    const rewrapped = await CryptoHelper.wrapMasterKey(sessionKey, newPassword, vaultKdfPolicy(), keyfile);
+    await DB.saveMeta({ ...vaultKey, ...rewrapped, id: VAULT_KEY_ID });
+    renderKdfSettings(await DB.getMeta(VAULT_KEY_ID));
+  }
+
+  // --- Key derivation settings ---
+  /* The active vault's KDF policy; vaults registered before policies use the default */
+  function vaultKdfPolicy() {
+    return CryptoHelper.kdfPolicy(activeVault.kdf || CryptoHelper.DEFAULT_KDF);
+  }
+
+  function describeKdf(kdf) {
+    if (kdf.name === CryptoHelper.KDF_ARGON2ID) {
+      const lanes = kdf.parallelism > 1 ? `, ${kdf.parallelism} lanes` : '';
+      return `Argon2id, ${Math.round(kdf.memory / 1024)} MiB, ${kdf.iterations} pass(es)${lanes}`;
+    }
+    return `PBKDF2-SHA-256, ${kdf.iterations.toLocaleString()} iterations`;
+  }
+
+  /* The vault key was unwrapped with weaker parameters than the policy asks for: wrap the
+     same master key again with the policy, while the password is still at hand. Skipped
+     if the vault was locked, switched or its password changed in the meantime. */
+  async function upgradeVaultKey(vaultKey, password) {
+    const vault = activeVault;
+    const masterKey = sessionKey;
+    const policy = vaultKdfPolicy();
+    const keyfile = keyfileDigest(vaultKey);
+    try {
+      const rewrapped = await CryptoHelper.wrapMasterKey(masterKey, password, policy, keyfile);
+      const current = await DB.getMeta(VAULT_KEY_ID);
+      if (activeVault !== vault || sessionKey !== masterKey || !current || current.kdf.salt !== vaultKey.kdf.salt) return;
+      await DB.saveMeta({ ...current, ...rewrapped, id: VAULT_KEY_ID });
+      renderKdfSettings(await DB.getMeta(VAULT_KEY_ID));
+      showMessage(`Vault key upgraded to ${describeKdf(policy)}.`);
+    } catch (err) {
+      showMessage(`Could not upgrade the vault key: ${err.message}`, 'error');
+    }
+  }
+
+  /* Show the active vault's policy and what its key is wrapped with (both readable while locked) */
+  function renderKdfSettings(vaultKey) {
+    const policy = vaultKdfPolicy();
+    let text = `Policy for "${activeVault.name}": ${describeKdf(policy)}.`;
+    if (vaultKey) {
+      text += CryptoHelper.kdfMeetsPolicy(vaultKey.kdf, policy)
+        ? ' The vault key meets it.'
+        : ` The vault key still uses ${describeKdf(vaultKey.kdf)} and is upgraded at the next unlock.`;
+    }
+    kdfCurrentEl.textContent = text;
+  }
+
+  /* Time the selected algorithm on this device and propose parameters for the target */
+  async function benchmarkKdf() {
+    const targetMs = Math.min(10, Math.max(0.25, Number(kdfTargetInput.value) || 1)) * 1000;
+    kdfBenchmarkBtn.disabled = true;
+    kdfApplyBtn.disabled = true;
+    kdfProposal = null;
+    kdfProposalEl.textContent = 'Measuring…';
+    try {
+      const { params, estimatedMs } = await CryptoHelper.proposeKdfParams(kdfAlgorithmSelect.value, targetMs);
+      kdfProposal = params;
+      kdfProposalEl.textContent = `Proposed: ${describeKdf(params)} (about ${(estimatedMs / 1000).toFixed(1)} s to unlock here).`;
+      kdfApplyBtn.disabled = false;
+    } catch (err) {
+      kdfProposalEl.textContent = '';
+      showMessage(`Benchmark failed: ${err.message}`, 'error');
+    } finally {
+      kdfBenchmarkBtn.disabled = false;
+    }
+  }
+
+  /* Make the proposal the active vault's policy */
+  async function applyKdfProposal() {
+    if (!kdfProposal) return;
+    activeVault = await DB.saveVault({ ...activeVault, kdf: kdfProposal });
+    vaults = vaults.map(v => (v.id === activeVault.id ? activeVault : v));
+    kdfProposal = null;
+    kdfApplyBtn.disabled = true;
+    kdfProposalEl.textContent = '';
+    const vaultKey = await DB.getMeta(VAULT_KEY_ID);
+    renderKdfSettings(vaultKey);
+    showMessage(vaultKey && !CryptoHelper.kdfMeetsPolicy(vaultKey.kdf, vaultKdfPolicy())
+      ? 'Key derivation policy saved. The vault key is re-wrapped the next time the vault is unlocked.'
+      : 'Key derivation policy saved.');
+  }
+
+  // --- Keyfile ---
+  /* Digest of the keyfile picked at unlock, if this vault key needs one */
+  function keyfileDigest(vaultKey) {
+    return vaultKey.kdf.keyfile && unlockKeyfile ? unlockKeyfile.digest : null;
+  }
+
+  /* Show the keyfile picker when creating a vault (optional) or when the vault needs one */
+  function renderKeyfilePicker() {
+    const setup = !vaultInitialized && !unlocked;
+    keyfileBtn.style.display = setup || (vaultNeedsKeyfile && !unlocked) ? '' : 'none';
+    keyfileGenerateBtn.style.display = setup && !unlockKeyfile ? '' : 'none';
+    keyfileBtn.classList.toggle('selected', Boolean(unlockKeyfile));
+    keyfileBtn.textContent = unlockKeyfile
+      ? `🔑 ${unlockKeyfile.name}`
+      : (setup ? '🔑 Keyfile (optional)' : '🔑 Select keyfile');
+    keyfileBtn.title = unlockKeyfile ? 'Keyfile selected; click to choose another' : 'Any file can be a keyfile';
+  }
+
+  async function selectUnlockKeyfile(file) {
+    try {
+      unlockKeyfile = { name: file.name, digest: await CryptoHelper.hashKeyfile(file) };
+    } catch (err) {
+      unlockKeyfile = null;
+      showMessage(`Cannot use that keyfile: ${err.message}`, 'error');
+    }
+    renderKeyfilePicker();
+  }
+
+  /* Create random keyfile contents and save them as a download. Returns { name, digest }. */
+  async function downloadNewKeyfile() {
+    const contents = CryptoHelper.generateKeyfile();
+    const name = `${activeVault.name}.keyfile`;
+    saveBlob(new Blob([contents], { type: 'application/octet-stream' }), name);
+    return { name, digest: await CryptoHelper.hashKeyfile(contents) };
+  }
+
+  /* Open a file picker; resolves the chosen file, or null when it was dismissed */
+  function pickFile(input) {
+    return new Promise((resolve) => {
+      const done = (file) => {
+        input.removeEventListener('change', onChange);
+        input.removeEventListener('cancel', onCancel);
+        input.value = '';
+        resolve(file);
+      };
+      const onChange = () => done(input.files[0] || null);
+      const onCancel = () => done(null);
+      input.addEventListener('change', onChange);
+      input.addEventListener('cancel', onCancel);
+      input.click();
+    });
+  }
+
+  /* Guided flow to add, replace or remove the keyfile of the unlocked vault. The password
+     is asked again and the master key is re-wrapped, so every record stays readable. */
+  async function manageKeyfile() {
+    const vaultKey = await DB.getMeta(VAULT_KEY_ID);
+    if (!vaultKey) throw new Error('Vault has no master key yet');
+    const hasKeyfile = Boolean(vaultKey.kdf.keyfile);
+    const choice = await Dialogs.choose({
+      title: 'Keyfile',
+      message: hasKeyfile
+        ? 'This vault opens only with its password and its keyfile. Replace the keyfile or go back to the password alone?'
+        : 'A keyfile is a second unlock factor: the vault then opens only with the password and the keyfile. ' +
+          'Keep a copy somewhere safe; without it the vault cannot be unlocked.',
+      choices: [
+        { value: 'generate', label: hasKeyfile ? 'Replace with a new keyfile' : 'Generate a keyfile' },
+        { value: 'select', label: hasKeyfile ? 'Replace with an existing file' : 'Use an existing file' },
+        ...(hasKeyfile ? [{ value: 'remove', label: 'Remove keyfile', danger: true }] : []),
+        { value: 'cancel', label: 'Cancel' }
+      ]
+    });
+    if (!choice || choice.value === 'cancel') return;
+
+    const password = await Dialogs.prompt({
+      title: 'Confirm password',
+      message: 'Enter the vault password to continue.',
+      type: 'password',
+      confirmLabel: 'Continue'
+    });
+    if (!password) return;
+    await CryptoHelper.unwrapMasterKey(vaultKey, password, keyfileDigest(vaultKey)); // throws if wrong
+
+    let keyfile = null;
+    if (choice.value === 'generate') {
+      keyfile = await downloadNewKeyfile();
+      if (!(await Dialogs.confirm({
+        title: 'Keep the keyfile safe',
+        message: `The keyfile "${keyfile.name}" was downloaded. Store a copy somewhere safe: without it ` +
+          'the vault cannot be unlocked. Protect the vault with it now?',
+        confirmLabel: 'Protect vault'
+      }))) return;
+    } else if (choice.value === 'select') {
+      const file = await pickFile(keyfileNewInput);
+      if (!file) return;
+      keyfile = { name: file.name, digest: await CryptoHelper.hashKeyfile(file) };
+    } else if (!(await Dialogs.confirm({
+      title: 'Remove keyfile',
+      message: 'Remove the keyfile? The password alone will unlock the vault again.',
+      confirmLabel: 'Remove keyfile',
+      danger: true
+    }))) return;
+
+    const rewrapped = await CryptoHelper.wrapMasterKey(sessionKey, password, vaultKdfPolicy(), keyfile && keyfile.digest);
+    await DB.saveMeta({ ...vaultKey, ...rewrapped, id: VAULT_KEY_ID });
+    unlockKeyfile = keyfile;
+    vaultNeedsKeyfile = Boolean(keyfile);
+    renderKeyfilePicker();
+    if (!keyfile) {
+      showMessage('Keyfile removed. The password alone unlocks the vault.');
+    } else {
+      showMessage(`${hasKeyfile ? 'Keyfile replaced' : 'Keyfile added'}: the vault now opens only with the password and ` +
+        `"${keyfile.name}". Archives exported earlier still open with the credentials they were exported with.`);
+    }
+  }
+
+  // --- Vault management ---
+  function renderVaultSelect() {
+    vaultSelect.innerHTML = '';
+    for (const vault of vaults) {
+      const option = document.createElement('option');
+      option.value = vault.id;
+      option.textContent = vault.name;
+      vaultSelect.appendChild(option);
+    }
+    vaultSelect.value = activeVault.id;
+    deleteVaultBtn.disabled = vaults.length < 2;
+  }
+
+  async function loadVaults() {
+    vaults = await DB.listVaults();
+    const saved = localStorage.getItem(ACTIVE_VAULT_STORAGE_KEY);
+    activeVault = vaults.find(v => v.id === saved) || vaults[0];
+    DB.useVault(activeVault);
+    renderVaultSelect();
+  }
+
+  /* Lock the current vault and show another one (locked) */
+  async function switchVault(id) {
+    const vault = vaults.find(v => v.id === id);
+    if (!vault || vault === activeVault) return;
+    lock('switched vault');
+    stopSync(); // also stops a join of the locked vault
+    closeSync();
+    activeVault = vault;
+    DB.useVault(vault);
+    localStorage.setItem(ACTIVE_VAULT_STORAGE_KEY, vault.id);
+    currentFolder = ROOT_FOLDER;
+    storedFiles = [];
+    unlockKeyfile = null;
+    renderVaultSelect();
+    await refreshAuthMode();
+    await refreshFileList();
+  }
+
+  function vaultNameProblem(name, exceptId = null) {
+    if (!name) return 'Vault names cannot be empty.';
+    if (vaults.some(v => v.id !== exceptId && v.name.toLowerCase() === name.toLowerCase())) {
+      return `A vault named "${name}" already exists.`;
+    }
+    return null;
+  }
+
+  async function createVault(name, kdf, backend) {
+    const problem = vaultNameProblem(name);
+    if (problem) throw new Error(problem);
+    const vault = await DB.saveVault({
+      id: CryptoHelper.randomId(),
+      name,
+      backend,
+      createdAt: new Date().toISOString(),
+      kdf: CryptoHelper.kdfPolicy(kdf)
+    });
+    vaults.push(vault);
+    await switchVault(vault.id);
+    showMessage(`Vault "${name}" created. Unlock it with a new password to start using it.`);
+  }
+
+  async function renameVault() {
+    const input = await Dialogs.prompt({ title: 'Rename vault', message: 'New vault name:', value: activeVault.name });
+    if (input === null) return;
+    const name = input.trim();
+    const problem = vaultNameProblem(name, activeVault.id);
+    if (problem) { showMessage(problem, 'error'); return; }
+    activeVault = await DB.saveVault({ ...activeVault, name });
+    vaults = vaults.map(v => (v.id === activeVault.id ? activeVault : v));
+    renderVaultSelect();
+  }
+
+  async function deleteVault() {
+    if (vaults.length < 2) {
+      showMessage('This is the only vault. Use Reset to erase its files instead.', 'error');
+      return;
+    }
+    const vault = activeVault;
+    if (!(await Dialogs.confirm({
+      title: 'Delete vault',
+      message: `Delete vault "${vault.name}" and every file in it? This cannot be undone.`,
+      confirmLabel: 'Delete vault',
+      danger: true
+    }))) return;
+    await switchVault(vaults.find(v => v.id !== vault.id).id);
+    await DB.deleteVault(vault);
+    vaults = vaults.filter(v => v.id !== vault.id);
+    renderVaultSelect();
+    showMessage(`Vault "${vault.name}" deleted.`);
+  }
+
+  // --- Vault export / import ---
+  async function exportVault() {
+    const vaultKey = await DB.getMeta(VAULT_KEY_ID);
+    if (!vaultKey) throw new Error('Vault has no master key yet');
+    const blob = await VaultArchive.exportVault({ masterKey: sessionKey, vaultKey });
+    saveBlob(blob, `efs-vault-${new Date().toISOString().slice(0, 10)}${VaultArchive.FILE_EXTENSION}`);
+    showMessage(`Exported vault (${formatSize(blob.size)}).`);
+  }
+
+  /* Folder id for a path given as names from the root; null if it does not exist yet */
+  function findFolderByPath(names) {
+    let parentId = ROOT_FOLDER;
+    for (const name of names) {
+      const folder = storedFolders.find(f => f.parentId === parentId && f.name === name);
+      if (!folder) return null;
+      parentId = folder.id;
+    }
+    return parentId;
+  }
+
+  /* Like findFolderByPath, but creates missing folders (below `parentId`, the root by default) */
+  async function ensureFolderPath(names, parentId = ROOT_FOLDER) {
+    for (const name of names) {
+      let folder = storedFolders.find(f => f.parentId === parentId && f.name === name);
+      if (!folder) {
+        const meta = { name, parentId, createdAt: new Date().toISOString() };
+        const record = await CryptoHelper.sealFolderRecord(meta, sessionKey);
+        await DB.saveFolder(record);
+        folder = { ...meta, id: record.id, record };
+        storedFolders.push(folder);
+      }
+      parentId = folder.id;
+    }
+    return parentId;
+  }
+
+  /* Import a vault archive.
+     mode 'replace': wipe this vault and adopt the archive (and its password and keyfile) wholesale.
+     mode 'merge':   copy the archive's files into the unlocked vault, re-wrapping their
+                     keys under our master key; onConflict is 'ask' (a dialog per conflict),
+                     'keep-both', 'overwrite' or 'skip'. */
+  async function importVault(file, password, { mode, onConflict, keyfile = null }) {
+    const archive = await VaultArchive.readArchive(file, password, keyfile && keyfile.digest);
+
+    if (mode === 'replace') {
+      await DB.clearAll();
+      await VaultArchive.restoreArchive({ ...archive, vaultKey: { ...archive.vaultKey, id: VAULT_KEY_ID } });
+      sessionKey = archive.masterKey;
+      unlockKeyfile = archive.vaultKey.kdf.keyfile ? keyfile : null;
+      setUnlockedState(true);
+      if (!(await DB.getMeta(VERIFIER_ID))) {
+        await DB.saveMeta({ id: VERIFIER_ID, ...(await CryptoHelper.createVerifier(sessionKey)) });
+      }
+      currentFolder = ROOT_FOLDER;
+      await refreshAuthMode();
+      await refreshFileList();
+      showMessage(`Vault replaced from archive: ${archive.files.length} file(s), ${archive.folders.length} folder(s). ` +
+        (unlockKeyfile ? 'The archive password and keyfile now unlock this vault.' : 'The archive password now unlocks this vault.'));
+      return;
+    }
+    if (!unlocked) throw new Error('Unlock the vault first to merge an archive into it.');
+
+    // rebuild the archive's folder tree so files land in the same paths here
+    const archiveFolders = new Map();
+    for (const record of archive.folders) {
+      // the archive tag authenticates its records, so headers from before binding are fine here
+      archiveFolders.set(record.id, await CryptoHelper.openFolderRecord(record, archive.masterKey, { allowUnbound: true }));
+    }
+    const archivePath = (id) => {
+      const names = [];
+      for (let f = archiveFolders.get(id); f; f = archiveFolders.get(f.parentId)) names.unshift(f.name);
+      return names;
+    };
+
+    const plan = [];
+    for (const record of archive.files) {
+      try {
+        plan.push({ record, meta: await CryptoHelper.openFileHeader(record, archive.masterKey, { allowUnbound: true }) });
+      } catch (err) {
+        showMessage(`Skipping unreadable archive record ${record.id.slice(0, 8)}: ${err.message}`);
+      }
+    }
+    const conflicts = plan.filter(({ meta }) => {
+      const folderId = findFolderByPath(archivePath(meta.folderId));
+      return folderId && nameTaken(folderId, meta.name);
+    }).length;
+    if (conflicts && onConflict !== 'ask' && !(await Dialogs.confirm({
+      title: 'Import archive',
+      message: `${conflicts} of ${plan.length} file(s) in the archive already exist here. ` +
+        `Continue and ${onConflict === 'overwrite' ? 'overwrite them' : onConflict === 'skip' ? 'skip them' : 'keep both copies'}?`,
+      confirmLabel: 'Import'
+    }))) {
+      return;
+    }
+    const batch = conflictBatch();
+
+    const usedContentIds = new Set(storedFiles.map(e => e.record.contentId)
+      .concat((await DB.getAllVersions()).map(v => v.contentId), trashEntries.map(t => t.record.contentId))
+      .filter(Boolean));
+    const stats = { imported: 0, overwritten: 0, renamed: 0, skipped: 0, failed: 0 };
+    for (const { record, meta } of plan) {
+      let replacedId = null;
+      try {
+        const folderId = await ensureFolderPath(archivePath(meta.folderId));
+        const existing = storedFiles.find(e => e.folderId === folderId && e.name === meta.name);
+        let id = CryptoHelper.randomId();
+        let name = meta.name;
+        let action = existing ? onConflict : null;
+        if (action === 'ask') action = await askConflict(batch, DB.joinPath(folderPath(folderId), meta.name));
+        if (action === 'skip') { stats.skipped++; continue; }
+        if (action === 'overwrite') { id = existing.id; stats.overwritten++; }
+        if (action === 'keep-both') { name = uniqueName(folderId, meta.name); stats.renamed++; }
+
+        const changes = { folderId, name };
+        const getChunk = (index) => archive.getChunk(record.contentId, index);
+        let moved;
+        if (record.contentId && usedContentIds.has(record.contentId)) {
+          // same content id exists here (e.g. re-importing a backup): give the copy its own chunks
+          moved = await CryptoHelper.recryptRecord(record, archive.masterKey, sessionKey, getChunk,
+            (chunk) => DB.saveChunk(chunk), changes, id);
+        } else {
+          moved = await CryptoHelper.transferRecord(record, archive.masterKey, sessionKey, changes, id);
+          for (let index = 0; record.contentId && index < record.chunkCount; index++) {
+            const chunk = await getChunk(index);
+            if (!chunk) throw new Error('Archive is missing file chunks.');
+            await DB.saveChunk(chunk);
+          }
+        }
+        const stored = moved.record;
+        const replaced = id === (existing && existing.id);
+        await DB.saveFile(stored, { version: replaced ? await sealVersion(existing) : null });
+        if (stored.contentId) usedContentIds.add(stored.contentId);
+        storedFiles = storedFiles.filter(e => e.id !== id).concat({ ...moved.meta, id, record: stored });
+        stats.imported++;
+        if (replaced) replacedId = id;
+      } catch (err) {
+        stats.failed++;
+        showMessage(`Could not import ${meta.name}: ${err.message}`);
+      }
+      // outside the try: a failed prune must not count a stored file as a failed import
+      if (replacedId) await pruneVersions(replacedId);
+    }
+
+    await mergeTagColors(archive);
+    await refreshFileList();
+    showMessage(`Import finished: ${stats.imported} imported (${stats.overwritten} overwritten, ` +
+      `${stats.renamed} renamed), ${stats.skipped} skipped, ${stats.failed} failed.`,
+      stats.failed ? 'error' : 'info');
+  }
+
+  // --- Upload queue ---
+  /* Dropped and picked files go through a queue; as many are stored side by side as
+     there are crypto workers. Each item is streamed read -> encrypt -> store, and its
+     progress is the share of the file encrypted and stored so far. Items can be paused or
+     cancelled one by one or all together; a cancelled upload leaves no chunks behind. */
+  const TRANSFER_LABELS = {
+    queued: 'Waiting', reading: 'Reading', encrypting: 'Encrypting', storing: 'Storing',
+    done: 'Saved', failed: 'Failed', cancelled: 'Cancelled', skipped: 'Skipped'
+  };
+  const TRANSFER_FINISHED = ['done', 'failed', 'cancelled', 'skipped'];
+  const TRANSFER_POLL_MS = 200; // how often a paused upload checks whether it may go on
+
+  function transferFinished(item) {
+    return TRANSFER_FINISHED.includes(item.status);
+  }
+
+  async function handleFilesAdded(fileList) {
+    await enqueueUploads(Array.from(fileList, file => ({ file, path: [] })));
+  }
+
+  /* Walk dropped FileSystemEntry objects (folders recursively).
+     Returns { files: [{ file, path } | { name, path, error }], directories: [path] },
+     where a path lists the folder names between the drop target and the item. */
+  async function readDroppedEntries(entries) {
+    const files = [];
+    const directories = [];
+    async function walk(entry, path) {
+      if (entry.isDirectory) {
+        const dirPath = path.concat(entry.name);
+        directories.push(dirPath);
+        const reader = entry.createReader();
+        // readEntries hands out the listing in batches until it returns an empty one
+        for (;;) {
+          const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          if (!batch.length) break;
+          for (const child of batch) await walk(child, dirPath);
+        }
+      } else {
+        try {
+          files.push({ file: await new Promise((resolve, reject) => entry.file(resolve, reject)), path });
+        } catch (err) {
+          files.push({ name: entry.name, path, error: err.message || 'File could not be read' });
+        }
+      }
+    }
+    for (const entry of entries) {
+      try {
+        await walk(entry, []);
+      } catch (err) {
+        showMessage(`Could not read folder ${entry.name}: ${err.message}`, 'error');
+      }
+    }
+    return { files, directories };
+  }
+
+  /* Queue uploads into the current folder and resolve once the queue has drained.
+     uploads: [{ file, path }] (path: folder names below the current folder, created as
+     needed; entries with an `error` are listed as failed); directories: folder paths to
+     create even if they turn out empty. */
+  async function enqueueUploads(uploads, directories = []) {
+    if (!unlocked || !sessionKey) {
+      showMessage('Unlock explorer first before adding files.', 'error');
+      return;
+    }
+    if (!(await checkStorageForBatch(uploads))) return;
+    await offerPersistence();
+    // a new batch replaces a finished one in the list
+    if (!transferRun && transfers.every(transferFinished)) {
+      clearTransfers();
+      transferConflicts = conflictBatch();
+    }
+
+    const baseFolder = currentFolder;
+    try {
+      for (const path of directories) await ensureFolderPath(path, baseFolder);
+    } catch (err) {
+      showMessage(`Failed to create folders: ${err.message}`, 'error');
+    }
+    for (const upload of uploads) {
+      const name = upload.file ? upload.file.name : upload.name;
+      const item = {
+        file: upload.file,
+        name,
+        path: upload.path,
+        baseFolder,
+        label: upload.path.concat(name).join('/'),
+        size: upload.file ? upload.file.size : 0,
+        done: 0,
+        status: upload.error ? 'failed' : 'queued',
+        error: upload.error || '',
+        paused: false,
+        cancelled: false,
+        abort: new AbortController() // stops the crypto work in flight on cancel
+      };
+      transfers.push(item);
+      transferList.appendChild(transferRow(item));
+    }
+    transferQueueEl.style.display = 'block';
+    renderTransferTotals();
+    await startTransfers();
+  }
+
+  function startTransfers() {
+    if (!transferRun) transferRun = runTransfers().finally(() => { transferRun = null; });
+    else fillTransferLanes(); // e.g. a resumed item while others are still running
+    return transferRun;
+  }
+
+  /* Next waiting item in queue order, skipping paused ones and ones whose target is being
+     written right now (two drops of the same name must not race each other) */
+  function nextTransfer() {
+    const running = transfers.filter(t => t.status !== 'queued' && !transferFinished(t));
+    return transfers.find(t => t.status === 'queued' && !t.paused &&
+      !running.some(r => r.baseFolder === t.baseFolder && r.label === t.label));
+  }
+
+  /* Start uploads while items are waiting and lanes are free */
+  function fillTransferLanes() {
+    for (let item = nextTransfer(); item && transferLanes.size < CryptoHelper.workerCount(); item = nextTransfer()) {
+      setTransferStatus(item, 'reading'); // taken by this lane
+      const lane = uploadItem(item)
+        .catch((err) => {
+          item.error = err.message;
+          setTransferStatus(item, 'failed');
+        })
+        .finally(() => {
+          transferLanes.delete(lane);
+          fillTransferLanes();
+        });
+      transferLanes.add(lane);
+    }
+  }
+
+  /* Queue worker: runs the lanes until nothing is waiting */
+  async function runTransfers() {
+    do {
+      fillTransferLanes();
+      while (transferLanes.size) await Promise.all(transferLanes);
+      await refreshFileList();
+    } while (nextTransfer()); // items queued or resumed while the list was refreshing
+
+    if (!transfers.every(transferFinished)) return; // paused items are still waiting
+    const count = status => transfers.filter(t => t.status === status).length;
+    const failed = count('failed');
+    const summary = `Upload finished: ${count('done')} saved, ${failed} failed, ` +
+      `${count('cancelled')} cancelled, ${count('skipped')} skipped.`;
+    renderTransferTotals();
+    transferStatus.textContent = summary;
+    showMessage(summary, failed ? 'error' : 'info');
+  }
+
+  async function uploadItem(item) {
+    if (item.baseFolder !== ROOT_FOLDER && !storedFolders.some(f => f.id === item.baseFolder)) {
+      throw new Error('The target folder no longer exists');
+    }
+    const folderId = await ensureFolderPath(item.path, item.baseFolder);
+    let existing = storedFiles.find(e => e.folderId === folderId && e.name === item.name);
+    let name = item.name;
+    if (existing) {
+      const action = await askConflict(transferConflicts, item.label);
+      if (action === 'skip') {
+        setTransferStatus(item, 'skipped');
+        return;
+      }
+      if (action === 'keep-both') {
+        existing = null;
+        name = uniqueName(folderId, item.name);
+      }
+    }
+
+    // stream the file through the encryptor; chunks go to the DB as they are produced
+    let contentId = null;
+    let record;
+    let sealed;
+    try {
+      const meta = { name, folderId, mimeType: item.file.type || '' };
+      // overwrite in place: same id, the old record (and its chunks) becomes a version;
+      // tags and note describe the file, so they stay
+      if (existing) Object.assign(meta, annotations(existing));
+      ({ record, meta: sealed } = await CryptoHelper.createEncryptedFileRecord(meta, transferStream(item),
+        sessionKey, (chunk) => {
+          contentId = chunk.contentId;
+          return DB.saveChunk(chunk);
+        }, existing ? existing.id : undefined, {
+          signal: item.abort.signal,
+          onProgress: (bytes) => {
+            item.done = bytes;
+            renderTransfer(item);
+          }
+        }));
+      await waitForTransfer(item); // last chance to cancel before the file appears
+      setTransferStatus(item, 'storing');
+      await DB.saveFile(record, { version: existing ? await sealVersion(existing) : null });
+    } catch (err) {
+      if (contentId) await DB.deleteChunks(contentId); // drop partial upload
+      if (!item.cancelled) throw err;
+      setTransferStatus(item, 'cancelled');
+      return;
+    }
+    // keep the in-memory index current for the rest of this batch
+    storedFiles = storedFiles.filter(e => e.id !== record.id).concat({ ...sealed, id: record.id, record });
+    setTransferStatus(item, 'done');
+    if (!existing) return;
+    try {
+      await pruneVersions(existing.id);
+    } catch (err) {
+      // the upload is stored; only the history is longer than the retention settings allow
+      showMessage(`Could not prune the older versions of ${item.label}: ${err.message}`, 'error');
+    }
+  }
+
+  /* The item's file as a stream that holds back while the item is paused */
+  function transferStream(item) {
+    const reader = item.file.stream().getReader();
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          await waitForTransfer(item);
+        } catch (err) {
+          reader.cancel(err);
+          throw err;
+        }
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+          return;
+        }
+        if (item.status === 'reading') setTransferStatus(item, 'encrypting');
+        controller.enqueue(value);
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    });
+  }
+
+  /* Resolves when the item may go on; throws once it is cancelled */
+  async function waitForTransfer(item) {
+    while (!item.cancelled && (item.paused || transfersPaused)) {
+      await new Promise(resolve => setTimeout(resolve, TRANSFER_POLL_MS));
+    }
+    if (item.cancelled) throw new Error('Upload cancelled');
+  }
+
+  function pauseAllTransfers() {
+    transfersPaused = !transfersPaused;
+    transfers.forEach(renderTransfer);
+    renderTransferTotals();
+  }
+
+  function pauseTransfer(item) {
+    item.paused = !item.paused;
+    renderTransfer(item);
+    if (!item.paused) startTransfers(); // the lanes may have passed it by and stopped
+  }
+
+  /* Queued items are cancelled at once; a running one stops its crypto work right away */
+  function cancelTransfer(item) {
+    if (transferFinished(item)) return;
+    item.cancelled = true;
+    item.abort.abort();
+    if (item.status === 'queued') setTransferStatus(item, 'cancelled');
+    else renderTransfer(item);
+  }
+
+  function cancelAllTransfers() {
+    transfers.forEach(cancelTransfer);
+    transfersPaused = false;
+    renderTransferTotals();
+  }
+
+  /* Drop finished items from the list; hide it once nothing is left */
+  function clearTransfers() {
+    transfers = transfers.filter(item => {
+      if (transferFinished(item)) item.el.li.remove();
+      return !transferFinished(item);
+    });
+    if (!transfers.length) transferQueueEl.style.display = 'none';
+    renderTransferTotals();
+  }
+
+  function setTransferStatus(item, status) {
+    item.status = status;
+    renderTransfer(item);
+  }
+
+  function transferRow(item) {
+    const li = document.createElement('li');
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = item.label;
+    const bar = document.createElement('progress');
+    bar.max = 1;
+    const status = document.createElement('small');
+    info.appendChild(name);
+    info.appendChild(bar);
+    info.appendChild(status);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'history-actions';
+    const pause = document.createElement('button');
+    pause.addEventListener('click', () => pauseTransfer(item));
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.className = 'danger';
+    cancel.addEventListener('click', () => cancelTransfer(item));
+    buttons.appendChild(pause);
+    buttons.appendChild(cancel);
+
+    li.appendChild(info);
+    li.appendChild(buttons);
+    item.el = { li, bar, status, pause, cancel };
+    renderTransfer(item);
+    return li;
+  }
+
+  function renderTransfer(item) {
+    const { bar, status, pause, cancel } = item.el;
+    const finished = transferFinished(item);
+    bar.value = item.status === 'done' ? 1 : (item.size ? Math.min(item.done / item.size, 1) : 0);
+    let text = TRANSFER_LABELS[item.status];
+    if (item.status === 'encrypting') text += ` ${Math.floor(bar.value * 100)}% of ${formatSize(item.size)}`;
+    else if (item.status === 'done' || item.status === 'queued') text += ` • ${formatSize(item.size)}`;
+    if (item.status === 'failed') text += `: ${item.error}`;
+    if (!finished && item.cancelled) text += ' • cancelling…';
+    else if (!finished && (item.paused || transfersPaused)) text += ' • paused';
+    status.textContent = text;
+    pause.textContent = item.paused ? 'Resume' : 'Pause';
+    pause.style.display = finished || item.cancelled ? 'none' : '';
+    cancel.style.display = finished || item.cancelled ? 'none' : '';
+    renderTransferTotals();
+  }
+
+  /* Overall progress: bytes stored of everything queued, with finished items counted in full */
+  function renderTransferTotals() {
+    const finished = transfers.filter(transferFinished).length;
+    const total = transfers.reduce((sum, t) => sum + t.size, 0);
+    const done = transfers.reduce((sum, t) => sum + (transferFinished(t) ? t.size : Math.min(t.done, t.size)), 0);
+    transferProgress.value = total ? done / total : (transfers.length ? finished / transfers.length : 0);
+    transferStatus.textContent = `${finished} of ${transfers.length} file(s) done • ` +
+      `${formatSize(done)} of ${formatSize(total)}${transfersPaused ? ' • paused' : ''}`;
+    const active = finished < transfers.length;
+    transferPauseAll.textContent = transfersPaused ? 'Resume all' : 'Pause all';
+    transferPauseAll.style.display = active ? '' : 'none';
+    transferCancelAll.style.display = active ? '' : 'none';
+    transferClear.style.display = finished ? '' : 'none';
+  }
+
+  /* Whether to go on with content that failed its integrity check */
+  function confirmTampered(question, confirmLabel) {
+    return Dialogs.confirm({
+      title: 'Integrity check failed',
+      message: `The file may have been tampered with. ${question}`,
+      confirmLabel,
+      danger: true
+    });
+  }
+
+  /* For large files, ask for a save location so plaintext can be streamed straight to disk.
+     Returns a writable stream, or null to fall back to an in-browser Blob download. */
+  async function openDiskWriter(meta) {
+    if (meta.size < STREAM_TO_DISK_THRESHOLD || !window.showSaveFilePicker) return null;
+    try {
+      const handle = await window.showSaveFilePicker({ suggestedName: meta.name });
+      return await handle.createWritable();
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error('Download cancelled');
+      return null; // e.g. no user activation left; use the Blob path
+    }
+  }
+
+  async function downloadFile(id) {
+    const rec = await DB.getFile(id);
+    if (!rec) throw new Error('File not found in DB');
+    await downloadRecord(rec);
+  }
+
+  /* Decrypt and save a file record (current file or an older version) */
+  async function downloadRecord(rec) {
+    const meta = await CryptoHelper.openFileHeader(rec, sessionKey);
+    const writer = await openDiskWriter(meta);
+    if (writer) {
+      try {
+        const result = await CryptoHelper.decryptFileRecord(rec, sessionKey,
+          (index) => DB.getChunk(rec.contentId, index), (plain) => writer.write(plain));
+        if (!result.ok && !(await confirmTampered('Keep the downloaded file anyway?', 'Keep file'))) {
+          await writer.abort();
+          return;
+        }
+        await writer.close();
+      } catch (err) {
+        await writer.abort();
+        throw err;
+      }
+      showMessage(`Downloaded: ${meta.name}`);
+      return;
+    }
+
+    const { blob, ok } = await decryptToBlob(rec, meta);
+
+    // verify integrity flag
+    if (!ok) {
+      const proceed = await confirmTampered('Download it anyway?', 'Download');
+      if (!proceed) return;
+    }
+
+    // trigger download
+    saveBlob(blob, meta.name);
+    showMessage(`Downloaded: ${meta.name}`);
+  }
+
+  /* Decrypt a file record into memory; ok is false when the integrity check failed */
+  async function decryptToBlob(rec, meta) {
+    // decrypt chunk by chunk; a Blob built from the parts lets the browser page them out
+    const parts = [];
+    const result = await CryptoHelper.decryptFileRecord(rec, sessionKey,
+      (index) => DB.getChunk(rec.contentId, index), (plain) => { parts.push(plain); });
+    return { blob: new Blob(parts, { type: meta.mimeType || '' }), ok: result.ok };
+  }
+
+  // --- ZIP download ---
+  // decrypted ZIP data is folded into Blobs in pieces this large, so the browser can page it out
+  const ZIP_BLOB_PART = 16 * 1024 * 1024;
+  const ZIP_REPORT_NAME = 'INTEGRITY-REPORT.txt';
+
+  /* Path of a file or folder inside a ZIP: its folders below `baseFolder` (all the way from
+     the root when it lives elsewhere, e.g. a search result) and its name */
+  function zipPath(folderId, name, baseFolder) {
+    const names = [name];
+    for (let f = findFolder(folderId); f && f.id !== baseFolder; f = findFolder(f.parentId)) names.unshift(f.name);
+    return names.join('/');
+  }
+
+  /* Decrypt files into one ZIP, streamed to disk where the browser allows it (large
+     archives), otherwise collected into a Blob. Problems do not stop the download: they
+     are collected per entry, listed in INTEGRITY-REPORT.txt inside the archive and shown
+     once at the end. */
+  async function downloadZip(archiveName, files, folders = [], baseFolder = ROOT_FOLDER) {
+    const total = files.reduce((sum, e) => sum + (e.size || 0), 0);
+    const writer = await openDiskWriter({ name: archiveName, size: total });
+    const blobs = [];
+    let pending = [];
+    let pendingBytes = 0;
+    const zip = ZipWriter.create(async (bytes) => {
+      if (writer) return writer.write(bytes);
+      pending.push(bytes);
+      pendingBytes += bytes.length;
+      if (pendingBytes >= ZIP_BLOB_PART) {
+        blobs.push(new Blob(pending));
+        pending = [];
+        pendingBytes = 0;
+      }
+    });
+
+    const problems = [];
+    const usedPaths = new Set();
+    const claim = (path) => {
+      let candidate = path;
+      for (let n = 1; usedPaths.has(candidate); n++) candidate = `${path} (${n})`;
+      usedPaths.add(candidate);
+      return candidate;
+    };
+
+    try {
+      const byPath = (f) => zipPath(f.parentId, f.name, baseFolder);
+      for (const folder of folders.slice().sort((x, y) => byPath(x).localeCompare(byPath(y)))) {
+        await zip.addDirectory(claim(`${zipPath(folder.parentId, folder.name, baseFolder)}/`), { date: new Date(folder.createdAt) });
+      }
+      for (const entry of files) {
+        const path = claim(zipPath(entry.folderId, entry.name, baseFolder));
+        const rec = entry.unreadable ? null : await DB.getFile(entry.id);
+        if (!rec) {
+          problems.push(`${path}: the record cannot be opened; skipped.`);
+          continue;
+        }
+        let result = null;
+        try {
+          await zip.addFile(path, { date: new Date(entry.createdAt), size: entry.size }, async (push) => {
+            result = await CryptoHelper.decryptFileRecord(rec, sessionKey,
+              (index) => DB.getChunk(rec.contentId, index), push);
+          });
+          if (!result.ok) problems.push(`${path}: integrity check failed; the contents do not match the stored hash.`);
+        } catch (err) {
+          problems.push(`${path}: ${err.message} The entry in the archive is incomplete.`);
+        }
+      }
+      if (problems.length) {
+        const report = new TextEncoder().encode(`Problems found while creating ${archiveName}:\r\n\r\n` +
+          problems.map(p => `- ${p}`).join('\r\n') + '\r\n');
+        await zip.addFile(claim(ZIP_REPORT_NAME), { size: report.length }, (push) => push(report));
+      }
+      await zip.close();
+    } catch (err) {
+      if (writer) await writer.abort();
+      throw err;
+    }
+
+    if (writer) {
+      await writer.close();
+    } else {
+      saveBlob(new Blob(blobs.concat(new Blob(pending)), { type: 'application/zip' }), archiveName);
+    }
+    if (problems.length) {
+      showMessage(`Downloaded ${archiveName} with ${problems.length} problem(s): ${problems.join(' ')}`, 'error');
+    } else {
+      showMessage(`Downloaded ${files.length} file(s) as ${archiveName}`);
+    }
+  }
+
+  /* A folder with everything below it, as <folder name>.zip */
+  async function downloadFolder(id) {
+    const folder = findFolder(id);
+    if (!folder) throw new Error('Folder not found');
+    const files = storedFiles.filter(e => isFolderInside(e.folderId, id));
+    const folders = storedFolders.filter(f => isFolderInside(f.id, id));
+    await downloadZip(`${folder.name}.zip`, files, folders, folder.parentId);
+  }
+
+  // --- Preview ---
+  /* Decrypt a file into memory and show it in the preview pane (never touches disk) */
+  async function previewFile(id) {
+    const rec = await DB.getFile(id);
+    if (!rec) throw new Error('File not found in DB');
+    const meta = await CryptoHelper.openFileHeader(rec, sessionKey);
+    if (meta.size > PREVIEW_MAX_BYTES) {
+      throw new Error(`${meta.name} is too large to preview (${formatSize(meta.size)}); download it instead.`);
+    }
+
+    closePreview();
+    const token = previewToken;
+    previewId = id;
+    previewTitle.textContent = meta.name;
+    previewBody.textContent = 'Decrypting…';
+    previewPane.style.display = 'block';
+
+    const { blob, ok } = await decryptToBlob(rec, meta);
+    if (token !== previewToken) return; // closed or locked meanwhile
+    if (!ok && !(await confirmTampered('Preview it anyway?', 'Preview'))) {
+      if (token === previewToken) closePreview();
+      return;
+    }
+    if (token !== previewToken) return;
+    await Preview.render(previewBody, blob, meta, (part) => {
+      const url = trackObjectUrl(part);
+      previewUrls.push(url);
+      return url;
+    });
+  }
+
+  function closePreview() {
+    previewToken++;
+    previewUrls.forEach(releaseObjectUrl);
+    previewUrls = [];
+    previewId = null;
+    previewBody.replaceChildren();
+    previewTitle.textContent = '';
+    previewPane.style.display = 'none';
+  }
+
+  // --- Version history ---
+  /* The current record of a file re-sealed as a version; when it was replaced goes
+     into the sealed header, like every other date */
+  async function sealVersion(entry) {
+    const meta = await CryptoHelper.openFileHeader(entry.record, sessionKey);
+    const sealed = await CryptoHelper.sealFileHeader(entry.record,
+      { ...meta, replacedAt: new Date().toISOString() }, sessionKey);
+    return { ...sealed, id: CryptoHelper.randomId(), fileId: entry.id };
+  }
+
+  /* Versions of a file with their opened headers, newest first (meta is null if unreadable) */
+  async function openVersions(fileId) {
+    const versions = [];
+    for (const record of await DB.getVersions(fileId)) {
+      let meta = null;
+      try {
+        meta = await CryptoHelper.openFileHeader(record, sessionKey);
+      } catch (err) {
+        // listed as unreadable; it can still be deleted
+      }
+      versions.push({ record, meta });
+    }
+    const replaced = (v) => new Date((v.meta && v.meta.replacedAt) || 0);
+    return versions.sort((a, b) => replaced(b) - replaced(a));
+  }
+
+  /* Apply the retention policy to one file; returns the versions that are kept */
+  async function pruneVersions(fileId) {
+    const { maxVersions, maxAgeDays } = versionRetention;
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const versions = await openVersions(fileId);
+    const kept = [];
+    let readable = 0;
+    for (const version of versions) {
+      // an unreadable version is neither counted nor expired: the audit or a manual delete handles it
+      if (!version.meta) {
+        kept.push(version);
+        continue;
+      }
+      const index = readable++;
+      const replacedAt = new Date(version.meta.replacedAt).getTime();
+      const expired = (maxVersions > 0 && index >= maxVersions) || (cutoff !== null && replacedAt < cutoff);
+      if (expired) await DB.deleteVersion(version.record.id);
+      else kept.push(version);
+    }
+    return kept;
+  }
+
+  function loadVersionRetention() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(VERSION_RETENTION_STORAGE_KEY)) || {};
+    } catch (err) {
+      // corrupt value: fall back to the defaults
+    }
+    const limit = (value, fallback) => (Number.isInteger(value) && value >= 0 ? value : fallback);
+    return {
+      maxVersions: limit(saved.maxVersions, VERSION_RETENTION_DEFAULTS.maxVersions),
+      maxAgeDays: limit(saved.maxAgeDays, VERSION_RETENTION_DEFAULTS.maxAgeDays)
+    };
+  }
+
+  async function openHistory(fileId) {
+    historyFileId = fileId;
+    await pruneVersions(fileId);
+    await renderHistory(fileId);
+    historyPane.style.display = 'block';
+  }
+
+  function closeHistory() {
+    historyFileId = null;
+    historyList.replaceChildren();
+    historyPane.style.display = 'none';
+  }
+
+  /* Current revision first, then older versions with download / restore / delete */
+  async function renderHistory(fileId) {
+    const entry = storedFiles.find(e => e.id === fileId);
+    if (!entry) return;
+    const versions = await openVersions(fileId);
+    historyTitle.textContent = `History: ${entry.name}`;
+
+    const row = (meta, label, actions = []) => {
+      const li = document.createElement('li');
+      const info = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = label;
+      const details = document.createElement('small');
+      details.textContent = meta
+        ? `${formatSize(meta.size)} • ${meta.createdAt ? new Date(meta.createdAt).toLocaleString() : 'unknown date'}` +
+          ` • SHA-256 ${(meta.hash || '').slice(0, 12)}…`
+        : 'Unreadable version';
+      info.appendChild(title);
+      info.appendChild(details);
+      const buttons = document.createElement('div');
+      buttons.className = 'history-actions';
+      for (const [text, action, className] of actions) {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        if (className) btn.className = className;
+        btn.addEventListener('click', async () => {
+          try {
+            await action();
+          } catch (err) {
+            showMessage(`${text} failed: ${err.message}`, 'error');
+          }
+        });
+        buttons.appendChild(btn);
+      }
+      li.appendChild(info);
+      li.appendChild(buttons);
+      return li;
+    };
+
+    const rows = [row(entry, 'Current version')];
+    for (const { record, meta } of versions) {
+      const label = meta ? `Replaced ${new Date(meta.replacedAt).toLocaleString()}` : 'Version';
+      const actions = meta
+        ? [['Download', () => downloadRecord(record)], ['Restore', () => restoreVersion(fileId, record.id)]]
+        : [];
+      actions.push(['Delete', () => deleteVersion(fileId, record.id), 'danger']);
+      rows.push(row(meta, label, actions));
+    }
+    if (!versions.length) {
+      const li = document.createElement('li');
+      li.textContent = 'No older versions.';
+      rows.push(li);
+    }
+    historyList.replaceChildren(...rows);
+  }
+
+  /* Make an older version current; the current contents become a version themselves */
+  async function restoreVersion(fileId, versionId) {
+    const entry = storedFiles.find(e => e.id === fileId);
+    const version = (await DB.getVersions(fileId)).find(v => v.id === versionId);
+    if (!entry || !version) throw new Error('Version not found');
+    if (!(await Dialogs.confirm({
+      title: 'Restore version',
+      message: `Restore this version of "${entry.name}"? The current contents are kept as a version.`,
+      confirmLabel: 'Restore'
+    }))) return;
+
+    const { replacedAt, ...meta } = await CryptoHelper.openFileHeader(version, sessionKey);
+    // keep the file where it is now, under its current name, tags and note
+    const { fileId: owner, ...fields } = version;
+    const { tags, note, ...content } = meta;
+    const record = await CryptoHelper.sealFileHeader({ ...fields, id: owner },
+      { ...content, ...annotations(entry), name: entry.name, folderId: entry.folderId }, sessionKey);
+    await DB.restoreVersion(versionId, record, await sealVersion(entry));
+    await pruneVersions(fileId);
+    await refreshFileList();
+    showMessage(`Restored "${entry.name}" to the version from ${new Date(meta.createdAt).toLocaleString()} (replaced ${new Date(replacedAt).toLocaleString()}).`);
+  }
+
+  async function deleteVersion(fileId, versionId) {
+    if (!(await Dialogs.confirm({
+      title: 'Delete version',
+      message: 'Delete this version permanently?',
+      confirmLabel: 'Delete',
+      danger: true
+    }))) return;
+    await DB.deleteVersion(versionId);
+    await refreshFileList();
+  }
+
+  // --- Tags and notes ---
+  /* The tags and note of an entry as header fields (empty ones are left out) */
+  function annotations(entry) {
+    const fields = {};
+    if (entry.tags && entry.tags.length) fields.tags = entry.tags;
+    if (entry.note) fields.note = entry.note;
+    return fields;
+  }
+
+  /* "a, b,  a" -> ['a', 'b']: trimmed, inner spaces collapsed, duplicates (ignoring case) dropped */
+  function parseTags(text) {
+    const tags = [];
+    for (const part of text.split(',')) {
+      const tag = part.trim().replace(/\s+/g, ' ');
+      if (!tag || tags.some(t => t.toLowerCase() === tag.toLowerCase())) continue;
+      if (tag.length > MAX_TAG_LENGTH) throw new Error(`Tag "${tag.slice(0, 16)}…" is longer than ${MAX_TAG_LENGTH} characters.`);
+      tags.push(tag);
+    }
+    if (tags.length > MAX_TAGS) throw new Error(`A file can have at most ${MAX_TAGS} tags.`);
+    return tags;
+  }
+
+  /* Chosen colour of a tag, or a palette colour picked from its name */
+  function tagColor(tag) {
+    if (tagColors[tag]) return tagColors[tag];
+    let sum = 0;
+    for (const ch of tag.toLowerCase()) sum = (sum * 31 + ch.codePointAt(0)) >>> 0;
+    return TAG_PALETTE[sum % TAG_PALETTE.length];
+  }
+
+  /* Every tag in use, sorted */
+  function allTags() {
+    const tags = new Set();
+    for (const entry of storedFiles) (entry.tags || []).forEach(tag => tags.add(tag));
+    return [...tags].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  }
+
+  /* Clicking a chip filters the list by that tag */
+  function tagChip(tag) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag-chip';
+    chip.textContent = tag;
+    chip.title = `Show files tagged "${tag}"`;
+    chip.style.backgroundColor = tagColor(tag);
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      filterTagSelect.value = tag;
+      renderFileList();
+    });
+    return chip;
+  }
+
+  function renderTagFilter() {
+    const selected = filterTagSelect.value;
+    const tags = unlocked ? allTags() : [];
+    const any = document.createElement('option');
+    any.value = '';
+    any.textContent = 'All tags';
+    filterTagSelect.replaceChildren(any, ...tags.map((tag) => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag;
+      return option;
+    }));
+    filterTagSelect.value = tags.includes(selected) ? selected : '';
+  }
+
+  async function loadTagColors() {
+    const record = await DB.getMeta(TAG_COLORS_ID);
+    if (!record) return {};
+    try {
+      return await CryptoHelper.openMetaRecord(record, sessionKey);
+    } catch (err) {
+      showMessage(`Tag colours could not be read: ${err.message}`, 'error');
+      return {};
+    }
+  }
+
+  async function saveTagColors(colors) {
+    await DB.saveMeta(await CryptoHelper.sealMetaRecord(TAG_COLORS_ID, colors, sessionKey));
+    tagColors = colors;
+  }
+
+  /* Merge import: take over the archive's colours of tags that have none here yet */
+  async function mergeTagColors(archive) {
+    const record = archive.metas.find(m => m.id === TAG_COLORS_ID);
+    if (!record) return;
+    let colors;
+    try {
+      colors = await CryptoHelper.openMetaRecord(record, archive.masterKey);
+    } catch (err) {
+      return; // the files came over; they just keep their default colours
+    }
+    const merged = { ...colors, ...tagColors };
+    if (Object.keys(merged).length !== Object.keys(tagColors).length) await saveTagColors(merged);
+  }
+
+  function openDetails(fileId) {
+    const entry = storedFiles.find(e => e.id === fileId);
+    if (!entry || entry.unreadable) return;
+    detailsFileId = fileId;
+    detailsTitle.textContent = `Tags and note: ${entry.name}`;
+    detailsTagsInput.value = (entry.tags || []).join(', ');
+    detailsNoteInput.value = entry.note || '';
+    renderDetailsColors();
+    detailsPane.style.display = 'block';
+    detailsTagsInput.focus();
+  }
+
+  function closeDetails() {
+    detailsFileId = null;
+    detailsTitle.textContent = '';
+    detailsTagsInput.value = '';
+    detailsNoteInput.value = '';
+    detailsTagColors.replaceChildren();
+    detailsPane.style.display = 'none';
+  }
+
+  /* A colour picker per tag typed so far; picked colours survive retyping the list */
+  function renderDetailsColors() {
+    let tags;
+    try {
+      tags = parseTags(detailsTagsInput.value);
+    } catch (err) {
+      return; // reported on save
+    }
+    const picked = new Map([...detailsTagColors.querySelectorAll('input')].map(input => [input.dataset.tag, input.value]));
+    detailsTagColors.replaceChildren(...tags.map((tag) => {
+      const li = document.createElement('li');
+      const label = document.createElement('label');
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.dataset.tag = tag;
+      color.value = picked.get(tag) || tagColor(tag);
+      color.setAttribute('aria-label', `Colour of tag ${tag}`);
+      const chip = document.createElement('span');
+      chip.className = 'tag-chip';
+      chip.textContent = tag;
+      chip.style.backgroundColor = color.value;
+      color.addEventListener('input', () => { chip.style.backgroundColor = color.value; });
+      label.appendChild(color);
+      label.appendChild(chip);
+      li.appendChild(label);
+      return li;
+    }));
+  }
+
+  /* Re-seal the file's header with the edited tags and note, and keep any new colours */
+  async function saveDetails() {
+    const entry = storedFiles.find(e => e.id === detailsFileId);
+    if (!entry) throw new Error('File not found');
+    const tags = parseTags(detailsTagsInput.value);
+    const note = detailsNoteInput.value.trim();
+    if (note.length > MAX_NOTE_LENGTH) throw new Error(`The note is longer than ${MAX_NOTE_LENGTH} characters.`);
+
+    const { id, record, tags: _tags, note: _note, ...meta } = entry;
+    await DB.saveFile(await CryptoHelper.sealFileHeader(record, { ...meta, ...annotations({ tags, note }) }, sessionKey));
+    const colors = { ...tagColors };
+    let changed = false;
+    for (const input of detailsTagColors.querySelectorAll('input')) {
+      if (input.value === tagColor(input.dataset.tag)) continue;
+      colors[input.dataset.tag] = input.value;
+      changed = true;
+    }
+    if (changed) await saveTagColors(colors);
+    closeDetails();
+    await refreshFileList();
+    showMessage(`Saved tags and note of ${entry.name}.`);
+  }
+
+  // --- Note editor ---
+  /* A note never exists as a plaintext file: the editor's text is encoded in memory and
+     streamed into createEncryptedFileRecord. Until it is saved, the editor's state is
+     autosaved as the draft and offered again the next time the editor opens. */
+
+  /* Text and Markdown files small enough to edit in the page */
+  function isEditableNote(entry) {
+    const kind = Preview.kindOf(entry);
+    return (kind === 'text' || kind === 'markdown') && entry.size <= NOTE_MAX_BYTES;
+  }
+
+  function noteFormat(meta) {
+    return Preview.kindOf(meta) === 'markdown' ? 'markdown' : 'text';
+  }
+
+  /* Decrypt a text file straight into a string (no Blob in between) */
+  async function decryptNoteText(rec) {
+    const decoder = new TextDecoder();
+    let text = '';
+    const result = await CryptoHelper.decryptFileRecord(rec, sessionKey,
+      (index) => DB.getChunk(rec.contentId, index), (plain) => { text += decoder.decode(plain, { stream: true }); });
+    return { text: text + decoder.decode(), ok: result.ok };
+  }
+
+  async function loadNoteDraft() {
+    const record = await DB.getMeta(NOTE_DRAFT_ID);
+    if (!record) return null;
+    try {
+      return await CryptoHelper.openMetaRecord(record, sessionKey);
+    } catch (err) {
+      showMessage(`The note draft could not be read: ${err.message}`, 'error');
+      return null;
+    }
+  }
+
+  /* Seal the editor's state as the draft. Everything is read before the first await, so a
+     save started right before locking still completes; a vault switch meanwhile drops it. */
+  async function saveNoteDraft() {
+    clearTimeout(editorDraftTimer);
+    editorDraftTimer = null;
+    if (!editorNote || !sessionKey) return;
+    const token = draftToken;
+    const vault = activeVault;
+    const draft = {
+      ...editorNote,
+      name: editorNameInput.value,
+      format: editorFormatSelect.value,
+      text: editorTextInput.value,
+      savedAt: new Date().toISOString()
+    };
+    const record = await CryptoHelper.sealMetaRecord(NOTE_DRAFT_ID, draft, sessionKey);
+    if (token !== draftToken || vault !== activeVault) return;
+    await DB.saveMeta(record);
+    if (editorNote && editorDirty) {
+      editorStatus.textContent = `Draft saved (encrypted) at ${new Date(draft.savedAt).toLocaleTimeString()}`;
+    }
+  }
+
+  async function discardNoteDraft() {
+    clearTimeout(editorDraftTimer);
+    editorDraftTimer = null;
+    draftToken++;
+    await DB.deleteMeta(NOTE_DRAFT_ID);
+  }
+
+  function noteEdited() {
+    editorDirty = true;
+    editorStatus.textContent = 'Unsaved changes';
+    clearTimeout(editorDraftTimer);
+    editorDraftTimer = setTimeout(() => {
+      saveNoteDraft().catch(err => showMessage(`Could not save the note draft: ${err.message}`, 'error'));
+    }, NOTE_DRAFT_DELAY_MS);
+  }
+
+  /* Switching the format renames "x.txt" to "x.md" and back; other names are left alone */
+  function changeNoteFormat() {
+    const format = editorFormatSelect.value;
+    const other = NOTE_FORMATS[format === 'markdown' ? 'text' : 'markdown'].extension;
+    const name = editorNameInput.value;
+    if (name.toLowerCase().endsWith(`.${other}`)) {
+      editorNameInput.value = `${name.slice(0, -other.length)}${NOTE_FORMATS[format].extension}`;
+    }
+    showNotePreview(false);
+    noteEdited();
+  }
+
+  /* Markdown notes can be previewed in place of the text area */
+  function showNotePreview(show) {
+    const markdown = editorFormatSelect.value === 'markdown';
+    show = show && markdown;
+    editorPreviewBtn.disabled = !markdown;
+    editorPreviewBtn.textContent = show ? 'Edit text' : 'Preview';
+    editorPreviewBtn.setAttribute('aria-pressed', String(show));
+    editorPreview.replaceChildren(...(show ? [Preview.renderMarkdown(editorTextInput.value)] : []));
+    editorPreview.style.display = show ? 'block' : 'none';
+    editorTextInput.style.display = show ? 'none' : '';
+  }
+
+  /* Open the editor on an existing text file, or on a new note in the current folder.
+     A waiting draft is offered first; restoring it opens the note it belongs to. */
+  async function openNoteEditor(fileId = null) {
+    if (editorNote && !(await closeNoteEditor())) return;
+    let draft = await loadNoteDraft();
+    if (draft) {
+      const choice = await Dialogs.choose({
+        title: 'Unsaved note draft',
+        message: `A draft of "${draft.name}" from ${new Date(draft.savedAt).toLocaleString()} was never saved. ` +
+          'Restore it, or discard it and go on?',
+        choices: [
+          { value: 'restore', label: 'Restore draft' },
+          { value: 'discard', label: 'Discard draft' }
+        ]
+      });
+      if (!choice) return;
+      if (choice.value === 'discard') {
+        await discardNoteDraft();
+        draft = null;
+      } else {
+        // a file deleted since comes back as a new note
+        fileId = storedFiles.some(e => e.id === draft.fileId) ? draft.fileId : null;
+      }
+    }
+
+    let note = { fileId: null, folderId: currentFolder };
+    let name = uniqueName(currentFolder, `Untitled note.${NOTE_FORMATS.text.extension}`);
+    let format = 'text';
+    let text = '';
+    if (fileId) {
+      const entry = storedFiles.find(e => e.id === fileId);
+      if (!entry || entry.unreadable) throw new Error('File not found');
+      note = { fileId, folderId: entry.folderId };
+      name = entry.name;
+      format = noteFormat(entry);
+      if (!draft) {
+        if (!isEditableNote(entry)) throw new Error(`${entry.name} is not a text file that can be edited here.`);
+        const rec = await DB.getFile(fileId);
+        if (!rec) throw new Error('File not found in DB');
+        const result = await decryptNoteText(rec);
+        if (result.text.includes('\u0000')) throw new Error('File looks binary; download it instead.');
+        if (!result.ok && !(await confirmTampered('Edit it anyway?', 'Edit'))) return;
+        text = result.text;
+      }
+    } else if (draft && (draft.folderId === ROOT_FOLDER || findFolder(draft.folderId))) {
+      note.folderId = draft.folderId;
+    }
+    if (draft) ({ name, format, text } = draft);
+    if (!unlocked) return; // locked while decrypting or asking
+
+    editorNote = note;
+    editorDirty = Boolean(draft);
+    editorTitle.textContent = note.fileId ? 'Edit note' : 'New note';
+    editorNameInput.value = name;
+    editorFormatSelect.value = format;
+    editorTextInput.value = text;
+    editorStatus.textContent = draft ? 'Draft restored, not saved yet' : '';
+    showNotePreview(false);
+    editorPane.style.display = 'block';
+    editorTextInput.focus();
+  }
+
+  /* Close the editor; unsaved changes (and their draft) are discarded after asking.
+     Returns false if the user keeps editing. */
+  async function closeNoteEditor() {
+    if (editorDirty) {
+      const discard = await Dialogs.confirm({
+        title: 'Unsaved note',
+        message: `Close "${editorNameInput.value}" without saving? Its changes are discarded.`,
+        confirmLabel: 'Discard',
+        danger: true
+      });
+      if (!discard) return false;
+      await discardNoteDraft();
+    }
+    hideNoteEditor();
+    return true;
+  }
+
+  /* Drop the editor's plaintext from the page; a draft stays stored (lock, wipe) */
+  function hideNoteEditor() {
+    clearTimeout(editorDraftTimer);
+    editorDraftTimer = null;
+    editorNote = null;
+    editorDirty = false;
+    editorTitle.textContent = '';
+    editorNameInput.value = '';
+    editorTextInput.value = '';
+    editorStatus.textContent = '';
+    showNotePreview(false);
+    editorPane.style.display = 'none';
+  }
+
+  /* Encrypt the editor's text as a file. A new note goes into the folder it was started in;
+     an existing file is overwritten in place and its previous contents become a version. */
+  async function saveNote() {
+    const note = editorNote;
+    if (!note) return;
+    const existing = note.fileId ? storedFiles.find(e => e.id === note.fileId) : null;
+    if (note.fileId && !existing) throw new Error('The file was deleted meanwhile; copy the text into a new note.');
+    if (existing && !editorDirty) {
+      showMessage('No changes to save.');
+      return;
+    }
+    const folderId = existing ? existing.folderId : note.folderId;
+    if (folderId !== ROOT_FOLDER && !findFolder(folderId)) throw new Error('The folder of this note no longer exists.');
+    const name = editorNameInput.value.trim();
+    if (!DB.isValidName(name)) throw new Error('Names cannot be empty, "." / ".." or contain "/".');
+    if (nameTaken(folderId, name, note.fileId)) throw new Error(`"${name}" already exists here.`);
+    const format = editorFormatSelect.value;
+    const bytes = new TextEncoder().encode(editorTextInput.value);
+    if (bytes.byteLength > NOTE_MAX_BYTES) {
+      throw new Error(`Notes are limited to ${formatSize(NOTE_MAX_BYTES)}; this one has ${formatSize(bytes.byteLength)}.`);
+    }
+
+    // a stream over the encoded text, not a Blob, which the browser may page out to disk
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes);
+        controller.close();
+      }
+    });
+    // an edited file keeps its type unless the format was switched
+    const mimeType = existing && noteFormat(existing) === format ? existing.mimeType : NOTE_FORMATS[format].mimeType;
+    const meta = { name, folderId, mimeType, ...(existing ? annotations(existing) : {}) };
+    let contentId = null;
+    let record;
+    try {
+      ({ record } = await CryptoHelper.createEncryptedFileRecord(meta, source, sessionKey, (chunk) => {
+        contentId = chunk.contentId;
+        return DB.saveChunk(chunk);
+      }, existing ? existing.id : undefined));
+      await DB.saveFile(record, { version: existing ? await sealVersion(existing) : null });
+    } catch (err) {
+      if (contentId) await DB.deleteChunks(contentId);
+      throw err;
+    }
+    if (existing) await pruneVersions(existing.id);
+    await discardNoteDraft();
+    if (editorNote === note) {
+      editorNote = { fileId: record.id, folderId };
+      editorDirty = false;
+      editorTitle.textContent = 'Edit note';
+      editorStatus.textContent = `Saved at ${new Date().toLocaleTimeString()}`;
+    }
+    await refreshFileList();
+    showMessage(`Saved note ${DB.joinPath(folderPath(folderId), name)}`);
+  }
+
+  // --- Sharing ---
+  /* A file leaves the vault as a share package (share-package.js): re-encrypted under a
+     package key that is wrapped under a one-time passphrase or for the recipient vault's
+     public key. Opening a package re-encrypts the file once more into this vault. */
+
+  /* This vault's key pair for receiving shares ({ publicKey, privateKey, createdAt }, JWK);
+     with create, one is made on first use. Returns null if there is none. */
+  async function loadShareKeyPair(create = false) {
+    const record = await DB.getMeta(SHARE_KEY_PAIR_ID);
+    if (record) return CryptoHelper.openMetaRecord(record, sessionKey);
+    if (!create) return null;
+    const pair = { ...(await CryptoHelper.generateShareKeyPair()), createdAt: new Date().toISOString() };
+    await DB.saveMeta(await CryptoHelper.sealMetaRecord(SHARE_KEY_PAIR_ID, pair, sessionKey));
+    return pair;
+  }
+
+  /* Save this vault's public key as a file for the people who want to share with it */
+  async function exportPublicKey() {
+    const pair = await loadShareKeyPair(true);
+    const keyId = await CryptoHelper.publicKeyFingerprint(pair.publicKey);
+    saveBlob(await SharePackage.publicKeyFile(pair.publicKey, activeVault.name),
+      `${activeVault.name}${SharePackage.KEY_FILE_EXTENSION}`);
+    showMessage(`Saved the public key of this vault (key id ${keyId}). Files shared to it can only be opened here.`);
+  }
+
+  function openShare(fileId) {
+    const entry = storedFiles.find(e => e.id === fileId);
+    if (!entry || entry.unreadable) return;
+    shareFileId = fileId;
+    shareTitle.textContent = `Share: ${entry.name}`;
+    sharePassphraseInput.value = '';
+    shareKeyInput.value = '';
+    shareRecipient = null;
+    shareKeyInfo.textContent = 'Choose the .efskey file the recipient exported from their vault.';
+    sharePane.style.display = 'block';
+    sharePassphraseInput.focus();
+  }
+
+  function closeShare() {
+    shareFileId = null;
+    shareRecipient = null;
+    sharePassphraseInput.value = '';
+    shareKeyInput.value = '';
+    sharePane.style.display = 'none';
+  }
+
+  function shareMethod() {
+    return sharePane.querySelector('input[name="share-method"]:checked').value;
+  }
+
+  /* Random passphrase: 96 bits as six groups of four hex digits */
+  function generatePassphrase() {
+    return CryptoHelper.randomId(12).match(/.{4}/g).join('-');
+  }
+
+  async function createShare() {
+    const entry = storedFiles.find(e => e.id === shareFileId);
+    const record = entry && await DB.getFile(entry.id);
+    if (!record) throw new Error('File not found');
+
+    let secret;
+    if (shareMethod() === SharePackage.METHOD_PUBLIC_KEY) {
+      if (!shareRecipient) throw new Error('Choose the recipient\'s public key file.');
+      secret = { publicKey: shareRecipient.key };
+    } else {
+      const passphrase = sharePassphraseInput.value;
+      if (!passphrase) throw new Error('Enter or generate a passphrase.');
+      checkPasswordPolicy(passphrase);
+      secret = { passphrase };
+    }
+    const days = Number(shareExpirySelect.value);
+    const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+    const blob = await SharePackage.createPackage({
+      record,
+      masterKey: sessionKey,
+      getChunk: (index) => DB.getChunk(record.contentId, index),
+      secret,
+      expiresAt
+    });
+    saveBlob(blob, `${entry.name}${SharePackage.FILE_EXTENSION}`);
+    const until = expiresAt ? `, valid until ${new Date(expiresAt).toLocaleString()}` : '';
+    const to = secret.publicKey ? ` for key ${shareRecipient.keyId}` : '. Send the passphrase separately';
+    showMessage(`Created a share package of ${entry.name} (${formatSize(blob.size)}${until})${to}.`);
+    closeShare();
+  }
+
+  /* Open a share package into the current folder, asking for its passphrase or using this
+     vault's private key */
+  async function openSharedPackage(file) {
+    const { header } = await SharePackage.readHeader(file);
+    const expires = header.expiresAt ? ` It expires on ${new Date(header.expiresAt).toLocaleString()}.` : '';
+    let secret;
+    if (header.recipient.method === SharePackage.METHOD_PUBLIC_KEY) {
+      const pair = await loadShareKeyPair();
+      const ownId = pair && await CryptoHelper.publicKeyFingerprint(pair.publicKey);
+      if (ownId !== header.recipient.keyId) {
+        throw new Error(`This package was shared to key ${header.recipient.keyId}, ` +
+          (ownId ? `but this vault's key is ${ownId}.` : 'but this vault has no key yet.'));
+      }
+      secret = { privateKey: pair.privateKey };
+    } else {
+      const passphrase = await Dialogs.prompt({
+        title: 'Open shared package',
+        message: `Enter the passphrase of ${file.name}.${expires}`,
+        confirmLabel: 'Open',
+        type: 'password'
+      });
+      if (passphrase === null) return;
+      secret = { passphrase };
+    }
+
+    const pkg = await SharePackage.openPackage(file, secret);
+    const meta = await CryptoHelper.openFileHeader(pkg.record, pkg.packageKey);
+    const folderId = currentFolder;
+    let existing = storedFiles.find(e => e.folderId === folderId && e.name === meta.name);
+    let name = meta.name;
+    if (existing) {
+      const action = await askConflict(null, DB.joinPath(folderPath(folderId), meta.name));
+      if (action === 'skip') return;
+      if (action === 'keep-both') {
+        existing = null;
+        name = uniqueName(folderId, meta.name);
+      }
+    }
+
+    // a fresh file key and content id, so a package opened twice never shares chunks
+    let contentId = null;
+    try {
+      const { record } = await CryptoHelper.recryptRecord(pkg.record, pkg.packageKey, sessionKey, pkg.getChunk,
+        (chunk) => {
+          contentId = chunk.contentId;
+          return DB.saveChunk(chunk);
+        }, { folderId, name }, existing ? existing.id : CryptoHelper.randomId());
+      await DB.saveFile(record, { version: existing ? await sealVersion(existing) : null });
+    } catch (err) {
+      if (contentId) await DB.deleteChunks(contentId);
+      throw err;
+    }
+    if (existing) await pruneVersions(existing.id);
+    await refreshFileList();
+    showMessage(`Added the shared file ${name} to ${folderPath(folderId)}.`);
+  }
+
+  // --- Trash ---
+  /* Move files and folders to the trash as one deletion. Their headers are re-sealed with
+     when they were deleted and a deletion id, so a folder comes back with the contents it
+     was deleted with. Unreadable records are trashed as they are. */
+  async function moveToTrash(files, folders = []) {
+    const deletion = { deletedAt: new Date().toISOString(), deletionId: CryptoHelper.randomId() };
+    const items = [];
+    for (const entry of files) {
+      const { id, record, unreadable, ...meta } = entry;
+      items.push({
+        kind: 'file',
+        record: unreadable ? record : await CryptoHelper.sealFileHeader(record, { ...meta, ...deletion }, sessionKey)
+      });
+    }
+    for (const folder of folders) {
+      const { id, record, ...meta } = folder;
+      items.push({ kind: 'folder', record: await CryptoHelper.sealFolderRecord({ ...meta, ...deletion }, sessionKey, id) });
+    }
+    await DB.trashRecords(items);
+  }
+
+  /* Open the trash and purge whatever is older than the retention period */
+  async function loadTrash() {
+    const entries = [];
+    for (const record of await DB.getTrash()) {
+      try {
+        const meta = record.kind === 'folder'
+          ? await CryptoHelper.openFolderRecord(record, sessionKey)
+          : await CryptoHelper.openFileHeader(record, sessionKey);
+        entries.push({ ...meta, id: record.id, kind: record.kind, record });
+      } catch (err) {
+        entries.push({
+          id: record.id,
+          kind: record.kind,
+          record,
+          name: `Unreadable record ${record.id.slice(0, 8)}`,
+          deletedAt: null,
+          unreadable: true
+        });
+      }
+    }
+
+    const { maxAgeDays } = trashRetention;
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = maxAgeDays > 0 ? entries.filter(t => t.deletedAt && new Date(t.deletedAt).getTime() < cutoff) : [];
+    if (expired.length) await DB.purgeTrash(expired.map(t => t.id));
+    trashEntries = entries.filter(t => !expired.includes(t));
+  }
+
+  function loadTrashRetention() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(TRASH_RETENTION_STORAGE_KEY)) || {};
+    } catch (err) {
+      // corrupt value: fall back to the defaults
+    }
+    const days = saved.maxAgeDays;
+    return { maxAgeDays: Number.isInteger(days) && days >= 0 ? days : TRASH_RETENTION_DEFAULTS.maxAgeDays };
+  }
+
+  /* Where a trashed item lived: the folder id of a file, the parent of a folder */
+  function trashParent(item) {
+    return item.kind === 'folder' ? item.parentId : item.folderId;
+  }
+
+  /* An item and everything that was deleted together with it inside it */
+  function trashGroup(item) {
+    const sameDeletion = trashEntries.filter(t => !t.unreadable && t.deletionId === item.deletionId);
+    const inside = (t) => {
+      for (let parent = trashParent(t); parent; ) {
+        if (parent === item.id) return true;
+        const folder = sameDeletion.find(f => f.kind === 'folder' && f.id === parent);
+        parent = folder ? trashParent(folder) : null;
+      }
+      return false;
+    };
+    return [item].concat(item.kind === 'folder' && !item.unreadable ? sameDeletion.filter(inside) : []);
+  }
+
+  /* Items shown in the trash: everything not deleted as part of a trashed folder */
+  function trashTopLevel() {
+    return trashEntries.filter(t => t.unreadable || !trashEntries.some(f =>
+      f.kind === 'folder' && f.id === trashParent(t) && f.deletionId === t.deletionId));
+  }
+
+  async function openTrash() {
+    trashPane.style.display = 'block';
+    renderTrash();
+  }
+
+  function closeTrash() {
+    trashList.replaceChildren();
+    trashPane.style.display = 'none';
+  }
+
+  function renderTrash() {
+    trashBtn.textContent = trashEntries.length ? `🗑 Trash (${trashTopLevel().length})` : '🗑 Trash';
+    if (trashPane.style.display === 'none') return;
+
+    const items = trashTopLevel().sort((a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0));
+    trashEmptyBtn.disabled = !items.length;
+    if (!items.length) {
+      const li = document.createElement('li');
+      li.textContent = 'The trash is empty.';
+      trashList.replaceChildren(li);
+      return;
+    }
+
+    trashList.replaceChildren(...items.map(item => {
+      const li = document.createElement('li');
+      const info = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = `${item.kind === 'folder' ? '📁' : '📄'} ${item.name}`;
+      const details = document.createElement('small');
+      if (item.unreadable) {
+        details.textContent = 'Cannot be opened with this vault key; restoring puts it back as it is.';
+      } else {
+        const parent = trashParent(item);
+        const from = parent === ROOT_FOLDER || findFolder(parent) ? folderPath(parent) : 'a deleted folder';
+        const contents = item.kind === 'folder' ? `${trashGroup(item).length - 1} item(s)` : formatSize(item.size);
+        details.textContent = `From ${from} • ${contents} • deleted ${new Date(item.deletedAt).toLocaleString()}`;
+      }
+      info.appendChild(title);
+      info.appendChild(details);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'history-actions';
+      const actions = [['Restore', () => restoreFromTrash(item)], ['Delete forever', () => purgeFromTrash(item), 'danger']];
+      for (const [text, action, className] of actions) {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        if (className) btn.className = className;
+        btn.addEventListener('click', async () => {
+          try {
+            await action();
+          } catch (err) {
+            showMessage(`${text} failed: ${err.message}`, 'error');
+          }
+        });
+        buttons.appendChild(btn);
+      }
+      li.appendChild(info);
+      li.appendChild(buttons);
+      return li;
+    }));
+  }
+
+  /* Put an item (and what was deleted with it) back where it was. If that folder is gone
+     it goes to the root, and a name clash gets a " (n)" suffix. */
+  async function restoreFromTrash(item) {
+    if (item.unreadable) {
+      await DB.restoreTrash([{ kind: item.kind, record: item.record }]);
+      await refreshFileList();
+      return;
+    }
+    const parent = trashParent(item);
+    const target = findFolder(parent) ? parent : ROOT_FOLDER;
+    const name = uniqueName(target, item.name);
+    const items = [];
+    for (const entry of trashGroup(item)) {
+      const { id, kind, record, deletedAt, deletionId, ...meta } = entry;
+      if (entry === item) {
+        if (kind === 'folder') meta.parentId = target;
+        else meta.folderId = target;
+        meta.name = name;
+      }
+      items.push({
+        kind,
+        record: kind === 'folder'
+          ? await CryptoHelper.sealFolderRecord(meta, sessionKey, id)
+          : await CryptoHelper.sealFileHeader(record, meta, sessionKey)
+      });
+    }
+    await DB.restoreTrash(items);
+    await refreshFileList();
+    showMessage(`Restored ${DB.joinPath(folderPath(target), name)}`);
+  }
+
+  async function purgeFromTrash(item) {
+    if (!(await Dialogs.confirm({
+      title: 'Delete forever',
+      message: `Permanently delete "${item.name}"? This cannot be undone.`,
+      confirmLabel: 'Delete forever',
+      danger: true
+    }))) return;
+    await DB.purgeTrash(trashGroup(item).map(t => t.id));
+    await refreshFileList();
+    showMessage(`Permanently deleted: ${item.name}`);
+  }
+
+  async function emptyTrash() {
+    if (!trashEntries.length) return;
+    if (!(await Dialogs.confirm({
+      title: 'Empty trash',
+      message: `Permanently delete all ${trashTopLevel().length} item(s) in the trash? This cannot be undone.`,
+      confirmLabel: 'Empty trash',
+      danger: true
+    }))) return;
+    await DB.purgeTrash(trashEntries.map(t => t.id));
+    await refreshFileList();
+    showMessage('Trash emptied.');
+  }
+
+  // --- Vault audit ---
+  const AUDIT_STATUS_LABELS = {
+    undecryptable: 'Undecryptable',
+    tampered: 'Tampered',
+    corrupt: 'Corrupt',
+    mismatched: 'Mismatched'
+  };
+
+  /* Decrypt and verify every record (files, versions, trash, folders) one at a time,
+     yielding to the page between records so the explorer stays usable. */
+  async function auditVault() {
+    const token = ++auditToken;
+    auditProblems = [];
+    auditPane.style.display = 'block';
+    auditCancel.style.display = '';
+    auditVaultBtn.disabled = true;
+    auditReport.replaceChildren();
+    auditQuarantineAll.style.display = 'none';
+
+    const trash = await DB.getTrash();
+    const fileName = (id) => (storedFiles.find(e => e.id === id) || trashEntries.find(t => t.id === id) || {}).name;
+    const targets = [
+      ...(await DB.getAllFiles()).map(record => ({ source: 'files', record, kind: 'file' })),
+      ...(await DB.getAllVersions()).map(record => ({ source: 'versions', record, kind: 'file' })),
+      ...trash.map(record => ({ source: 'trash', record, kind: record.kind })),
+      ...(await DB.getAllFolders()).map(record => ({ source: 'folders', record, kind: 'folder' }))
+    ];
+    auditProgress.max = targets.length || 1;
+
+    let checked = 0;
+    for (const target of targets) {
+      if (token !== auditToken) return; // cancelled or locked
+      auditProgress.value = checked;
+      auditStatus.textContent = `Checking ${checked + 1} of ${targets.length}…`;
+      const { record } = target;
+      let status = 'ok';
+      let detail = '';
+      let meta = null;
+      if (target.kind === 'folder') {
+        try {
+          meta = await CryptoHelper.openFolderRecord(record, sessionKey);
+        } catch (err) {
+          status = 'tampered';
+          detail = 'Folder metadata fails authentication: it was edited, swapped or damaged.';
+        }
+      } else {
+        ({ status, detail, meta } = await CryptoHelper.verifyRecord(record, sessionKey,
+          (index) => DB.getChunk(record.contentId, index)));
+      }
+      if (token !== auditToken) return;
+
+      if (status !== 'ok') {
+        const where = { files: '', versions: ' (older version)', trash: ' (in trash)', folders: ' (folder)' }[target.source];
+        const name = (meta && meta.name) || fileName(record.fileId || record.id) || `Record ${record.id.slice(0, 8)}`;
+        auditProblems.push({ ...target, label: `${name}${where}`, status, detail });
+      }
+      checked++;
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    auditProgress.value = auditProgress.max;
+    auditCancel.style.display = 'none';
+    auditVaultBtn.disabled = !unlocked;
+    auditStatus.textContent = auditProblems.length
+      ? `Checked ${targets.length} record(s): ${auditProblems.length} problem(s) found.`
+      : `Checked ${targets.length} record(s): everything is intact.`;
+    await renderAudit();
+  }
+
+  function cancelAudit() {
+    auditToken++;
+    auditCancel.style.display = 'none';
+    auditVaultBtn.disabled = !unlocked;
+    auditStatus.textContent = 'Audit cancelled.';
+  }
+
+  function closeAudit() {
+    auditToken++;
+    auditProblems = [];
+    auditReport.replaceChildren();
+    quarantineList.replaceChildren();
+    auditPane.style.display = 'none';
+    auditVaultBtn.disabled = !unlocked;
+  }
+
+  /* Report of the last audit plus everything currently in quarantine */
+  async function renderAudit() {
+    const row = (title, details, actions) => {
+      const li = document.createElement('li');
+      const info = document.createElement('div');
+      const strong = document.createElement('strong');
+      strong.textContent = title;
+      const small = document.createElement('small');
+      small.textContent = details;
+      info.appendChild(strong);
+      info.appendChild(small);
+      const buttons = document.createElement('div');
+      buttons.className = 'history-actions';
+      for (const [text, action, className] of actions) {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        if (className) btn.className = className;
+        btn.addEventListener('click', async () => {
+          try {
+            await action();
+          } catch (err) {
+            showMessage(`${text} failed: ${err.message}`, 'error');
+          }
+        });
+        buttons.appendChild(btn);
+      }
+      li.appendChild(info);
+      li.appendChild(buttons);
+      return li;
+    };
+
+    auditReport.replaceChildren(...auditProblems.map(problem => row(
+      `${AUDIT_STATUS_LABELS[problem.status]}: ${problem.label}`,
+      problem.detail,
+      [['Quarantine', () => quarantineProblems([problem])]]
+    )));
+    auditQuarantineAll.style.display = auditProblems.length > 1 ? '' : 'none';
+
+    const quarantined = unlocked ? await DB.getQuarantine() : [];
+    const rows = [];
+    for (const entry of quarantined) {
+      const name = await quarantinedName(entry);
+      rows.push(row(
+        `${name ? `"${name}"` : `Record ${entry.id.slice(0, 8)}`} (from ${entry.source})`,
+        `${entry.reason} • quarantined ${new Date(entry.quarantinedAt).toLocaleString()}`,
+        [['Release', () => releaseQuarantined(entry)], ['Delete forever', () => deleteQuarantined(entry), 'danger']]
+      ));
+    }
+    quarantineList.replaceChildren(...rows);
+    if (!quarantined.length) {
+      const li = document.createElement('li');
+      li.textContent = 'Nothing is quarantined.';
+      quarantineList.replaceChildren(li);
+    }
+  }
+
+  /* Name of a quarantined record, from its sealed header if that still opens, else from
+     the file it belongs to; null if neither works */
+  async function quarantinedName({ source, record }) {
+    try {
+      if (source === 'folders' || (source === 'trash' && record.kind === 'folder')) {
+        return (await CryptoHelper.openFolderRecord(record, sessionKey)).name;
+      }
+      return (await CryptoHelper.openFileHeader(record, sessionKey)).name;
+    } catch (err) {
+      const file = storedFiles.find(e => e.id === (record.fileId || record.id));
+      return file && !file.unreadable ? file.name : null;
+    }
+  }
+
+  /* Move flagged records out of the explorer; they stay in the database until deleted.
+     The stored reason is not encrypted, so it holds no name. */
+  async function quarantineProblems(problems) {
+    for (const problem of problems) {
+      await DB.quarantineRecord(problem.source, problem.record,
+        `${AUDIT_STATUS_LABELS[problem.status]}. ${problem.detail}`);
+    }
+    auditProblems = auditProblems.filter(p => !problems.includes(p));
+    await refreshFileList();
+    await renderAudit();
+    showMessage(`Quarantined ${problems.length} record(s).`);
+  }
+
+  async function releaseQuarantined(entry) {
+    if (!(await Dialogs.confirm({
+      title: 'Release record',
+      message: 'Put this record back? It will be listed again even though it failed the audit.',
+      confirmLabel: 'Release'
+    }))) return;
+    await DB.releaseQuarantined(entry.id);
+    await refreshFileList();
+    await renderAudit();
+  }
+
+  async function deleteQuarantined(entry) {
+    if (!(await Dialogs.confirm({
+      title: 'Delete record',
+      message: 'Permanently delete this quarantined record? This cannot be undone.',
+      confirmLabel: 'Delete forever',
+      danger: true
+    }))) return;
+    await DB.deleteQuarantined(entry.id);
+    await renderAudit();
+  }
+
+  // --- Storage ---
+  /* Browser quota for this site, or null where the Storage API is missing */
+  async function storageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return quota ? { usage, quota } : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /* true / false, or null where persistence cannot be queried */
+  async function storagePersisted() {
+    if (!navigator.storage || !navigator.storage.persisted) return null;
+    try {
+      return await navigator.storage.persisted();
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /* Approximate stored size of a record (strings, including base64 ciphertext of legacy
+     records, count one byte per character) */
+  function recordBytes(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'string') return value.length;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean') return 4;
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+    if (Array.isArray(value)) return value.reduce((sum, item) => sum + recordBytes(item), 0);
+    if (typeof value === 'object') {
+      return Object.entries(value).reduce((sum, [key, item]) => sum + key.length + recordBytes(item), 0);
+    }
+    return 0;
+  }
+
+  /* What a file of this size will take once encrypted and stored */
+  function encryptedSize(bytes) {
+    return bytes + Math.ceil(bytes / STORAGE_CHUNK_SIZE) * STORAGE_CHUNK_OVERHEAD + STORAGE_RECORD_OVERHEAD;
+  }
+
+  /* Before an upload batch: refuse it if it cannot fit into the browser quota and ask when
+     it would leave the quota nearly full. Uploads still queued count as well. */
+  async function checkStorageForBatch(uploads) {
+    const estimate = await storageEstimate();
+    if (!estimate) return true;
+    const queued = transfers.filter(t => !transferFinished(t)).reduce((sum, t) => sum + Math.max(0, t.size - t.done), 0);
+    const needed = uploads.reduce((sum, u) => sum + (u.file ? encryptedSize(u.file.size) : 0), 0) + encryptedSize(queued);
+    const free = Math.max(0, estimate.quota - estimate.usage);
+    if (needed > free) {
+      showMessage(`Not enough browser storage for this upload: it needs about ${formatSize(needed)}, but only ` +
+        `${formatSize(free)} is free. Empty the trash or delete older versions to make room.`, 'error');
+      return false;
+    }
+    const after = estimate.usage + needed;
+    if (after > estimate.quota * STORAGE_WARN_RATIO) {
+      return Dialogs.confirm({
+        title: 'Storage almost full',
+        message: `After this upload the browser storage for this site will be ${Math.round((after / estimate.quota) * 100)}% ` +
+          `full (${formatSize(after)} of ${formatSize(estimate.quota)}). Upload anyway?`,
+        confirmLabel: 'Upload'
+      });
+    }
+    return true;
+  }
+
+  /* Once, before the first upload into non-persistent storage, offer to make it persistent */
+  async function offerPersistence() {
+    if (localStorage.getItem(PERSIST_OFFERED_STORAGE_KEY) || (await storagePersisted()) !== false) return;
+    localStorage.setItem(PERSIST_OFFERED_STORAGE_KEY, '1');
+    if (await Dialogs.confirm({
+      title: 'Keep the vault safe from eviction',
+      message: 'When the disk runs low, browsers may delete the data of a site without asking. ' +
+        'Ask the browser to keep the vaults of this site persistently?',
+      confirmLabel: 'Request persistent storage',
+      cancelLabel: 'Not now'
+    })) await requestPersistence();
+  }
+
+  async function requestPersistence() {
+    let granted = false;
+    try {
+      granted = await navigator.storage.persist();
+    } catch (err) {
+      // treated as declined
+    }
+    showMessage(granted
+      ? 'Storage is now persistent: the browser will not evict the vaults to free space.'
+      : 'The browser declined persistent storage. Browsers usually grant it to bookmarked or installed sites, or ask first.',
+      granted ? 'info' : 'error');
+    if (storagePane.style.display !== 'none') await renderStorageQuota();
+  }
+
+  async function renderStorageQuota() {
+    const estimate = await storageEstimate();
+    if (estimate) {
+      const share = estimate.usage / estimate.quota;
+      storageQuotaText.textContent = `${formatSize(estimate.usage)} of ${formatSize(estimate.quota)} used by this site ` +
+        `(all vaults), ${formatSize(Math.max(0, estimate.quota - estimate.usage))} free.`;
+      storageQuota.value = Math.min(1, share);
+      storageQuota.classList.toggle('near-full', share > STORAGE_WARN_RATIO);
+      storageQuota.style.display = '';
+    } else {
+      storageQuotaText.textContent = 'This browser does not report its storage quota.';
+      storageQuota.style.display = 'none';
+    }
+    const persisted = await storagePersisted();
+    storagePersistBtn.style.display = persisted === false ? '' : 'none';
+    storagePersistStatus.textContent = persisted === null
+      ? 'This browser cannot keep storage persistently.'
+      : (persisted
+        ? 'Storage is persistent: the browser will not evict the vaults to free space.'
+        : 'Storage is not persistent: under storage pressure the browser may delete the vaults without asking.');
+  }
+
+  function storageRow(label, bytes, total) {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = label;
+    const size = document.createElement('span');
+    size.className = 'storage-size';
+    size.textContent = total ? `${formatSize(bytes)} (${Math.round((bytes / total) * 100)}%)` : formatSize(bytes);
+    li.appendChild(name);
+    li.appendChild(size);
+    return li;
+  }
+
+  /* Measure what the unlocked vault stores: chunks are summed from the database (ciphertext
+     as stored), records are estimated. Chunks shared by several records count once. */
+  async function openStorage() {
+    const token = ++storageToken;
+    storagePane.style.display = 'block';
+    storageVaultTotal.textContent = 'This vault: measuring…';
+    renderStorageBackend();
+    await renderStorageQuota();
+
+    const chunkUsage = await DB.getChunkUsage();
+    const files = await DB.getAllFiles();
+    const versions = await DB.getAllVersions();
+    const trash = await DB.getTrash();
+    const quarantine = await DB.getQuarantine();
+    const metadata = [...(await DB.getAllMeta()), ...(await DB.getAllFolders())];
+    if (token !== storageToken) return; // closed or locked meanwhile
+
+    const counted = new Set();
+    const stored = (record) => {
+      let bytes = recordBytes(record);
+      if (record.contentId && !counted.has(record.contentId)) {
+        counted.add(record.contentId);
+        bytes += chunkUsage.get(record.contentId) || 0;
+      }
+      return bytes;
+    };
+    const sum = (records) => records.reduce((total, record) => total + stored(record), 0);
+
+    const perFile = new Map(); // file id -> bytes of the file and its older versions
+    for (const record of files) perFile.set(record.id, stored(record));
+    const versionBytes = versions.reduce((total, record) => {
+      const bytes = stored(record);
+      if (perFile.has(record.fileId)) perFile.set(record.fileId, perFile.get(record.fileId) + bytes);
+      return total + bytes;
+    }, 0);
+    const areas = [
+      ['Files', [...perFile.values()].reduce((a, b) => a + b, 0) - versionBytes],
+      ['Older versions', versionBytes],
+      ['Trash', sum(trash)],
+      ['Quarantine', sum(quarantine)],
+      ['Folders and settings', sum(metadata)]
+    ];
+    const total = areas.reduce((a, [, bytes]) => a + bytes, 0);
+    storageVaultTotal.textContent = `This vault: ${formatSize(total)}`;
+    storageByArea.replaceChildren(...areas.filter(([, bytes]) => bytes).map(([label, bytes]) => storageRow(label, bytes, total)));
+
+    const entries = storedFiles.filter(e => perFile.has(e.id) && !e.unreadable);
+    const byType = new Map();
+    for (const entry of entries) {
+      const category = mimeCategory(entry);
+      byType.set(category, (byType.get(category) || 0) + perFile.get(entry.id));
+    }
+    storageByType.replaceChildren(...[...byType].sort((a, b) => b[1] - a[1]).map(([category, bytes]) =>
+      storageRow(filterTypeSelect.querySelector(`option[value="${category}"]`).textContent, bytes, total)));
+
+    const largest = entries.sort((a, b) => perFile.get(b.id) - perFile.get(a.id)).slice(0, STORAGE_TOP_FILES);
+    storageByFile.replaceChildren(...largest.map(entry => {
+      const versionCount = versions.filter(v => v.fileId === entry.id).length;
+      const label = DB.joinPath(folderPath(entry.folderId), entry.name) +
+        (versionCount ? ` (with ${versionCount} older version(s))` : '');
+      return storageRow(label, perFile.get(entry.id), total);
+    }));
+  }
+
+  /* The backend the vault is stored in, and the ones it could move to */
+  function renderStorageBackend() {
+    const backends = DB.listBackends();
+    const current = backends.find(b => b.id === activeVault.backend);
+    const others = backends.filter(b => b !== current && b.available);
+    storageBackendText.textContent = `Storage backend: ${current ? current.label : activeVault.backend}.` +
+      (others.length ? '' : ' No other backend is available in this browser.');
+    storageBackendSelect.replaceChildren(...others.map((backend) => {
+      const option = document.createElement('option');
+      option.value = backend.id;
+      option.textContent = backend.label;
+      return option;
+    }));
+    storageBackendMove.style.display = others.length ? '' : 'none';
+  }
+
+  /* Move the vault to another backend. It is locked for the move, so nothing writes to it
+     meanwhile; records and chunks are copied still encrypted. */
+  async function migrateStorage() {
+    const backend = DB.listBackends().find(b => b.id === storageBackendSelect.value);
+    if (!backend || !backend.available) return;
+    if (transfers.some(item => !transferFinished(item))) {
+      showMessage('Wait for the uploads to finish before moving the vault.', 'error');
+      return;
+    }
+    const vault = activeVault;
+    const move = await Dialogs.confirm({
+      title: 'Move vault',
+      message: `Move "${vault.name}" to the ${backend.label} backend? The vault locks for the move. ` +
+        'The old copy is deleted once the new one has been checked.',
+      confirmLabel: 'Move'
+    });
+    if (!move || !unlocked || vault !== activeVault) return;
+
+    lock('moving storage');
+    unlockBtn.disabled = true;
+    vaultSelect.disabled = true;
+    showMessage(`Moving vault "${vault.name}" to the ${backend.label} backend…`);
+    try {
+      const moved = await DB.migrateVault(vault, backend.id);
+      vaults = vaults.map(v => (v.id === moved.id ? moved : v));
+      activeVault = moved;
+      showMessage(`Vault "${vault.name}" now uses the ${backend.label} backend. Unlock it to continue.`);
+    } catch (err) {
+      showMessage(`Moving the vault failed: ${err.message}`, 'error');
+    } finally {
+      unlockBtn.disabled = false;
+      vaultSelect.disabled = false;
+    }
+    await refreshAuthMode();
+    await refreshFileList();
+  }
+
+  function closeStorage() {
+    storageToken++;
+    storagePane.style.display = 'none';
+    storageByArea.replaceChildren();
+    storageByType.replaceChildren();
+    storageByFile.replaceChildren();
+  }
+
+  // --- Sync ---
+  /* Sync this unlocked session: now, every SYNC_INTERVAL_MS and shortly after local changes.
+     Does nothing for a vault that is not synced. */
+  function startSync() {
+    stopSync();
+    syncAbort = new AbortController();
+    syncTimer = setInterval(runSync, SYNC_INTERVAL_MS);
+    runSync();
+  }
+
+  /* Stop syncing; a running sync is aborted before its next write */
+  function stopSync() {
+    clearInterval(syncTimer);
+    clearTimeout(syncDelayTimer);
+    syncTimer = syncDelayTimer = null;
+    if (syncAbort) syncAbort.abort();
+    syncAbort = null;
+    syncProblem = '';
+    syncConflictCount = 0;
+  }
+
+  /* Storage changed: sync shortly. Changes reported while a sync runs are mostly its own;
+     anything else is queued by the next periodic sync. */
+  function scheduleSync() {
+    if (!unlocked || !syncAbort || syncRun) return;
+    clearTimeout(syncDelayTimer);
+    syncDelayTimer = setTimeout(runSync, SYNC_DELAY_MS);
+  }
+
+  /* Sync once. Failures are reported once (manual syncs always report); an unreachable
+     server just leaves the changes queued. */
+  async function runSync({ manual = false } = {}) {
+    if (!syncAbort) return;
+    if (syncRun) {
+      if (manual) showMessage('A sync is running already.');
+      return;
+    }
+    const { signal } = syncAbort;
+    let result = null;
+    syncRun = SyncEngine.sync({ localMetaIds: SYNC_LOCAL_META_IDS, signal });
+    if (syncPane.style.display !== 'none') renderSync();
+    try {
+      result = await syncRun;
+      const reported = syncProblem;
+      syncProblem = result && result.refused
+        ? `The sync server refused ${result.refused} record(s) as too large; they stay queued on this device.`
+        : '';
+      if (syncProblem && (manual || syncProblem !== reported)) showMessage(syncProblem, 'error');
+    } catch (err) {
+      if (signal.aborted) return;
+      const reported = syncProblem;
+      syncProblem = err.offline ? 'offline' : `The last sync failed: ${err.message}`;
+      if (manual || !reported) {
+        showMessage(err.offline ? `${err.message} Changes stay queued until it is back.` : `Sync failed: ${err.message}`,
+          err.offline && !manual ? 'info' : 'error');
+      }
+    } finally {
+      syncRun = null;
+    }
+    if (signal.aborted) return;
+    if (result) {
+      if (result.pulled) await refreshFileList();
+      if (result.conflicts > syncConflictCount) {
+        showMessage(`Sync found ${result.conflicts} record(s) changed both here and on another device. ` +
+          'Open Sync to choose which to keep.', 'error');
+      } else if (manual) {
+        showMessage(`Synced: ${result.pulled} change(s) received, ${result.pushed} sent.`);
+      }
+      syncConflictCount = result.conflicts;
+    }
+    if (syncPane.style.display !== 'none') await renderSync();
+  }
+
+  async function openSync() {
+    syncPane.style.display = 'block';
+    await renderSync();
+  }
+
+  function closeSync() {
+    syncPane.style.display = 'none';
+    syncConflictList.replaceChildren();
+  }
+
+  /* Set up (unlocked), join (an empty locked vault) or the status and conflicts */
+  async function renderSync() {
+    const status = await SyncEngine.getStatus();
+    syncSetup.style.display = status ? 'none' : '';
+    syncConnected.style.display = status ? '' : 'none';
+    syncNowBtn.style.display = status && unlocked ? '' : 'none';
+    syncIdInput.style.display = unlocked ? 'none' : '';
+    syncConnectBtn.textContent = unlocked ? 'Set up sync' : 'Join';
+    if (!status) {
+      syncStatusText.textContent = unlocked
+        ? 'This vault is not synced. Enter the address of your sync server: only encrypted records and chunks are sent to it.'
+        : 'This vault is empty. To use a vault that another device syncs, enter its server and sync ID.';
+      syncConflictsTitle.style.display = 'none';
+      syncConflictList.replaceChildren();
+      return;
+    }
+
+    syncIdText.textContent = status.vaultId;
+    const parts = [`Synced with ${status.server}.`,
+      status.lastSyncAt ? `Last sync: ${new Date(status.lastSyncAt).toLocaleString()}.` : 'Not synced yet.'];
+    if (syncRun) parts.push('Syncing…');
+    else if (syncProblem === 'offline') parts.push(`The server cannot be reached; ${status.pending} change(s) are queued and sent once it is back.`);
+    else if (syncProblem) parts.push(syncProblem);
+    else if (status.pending) parts.push(`${status.pending} change(s) waiting to be sent.`);
+    syncStatusText.textContent = parts.join(' ');
 
-    // pick first file and attempt decrypt
-    const sample = files[0];
+    const conflicts = unlocked ? await SyncEngine.getConflicts() : [];
+    syncConflictsTitle.style.display = conflicts.length ? '' : 'none';
+    const rows = [];
+    for (const conflict of conflicts) rows.push(await syncConflictRow(conflict));
+    syncConflictList.replaceChildren(...rows);
+  }
+
+  /* One side of a conflict, opened: { name, detail } (name is null if it has none or
+     cannot be opened; a deleted side is null) */
+  async function openSyncSide(store, record) {
+    if (!record) return null;
     try {
-      await CryptoHelper.decryptBuffer({
-        ciphertext: sample.ciphertext,
-        iv: sample.iv,
-        salt: sample.salt,
-        iterations: sample.iterations,
-        hash: sample.hash
-      }, password);
-      // success
-      sessionPassword = password;
-      setUnlockedState(true);
-      showMessage('Explorer unlocked.');
-      await refreshFileList();
-      return true;
+      if (store === 'folders' || (store === 'trash' && record.kind === 'folder')) {
+        return { name: (await CryptoHelper.openFolderRecord(record, sessionKey)).name, detail: 'folder' };
+      }
+      if (store === 'files' || store === 'versions' || store === 'trash') {
+        const meta = await CryptoHelper.openFileHeader(record, sessionKey);
+        return { name: meta.name, detail: `${formatSize(meta.size)}, saved ${new Date(meta.createdAt).toLocaleString()}` };
+      }
     } catch (err) {
-      // wrong password
-      setUnlockedState(false);
-      showMessage('Wrong password. Unlock failed.', 'error');
-      return false;
+      return { name: null, detail: 'cannot be opened' };
     }
+    return { name: null, detail: 'changed' };
   }
 
-  async function handleFilesAdded(fileList) {
-    if (!unlocked || !sessionPassword) {
-      showMessage('Unlock explorer first before adding files.', 'error');
-      return;
-    }
+  async function syncConflictRow(conflict) {
+    const { store, id } = conflict;
+    const local = await openSyncSide(store, conflict.local);
+    const remote = await openSyncSide(store, conflict.remote);
+    const name = (local && local.name) || (remote && remote.name);
+    const where = { versions: ' (older version)', trash: ' (in trash)', quarantine: ' (quarantined)' }[store] || '';
+    const title = store === 'meta'
+      ? SYNC_META_LABELS[id] || `Vault setting "${id}"`
+      : `${name ? `"${name}"` : `Record ${id.slice(0, 8)}`}${where}`;
+    const side = (opened) => (!opened ? 'deleted'
+      : opened.name && opened.name !== name ? `"${opened.name}", ${opened.detail}` : opened.detail);
+    const li = document.createElement('li');
+    const info = document.createElement('div');
+    const strong = document.createElement('strong');
+    strong.textContent = title;
+    const small = document.createElement('small');
+    small.textContent = `This device: ${side(local)} • Other device: ${side(remote)}`;
+    info.append(strong, small);
 
-    for (const file of fileList) {
-      try {
-        // check existing
-        const existing = await DB.getFile(file.name);
-        if (existing) {
-          const override = confirm(`A file named "${file.name}" already exists. Overwrite?`);
-          if (!override) continue;
-        }
+    const actions = [['Keep this device\'s', 'local'], ['Use the other device\'s', 'remote']];
+    if (store === 'files' && conflict.local && conflict.remote) actions.push(['Keep both', 'both']);
+    const buttons = document.createElement('div');
+    buttons.className = 'history-actions';
+    for (const [text, choice] of actions) {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      btn.addEventListener('click', () => resolveSyncConflict(conflict, choice));
+      buttons.appendChild(btn);
+    }
+    li.append(info, buttons);
+    return li;
+  }
 
-        const arrayBuffer = await file.arrayBuffer();
-        const rec = await CryptoHelper.createEncryptedFileRecord(file.name, arrayBuffer, sessionPassword);
-        // store mimeType optionally in metadata (not currently saved by crypto helper)
-        rec.mimeType = file.type || '';
-        await DB.saveFile(rec);
-        showMessage(`Saved: ${file.name}`);
-      } catch (err) {
-        showMessage(`Failed to add ${file.name}: ${err.message}`, 'error');
+  /* "local" is sent over the server's side by the next sync, "remote" replaces this
+     device's side now; "both" keeps this device's file as an older version of the other's */
+  async function resolveSyncConflict(conflict, choice) {
+    if (!unlocked || !syncAbort) return;
+    const { signal } = syncAbort;
+    try {
+      if (choice === 'both') {
+        await DB.saveVersion(await sealVersion({ id: conflict.id, record: conflict.local }));
       }
+      await SyncEngine.resolveConflict(conflict.key, choice === 'local' ? 'local' : 'remote', { signal });
+      syncConflictCount = Math.max(0, syncConflictCount - 1);
+      showMessage(choice === 'both'
+        ? 'Kept both: this device\'s file is now the latest older version in its history.'
+        : 'Conflict settled.');
+    } catch (err) {
+      if (signal.aborted) return;
+      showMessage(`Could not settle the conflict: ${err.message}`, 'error');
     }
-
     await refreshFileList();
+    await runSync();
   }
 
-  async function downloadFile(name) {
-    const rec = await DB.getFile(name);
-    if (!rec) throw new Error('File not found in DB');
-
-    // decrypt
-    const result = await CryptoHelper.decryptBuffer({
-      ciphertext: rec.ciphertext,
-      iv: rec.iv,
-      salt: rec.salt,
-      iterations: rec.iterations,
-      hash: rec.hash
-    }, sessionPassword);
-
-    if (!result || !result.arrayBuffer) throw new Error('Decryption returned no data');
+  /* Set up sync for the unlocked vault, or let an empty locked vault join a synced one */
+  async function connectSync() {
+    const server = syncServerInput.value.trim();
+    if (!server) { showMessage('Enter the address of the sync server.', 'error'); return; }
+    const token = syncTokenInput.value;
+    syncConnectBtn.disabled = true;
+    try {
+      if (unlocked) {
+        const syncId = await SyncEngine.connect({ server, token });
+        syncTokenInput.value = '';
+        showMessage(`Sync is set up; the vault is being uploaded. Join it from other devices with sync ID ${syncId}.`);
+        runSync();
+      } else if (!vaultInitialized) {
+        await joinSync(server, token, syncIdInput.value.trim().toLowerCase());
+      }
+    } catch (err) {
+      showMessage(`Could not set up sync: ${err.message}`, 'error');
+    } finally {
+      syncConnectBtn.disabled = false;
+    }
+    if (syncPane.style.display !== 'none') await renderSync();
+  }
 
-    // verify integrity flag
-    if (!result.ok) {
-      const proceed = confirm('Integrity check failed (file may be tampered). Download anyway?');
-      if (!proceed) return;
+  /* An empty vault takes over a vault synced elsewhere: everything is downloaded still
+     encrypted, then it unlocks with that vault's password. A failed join leaves it empty. */
+  async function joinSync(server, token, vaultId) {
+    if (!vaultId) throw new Error('Enter the sync ID shown on the device that syncs the vault.');
+    const vault = activeVault;
+    stopSync();
+    syncAbort = new AbortController();
+    const { signal } = syncAbort;
+    unlockBtn.disabled = true;
+    vaultSelect.disabled = true;
+    showMessage(`Downloading the synced vault into "${vault.name}"…`);
+    try {
+      await SyncEngine.connect({ server, token, vaultId, signal });
+      const result = await SyncEngine.sync({ localMetaIds: SYNC_LOCAL_META_IDS, signal });
+      if (!(await DB.getMeta(VAULT_KEY_ID))) throw new Error('No vault is synced under that ID on this server.');
+      syncTokenInput.value = '';
+      syncIdInput.value = '';
+      showMessage(`"${vault.name}" now holds the synced vault (${result.pulled} records). ` +
+        'Unlock it with that vault\'s password (and keyfile, if it has one).');
+    } catch (err) {
+      if (!signal.aborted) await DB.clearAll();
+      throw err;
+    } finally {
+      stopSync();
+      unlockBtn.disabled = false;
+      vaultSelect.disabled = false;
+      await refreshAuthMode();
+      await refreshFileList();
     }
+    closeSync();
+  }
 
-    // create blob and trigger download
-    const blob = CryptoHelper.arrayBufferToBlob(result.arrayBuffer, rec.mimeType || '');
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = rec.name;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-    showMessage(`Downloaded: ${rec.name}`);
+  async function disconnectSync() {
+    const stop = await Dialogs.confirm({
+      title: 'Stop syncing',
+      message: 'Stop syncing this vault on this device? Its files stay here and the copy on the server ' +
+        'is left as it is. Changes that are still queued are not sent.',
+      confirmLabel: 'Stop syncing'
+    });
+    if (!stop) return;
+    await SyncEngine.disconnect();
+    syncProblem = '';
+    syncConflictCount = 0;
+    showMessage('This vault is no longer synced on this device.');
+    await renderSync();
+  }
+
+  function selectedEntries() {
+    return storedFiles.filter(e => selectedIds.has(e.id));
   }
 
   async function downloadSelected() {
-    const checked = Array.from(document.querySelectorAll('.file-checkbox'))
-      .filter(cb => cb.checked)
-      .map(cb => cb.closest('li').dataset.name);
+    const checked = selectedEntries();
 
     if (!checked.length) {
       showMessage('No files selected to download.', 'error');
       return;
     }
 
-    for (const name of checked) {
-      try {
-        await downloadFile(name);
-      } catch (err) {
-        showMessage(`Failed to download ${name}: ${err.message}`, 'error');
+    try {
+      if (checked.length === 1) {
+        await downloadFile(checked[0].id);
+      } else {
+        // one archive instead of a download per file (browsers block those after the first)
+        const base = findFolder(currentFolder);
+        await downloadZip(`${base ? base.name : activeVault.name}.zip`, checked, [], currentFolder);
       }
+    } catch (err) {
+      showMessage(`Download failed: ${err.message}`, 'error');
     }
   }
 
   async function deleteSelected() {
-    const checked = Array.from(document.querySelectorAll('.file-checkbox'))
-      .filter(cb => cb.checked)
-      .map(cb => cb.closest('li').dataset.name);
+    const checked = selectedEntries();
 
     if (!checked.length) {
       showMessage('No files selected to delete.', 'error');
       return;
     }
 
-    const ok = confirm(`Delete ${checked.length} file(s)? This cannot be undone.`);
+    const ok = await Dialogs.confirm({
+      title: 'Move to trash',
+      message: `Move ${checked.length} file(s) to the trash?`,
+      confirmLabel: 'Move to trash'
+    });
     if (!ok) return;
 
-    for (const name of checked) {
-      try {
-        await DB.deleteFile(name);
-        showMessage(`Deleted: ${name}`);
-      } catch (err) {
-        showMessage(`Failed to delete ${name}: ${err.message}`, 'error');
-      }
+    try {
+      await moveToTrash(checked);
+      showMessage(`Moved ${checked.length} file(s) to the trash.`);
+    } catch (err) {
+      showMessage(`Failed to delete: ${err.message}`, 'error');
+    }
+
+    await refreshFileList();
+  }
+
+  /* Move a file into another folder by re-sealing its header with the new folderId */
+  async function moveFile(id, targetFolder) {
+    const entry = storedFiles.find(e => e.id === id);
+    if (!entry || entry.unreadable) throw new Error('File not found');
+    if (entry.folderId === targetFolder) return;
+    if (nameTaken(targetFolder, entry.name)) {
+      throw new Error(`"${entry.name}" already exists in ${folderPath(targetFolder)}`);
+    }
+    const { id: _id, record, ...meta } = entry;
+    await DB.saveFile(await CryptoHelper.sealFileHeader(record, { ...meta, folderId: targetFolder }, sessionKey));
+    showMessage(`Moved ${entry.name} to ${folderPath(targetFolder)}`);
+  }
+
+  // --- Folder operations ---
+  async function promptFolderName(title, initial = '') {
+    const name = await Dialogs.prompt({ title, message: 'Folder name:', value: initial });
+    if (name === null) return null;
+    const trimmed = name.trim();
+    if (!DB.isValidName(trimmed)) {
+      showMessage('Folder names cannot be empty, "." / ".." or contain "/".', 'error');
+      return null;
+    }
+    return trimmed;
+  }
+
+  /* Re-seal a folder's header with some fields changed (rename, move) */
+  async function updateFolder(folder, changes) {
+    const { id, record, ...meta } = folder;
+    await DB.saveFolder(await CryptoHelper.sealFolderRecord({ ...meta, ...changes }, sessionKey, id));
+  }
+
+  async function createFolder() {
+    const name = await promptFolderName('New folder');
+    if (!name) return;
+    if (nameTaken(currentFolder, name)) {
+      showMessage(`"${name}" already exists here.`, 'error');
+      return;
+    }
+    try {
+      const meta = { name, parentId: currentFolder, createdAt: new Date().toISOString() };
+      await DB.saveFolder(await CryptoHelper.sealFolderRecord(meta, sessionKey));
+      showMessage(`Created folder: ${DB.joinPath(folderPath(currentFolder), name)}`);
+    } catch (err) {
+      showMessage(`Failed to create folder: ${err.message}`, 'error');
+    }
+    await refreshFileList();
+  }
+
+  async function renameFolder(id) {
+    const folder = findFolder(id);
+    if (!folder) return;
+    const name = await promptFolderName(`Rename folder "${folder.name}"`, folder.name);
+    if (!name || name === folder.name) return;
+    if (nameTaken(folder.parentId, name, id)) {
+      showMessage(`"${name}" already exists here.`, 'error');
+      return;
+    }
+    try {
+      await updateFolder(folder, { name });
+      showMessage(`Renamed folder ${folder.name} to ${name}`);
+    } catch (err) {
+      showMessage(`Failed to rename folder: ${err.message}`, 'error');
+    }
+    await refreshFileList();
+  }
+
+  async function moveFolder(id, targetFolder) {
+    const folder = findFolder(id);
+    if (!folder || folder.parentId === targetFolder) return;
+    if (isFolderInside(targetFolder, id)) throw new Error('A folder cannot be moved into itself');
+    if (nameTaken(targetFolder, folder.name, id)) {
+      throw new Error(`"${folder.name}" already exists in ${folderPath(targetFolder)}`);
     }
+    await updateFolder(folder, { parentId: targetFolder });
+    showMessage(`Moved folder ${folder.name} to ${folderPath(targetFolder)}`);
+  }
 
+  async function deleteFolder(id) {
+    const folder = findFolder(id);
+    if (!folder) return;
+    const nestedFiles = storedFiles.filter(e => isFolderInside(e.folderId, id));
+    const nestedFolders = storedFolders.filter(f => f.id !== id && isFolderInside(f.id, id));
+    if (nestedFiles.length || nestedFolders.length) {
+      const ok = await Dialogs.confirm({
+        title: 'Move to trash',
+        message: `Move folder "${folder.name}" with ${nestedFiles.length} file(s) and ${nestedFolders.length} subfolder(s) to the trash?`,
+        confirmLabel: 'Move to trash'
+      });
+      if (!ok) return;
+    }
+    try {
+      const path = folderPath(id);
+      await moveToTrash(nestedFiles, [folder, ...nestedFolders]);
+      showMessage(`Moved folder ${path} to the trash.`);
+    } catch (err) {
+      showMessage(`Failed to delete folder: ${err.message}`, 'error');
+    }
     await refreshFileList();
   }
 
@@ -313,6 +4278,14 @@ dropZone.addEventListener('drop', async (e) => {
   dropZone.classList.remove('highlight'); // reset highlight
   const dt = e.dataTransfer;
   if (!dt) return;
+  // entries have to be taken before the first await: the item list is emptied after the event
+  const entries = Array.from(dt.items || []).filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (entries.length && entries.every(Boolean)) {
+    const { files, directories } = await readDroppedEntries(entries);
+    if (files.length || directories.length) await enqueueUploads(files, directories);
+    return;
+  }
   const files = Array.from(dt.files || []);
   if (files.length) await handleFilesAdded(files);
 });
@@ -325,7 +4298,8 @@ fileInput.addEventListener('change', async (e) => {
 const resetBtn = document.getElementById("reset-btn");
 const resetConfirmation = document.getElementById("reset-confirmation");
 const resetMessage = document.getElementById("reset-message");
-const resetYes = document.getElementById("reset-yes");
+const resetTrash = document.getElementById("reset-trash");
+const resetWipe = document.getElementById("reset-wipe");
 const resetNo = document.getElementById("reset-no");
 
 resetBtn.addEventListener("click", () => {
@@ -334,16 +4308,20 @@ resetBtn.addEventListener("click", () => {
   resetBtn.disabled = true;
 
   let countdown = 5;
-  resetMessage.textContent = `⚠️ This will erase all files. Confirm in ${countdown} seconds...`;
-  resetYes.disabled = true;
+  const warning = `⚠️ Reset "${activeVault.name}": move everything to the trash (unlocked vaults only), ` +
+    `or securely wipe all files, versions, the trash and the vault key.`;
+  resetMessage.textContent = `${warning} Confirm in ${countdown} seconds...`;
+  resetTrash.disabled = true;
+  resetWipe.disabled = true;
 
   const timer = setInterval(() => {
     countdown--;
-    resetMessage.textContent = `⚠️ This will erase all files. Confirm in ${countdown} seconds...`;
+    resetMessage.textContent = `${warning} Confirm in ${countdown} seconds...`;
     if (countdown <= 0) {
       clearInterval(timer);
-      resetYes.disabled = false;
-      resetMessage.textContent = "⚠️ This will erase all files. Click Yes to confirm.";
+      resetTrash.disabled = !unlocked;
+      resetWipe.disabled = false;
+      resetMessage.textContent = `${warning} Choose an option to confirm.`;
     }
   }, 1000);
 });
@@ -354,32 +4332,178 @@ resetNo.addEventListener("click", () => {
   resetBtn.disabled = false;
 });
 
-// Execute reset
-resetYes.addEventListener("click", async () => {
-  // 1. Clear IndexedDB
-  const allFiles = await DB.getAllFiles();
-  for (const file of allFiles) {
-    await DB.deleteFile(file.name);
+// Reset by moving every file and folder to the trash (restorable until purged)
+resetTrash.addEventListener("click", async () => {
+  if (!unlocked) return;
+  try {
+    await moveToTrash(storedFiles, storedFolders);
+    showMessage(`Moved everything in "${activeVault.name}" to the trash.`);
+  } catch (err) {
+    showMessage(`Reset failed: ${err.message}`, 'error');
   }
+  currentFolder = ROOT_FOLDER;
+  await refreshFileList();
+
+  resetConfirmation.style.display = "none";
+  resetBtn.disabled = false;
+});
 
-  // 2. Clear session password
-  sessionPassword = null;
+// Secure wipe: without the wrapped vault key nothing left behind can be decrypted
+resetWipe.addEventListener("click", async () => {
+  // 1. Forget the key and everything decrypted, as on lock (closes every pane)
+  lock('wiping the vault');
+  stopSync(); // a locked, empty vault may be joining a synced one
+  closeSync();
+  try {
+    const synced = await SyncEngine.getStatus();
+    // 2. Clear IndexedDB (files, folders, versions, trash, the vault key and the sync state)
+    await DB.clearAll();
 
-  // 3. Reset UI
-  fileListEl.innerHTML = "";
-  passwordInput.value = "";
-  setUnlockedState(false);
+    // 3. Reset UI
+    storedFiles = [];
+    storedFolders = [];
+    trashEntries = [];
+    renderTrash();
+    renderFileList();
+    await refreshAuthMode();
+    closeNotifications();
+    Notifications.clear(); // messages name files and folders
+
+    showMessage(`Vault "${activeVault.name}" has been securely wiped.` +
+      (synced ? ' It is no longer synced on this device; the copy on the sync server is left as it is.' : ''));
+  } catch (err) {
+    showMessage(`Wipe failed: ${err.message}`, 'error');
+  }
 
   // Hide confirmation UI
   resetConfirmation.style.display = "none";
   resetBtn.disabled = false;
-
-  showMessage("Environment has been reset. All files erased.");
 });
 
 
+  // change password form
+  function closeChangePasswordForm() {
+    changePasswordForm.style.display = 'none';
+    currentPasswordInput.value = '';
+    newPasswordInput.value = '';
+    confirmPasswordInput.value = '';
+    renderStrengthMeter(newPasswordStrengthEl, '');
+  }
+
+  changePasswordBtn.addEventListener('click', () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    changePasswordForm.style.display = 'block';
+    currentPasswordInput.focus();
+  });
+  changePasswordCancel.addEventListener('click', closeChangePasswordForm);
+  changePasswordSave.addEventListener('click', async () => {
+    const current = currentPasswordInput.value || '';
+    const next = newPasswordInput.value || '';
+    if (!current || !next) { showMessage('Enter the current and the new password.', 'error'); return; }
+    if (next !== confirmPasswordInput.value) { showMessage('New passwords do not match.', 'error'); return; }
+    changePasswordSave.disabled = true;
+    try {
+      await changePassword(current, next);
+      closeChangePasswordForm();
+      showMessage('Password changed.');
+    } catch (err) {
+      showMessage(`Password change failed: ${err.message}`, 'error');
+    } finally {
+      changePasswordSave.disabled = false;
+    }
+  });
+
+  // keyfile
+  keyfileBtn.addEventListener('click', () => keyfileInput.click());
+  keyfileInput.addEventListener('change', async () => {
+    const file = keyfileInput.files[0];
+    keyfileInput.value = '';
+    if (file) await selectUnlockKeyfile(file);
+  });
+  keyfileGenerateBtn.addEventListener('click', async () => {
+    try {
+      unlockKeyfile = await downloadNewKeyfile();
+      renderKeyfilePicker();
+      showMessage(`Keyfile "${unlockKeyfile.name}" downloaded. Keep a copy somewhere safe: the new vault will not open without it.`);
+    } catch (err) {
+      showMessage(`Could not create a keyfile: ${err.message}`, 'error');
+    }
+  });
+  keyfileManageBtn.addEventListener('click', async () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    keyfileManageBtn.disabled = true;
+    try {
+      await manageKeyfile();
+    } catch (err) {
+      showMessage(`Keyfile change failed: ${err.message}`, 'error');
+    } finally {
+      keyfileManageBtn.disabled = !unlocked;
+    }
+  });
+
+  // vault export / import
+  exportVaultBtn.addEventListener('click', async () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    exportVaultBtn.disabled = true;
+    try {
+      await exportVault();
+    } catch (err) {
+      showMessage(`Export failed: ${err.message}`, 'error');
+    } finally {
+      exportVaultBtn.disabled = false;
+    }
+  });
+
+  function closeImportForm() {
+    importForm.style.display = 'none';
+    importPasswordInput.value = '';
+    importFileInput.value = '';
+    importKeyfileInput.value = '';
+  }
+
+  importVaultBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    if (!file) return;
+    importFileName.textContent = file.name;
+    importModeSelect.value = unlocked ? 'merge' : 'replace';
+    importForm.style.display = 'block';
+    importPasswordInput.focus();
+  });
+  importModeSelect.addEventListener('change', () => {
+    importConflictSelect.disabled = importModeSelect.value !== 'merge';
+  });
+  importCancelBtn.addEventListener('click', closeImportForm);
+  importConfirmBtn.addEventListener('click', async () => {
+    const file = importFileInput.files[0];
+    const password = importPasswordInput.value || '';
+    const mode = importModeSelect.value;
+    if (!file || !password) { showMessage('Choose an archive and enter its password.', 'error'); return; }
+    if (mode === 'replace' && !(await Dialogs.confirm({
+      title: 'Replace vault',
+      message: 'Replace this vault with the archive? All files currently stored here will be erased.',
+      confirmLabel: 'Replace vault',
+      danger: true
+    }))) return;
+    importConfirmBtn.disabled = true;
+    try {
+      const keyfileFile = importKeyfileInput.files[0];
+      const keyfile = keyfileFile ? { name: keyfileFile.name, digest: await CryptoHelper.hashKeyfile(keyfileFile) } : null;
+      await importVault(file, password, { mode, onConflict: importConflictSelect.value, keyfile });
+      closeImportForm();
+    } catch (err) {
+      showMessage(`Import failed: ${err.message}`, 'error');
+    } finally {
+      importConfirmBtn.disabled = false;
+    }
+  });
+
   // footer buttons
   addFileBtn.addEventListener('click', () => fileInput.click());
+  newFolderBtn.addEventListener('click', async () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    await createFolder();
+  });
   downloadBtn.addEventListener('click', async () => {
     if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
     await downloadSelected();
@@ -388,33 +4512,345 @@ resetYes.addEventListener("click", async () => {
     if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
     await deleteSelected();
   });
+  trashBtn.addEventListener('click', openTrash);
+  auditVaultBtn.addEventListener('click', async () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    try {
+      await auditVault();
+    } catch (err) {
+      auditVaultBtn.disabled = !unlocked;
+      showMessage(`Audit failed: ${err.message}`, 'error');
+    }
+  });
+  auditCancel.addEventListener('click', cancelAudit);
+  auditClose.addEventListener('click', closeAudit);
+  const showStorage = async () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    try {
+      await openStorage();
+    } catch (err) {
+      showMessage(`Could not measure storage: ${err.message}`, 'error');
+    }
+  };
+  storageBtn.addEventListener('click', showStorage);
+  storageRefresh.addEventListener('click', showStorage);
+  storageClose.addEventListener('click', closeStorage);
+  storagePersistBtn.addEventListener('click', requestPersistence);
+  storageMigrateBtn.addEventListener('click', async () => {
+    try {
+      await migrateStorage();
+    } catch (err) {
+      showMessage(`Moving the vault failed: ${err.message}`, 'error');
+    }
+  });
+  syncBtn.addEventListener('click', async () => {
+    if (!unlocked && vaultInitialized) { showMessage('Unlock explorer first.', 'error'); return; }
+    try {
+      await openSync();
+    } catch (err) {
+      showMessage(`Could not read the sync state: ${err.message}`, 'error');
+    }
+  });
+  syncClose.addEventListener('click', closeSync);
+  syncNowBtn.addEventListener('click', () => runSync({ manual: true }));
+  syncConnectBtn.addEventListener('click', connectSync);
+  syncDisconnectBtn.addEventListener('click', async () => {
+    try {
+      await disconnectSync();
+    } catch (err) {
+      showMessage(`Could not stop syncing: ${err.message}`, 'error');
+    }
+  });
+  DB.onChange(scheduleSync);
+  window.addEventListener('online', () => runSync()); // replay the queue once the network is back
+  transferPauseAll.addEventListener('click', pauseAllTransfers);
+  transferCancelAll.addEventListener('click', cancelAllTransfers);
+  transferClear.addEventListener('click', clearTransfers);
+  auditQuarantineAll.addEventListener('click', async () => {
+    try {
+      await quarantineProblems(auditProblems.slice());
+    } catch (err) {
+      showMessage(`Quarantine failed: ${err.message}`, 'error');
+    }
+  });
+  trashClose.addEventListener('click', closeTrash);
+  trashEmptyBtn.addEventListener('click', async () => {
+    try {
+      await emptyTrash();
+    } catch (err) {
+      showMessage(`Could not empty the trash: ${err.message}`, 'error');
+    }
+  });
 
-  // unlock button
-  unlockBtn.addEventListener('click', async () => {
-    const pwd = passwordInput.value || '';
-    if (!pwd) { showMessage('Enter a password to unlock.', 'error'); return; }
-    await tryUnlock(pwd);
+  // notification centre
+  Notifications.mount({
+    stack: document.getElementById('toast-stack'),
+    list: document.getElementById('notification-list'),
+    badge: document.getElementById('notifications-badge'),
+    empty: document.getElementById('notifications-empty')
+  });
+  notificationsBtn.addEventListener('click', () => {
+    if (notificationCenter.style.display === 'none') openNotifications();
+    else closeNotifications();
+  });
+  notificationsClose.addEventListener('click', closeNotifications);
+  notificationsClear.addEventListener('click', () => Notifications.clear());
+  notificationCenter.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeNotifications();
+      notificationsBtn.focus();
+    }
   });
+
+  // unlock button
+  unlockBtn.addEventListener('click', submitPassword);
   
-  const lockButton = document.getElementById("lock-button");
+  lockButton.addEventListener("click", () => lock());
+  historyClose.addEventListener('click', closeHistory);
+
+  // sharing
+  shareClose.addEventListener('click', closeShare);
+  shareGenerateBtn.addEventListener('click', () => {
+    sharePassphraseInput.value = generatePassphrase();
+    sharePassphraseInput.select();
+  });
+  for (const radio of sharePane.querySelectorAll('input[name="share-method"]')) {
+    radio.addEventListener('change', () => {
+      const byKey = shareMethod() === SharePackage.METHOD_PUBLIC_KEY;
+      sharePassphraseFields.style.display = byKey ? 'none' : '';
+      shareKeyFields.style.display = byKey ? '' : 'none';
+    });
+  }
+  shareKeyInput.addEventListener('change', async () => {
+    shareRecipient = null;
+    const file = shareKeyInput.files[0];
+    if (!file) return;
+    try {
+      shareRecipient = await SharePackage.readPublicKeyFile(file);
+      // the id lets both sides compare the key over another channel
+      shareKeyInfo.textContent = `Key "${shareRecipient.name}", id ${shareRecipient.keyId}.`;
+    } catch (err) {
+      shareKeyInfo.textContent = err.message;
+    }
+  });
+  shareCreateBtn.addEventListener('click', async () => {
+    shareCreateBtn.disabled = true;
+    try {
+      await createShare();
+    } catch (err) {
+      showMessage(`Sharing failed: ${err.message}`, 'error');
+    } finally {
+      shareCreateBtn.disabled = false;
+    }
+  });
+  openPackageBtn.addEventListener('click', () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    openPackageInput.click();
+  });
+  openPackageInput.addEventListener('change', async () => {
+    const file = openPackageInput.files[0];
+    openPackageInput.value = '';
+    if (!file) return;
+    try {
+      await openSharedPackage(file);
+    } catch (err) {
+      showMessage(`Could not open the package: ${err.message}`, 'error');
+    }
+  });
+  exportPublicKeyBtn.addEventListener('click', async () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    try {
+      await exportPublicKey();
+    } catch (err) {
+      showMessage(`Could not export the public key: ${err.message}`, 'error');
+    }
+  });
+
+  // tags and note editor
+  detailsClose.addEventListener('click', closeDetails);
+  detailsTagsInput.addEventListener('input', renderDetailsColors);
+  detailsSave.addEventListener('click', async () => {
+    try {
+      await saveDetails();
+    } catch (err) {
+      showMessage(`Could not save tags and note: ${err.message}`, 'error');
+    }
+  });
+
+  // note editor
+  newNoteBtn.addEventListener('click', async () => {
+    if (!unlocked) { showMessage('Unlock explorer first.', 'error'); return; }
+    try {
+      await openNoteEditor();
+    } catch (err) {
+      showMessage(`Could not open the editor: ${err.message}`, 'error');
+    }
+  });
+  editorClose.addEventListener('click', () => closeNoteEditor());
+  editorNameInput.addEventListener('input', noteEdited);
+  editorTextInput.addEventListener('input', noteEdited);
+  editorFormatSelect.addEventListener('change', changeNoteFormat);
+  editorPreviewBtn.addEventListener('click', () => showNotePreview(editorPreview.style.display === 'none'));
+  editorSave.addEventListener('click', async () => {
+    try {
+      await saveNote();
+    } catch (err) {
+      showMessage(`Could not save the note: ${err.message}`, 'error');
+    }
+  });
+
+  // version retention settings
+  versionKeepCountInput.value = versionRetention.maxVersions;
+  versionKeepDaysInput.value = versionRetention.maxAgeDays;
+  for (const input of [versionKeepCountInput, versionKeepDaysInput]) {
+    input.addEventListener('change', () => {
+      const limit = (el) => Math.max(0, Math.floor(Number(el.value) || 0));
+      versionRetention = { maxVersions: limit(versionKeepCountInput), maxAgeDays: limit(versionKeepDaysInput) };
+      localStorage.setItem(VERSION_RETENTION_STORAGE_KEY, JSON.stringify(versionRetention));
+    });
+  }
+
+  // trash retention setting
+  trashKeepDaysInput.value = trashRetention.maxAgeDays;
+  trashKeepDaysInput.addEventListener('change', () => {
+    trashRetention = { maxAgeDays: Math.max(0, Math.floor(Number(trashKeepDaysInput.value) || 0)) };
+    localStorage.setItem(TRASH_RETENTION_STORAGE_KEY, JSON.stringify(trashRetention));
+  });
+
+  // list controls
+  let scrollFrame = 0;
+  fileListEl.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = 0;
+      renderVisibleRows();
+    });
+  });
+  searchInput.addEventListener('input', () => {
+    fileListEl.scrollTop = 0;
+    renderFileList();
+  });
+  for (const control of [filterTypeSelect, filterTagSelect, filterFromInput, filterToInput]) {
+    control.addEventListener('change', renderFileList);
+  }
+  sortKeySelect.addEventListener('change', () => setListSort({ ...listSort, key: sortKeySelect.value }));
+  sortDirBtn.addEventListener('click', () => setListSort({ ...listSort, dir: listSort.dir === 'asc' ? 'desc' : 'asc' }));
+  sortKeySelect.value = listSort.key;
+  sortDirBtn.textContent = listSort.dir === 'asc' ? '↑' : '↓';
+  selectAllBtn.addEventListener('click', selectAll);
+  invertSelectionBtn.addEventListener('click', invertSelection);
+
+  // vault picker
+  function closeVaultForm() {
+    vaultForm.style.display = 'none';
+    vaultNameInput.value = '';
+  }
 
-  lockButton.addEventListener("click", () => {
-    location.reload(); // Refresh the page
+  vaultSelect.addEventListener('change', async () => {
+    try {
+      await switchVault(vaultSelect.value);
+    } catch (err) {
+      showMessage(`Could not open vault: ${err.message}`, 'error');
+    }
+  });
+  newVaultBtn.addEventListener('click', () => {
+    vaultForm.style.display = 'flex';
+    vaultNameInput.focus();
+  });
+  vaultCancelBtn.addEventListener('click', closeVaultForm);
+  vaultCreateBtn.addEventListener('click', async () => {
+    try {
+      await createVault(vaultNameInput.value.trim(), KDF_PRESETS[vaultKdfSelect.value], vaultBackendSelect.value);
+      closeVaultForm();
+    } catch (err) {
+      showMessage(`Could not create vault: ${err.message}`, 'error');
+    }
+  });
+  renameVaultBtn.addEventListener('click', async () => {
+    try {
+      await renameVault();
+    } catch (err) {
+      showMessage(`Rename failed: ${err.message}`, 'error');
+    }
+  });
+  deleteVaultBtn.addEventListener('click', async () => {
+    try {
+      await deleteVault();
+    } catch (err) {
+      showMessage(`Delete failed: ${err.message}`, 'error');
+    }
   });
+  previewClose.addEventListener('click', closePreview);
+
+  // auto-lock: user input postpones it, a hidden tab or system sleep can trigger it
+  for (const type of ACTIVITY_EVENTS) {
+    document.addEventListener(type, noteActivity, { capture: true, passive: true });
+  }
+  document.addEventListener('visibilitychange', () => {
+    if (!unlocked) return;
+    if (document.hidden) { hiddenSince = Date.now(); return; }
+    checkAutoLock(); // catch up on ticks the browser throttled while hidden
+    hiddenSince = null;
+  });
+  lockCountdownStay.addEventListener('click', noteActivity);
+
+  autoLockIdleInput.value = autoLockSettings.idleMinutes;
+  autoLockHiddenInput.value = autoLockSettings.hiddenMinutes;
+  autoLockSleepInput.checked = autoLockSettings.lockOnSleep;
+  for (const input of [autoLockIdleInput, autoLockHiddenInput, autoLockSleepInput]) {
+    input.addEventListener('change', () => {
+      const minutes = (el) => Math.max(0, Number(el.value) || 0);
+      saveAutoLockSettings({
+        idleMinutes: minutes(autoLockIdleInput),
+        hiddenMinutes: minutes(autoLockHiddenInput),
+        lockOnSleep: autoLockSleepInput.checked
+      });
+    });
+  }
   
 
   // allow Enter in password input to trigger unlock
   passwordInput.addEventListener('keyup', async (e) => {
-    if (e.key === 'Enter') {
-      const pwd = passwordInput.value || '';
-      if (!pwd) { showMessage('Enter a password to unlock.', 'error'); return; }
-      await tryUnlock(pwd);
+    if (e.key === 'Enter') await submitPassword();
+  });
+  confirmSetupInput.addEventListener('keyup', async (e) => {
+    if (e.key === 'Enter') await submitPassword();
+  });
+
+  // password strength
+  passwordInput.addEventListener('input', () => {
+    if (!vaultInitialized) renderStrengthMeter(passwordStrengthEl, passwordInput.value);
+  });
+  newPasswordInput.addEventListener('input', () => renderStrengthMeter(newPasswordStrengthEl, newPasswordInput.value));
+  minStrengthSelect.value = String(loadMinPasswordScore());
+  minStrengthSelect.addEventListener('change', () => {
+    localStorage.setItem(PASSWORD_POLICY_STORAGE_KEY, JSON.stringify({ minScore: Number(minStrengthSelect.value) }));
+  });
+
+  // key derivation
+  kdfBenchmarkBtn.addEventListener('click', benchmarkKdf);
+  kdfApplyBtn.addEventListener('click', async () => {
+    try {
+      await applyKdfProposal();
+    } catch (err) {
+      showMessage(`Could not save the policy: ${err.message}`, 'error');
     }
   });
+  kdfAlgorithmSelect.addEventListener('change', () => {
+    kdfProposal = null;
+    kdfApplyBtn.disabled = true;
+    kdfProposalEl.textContent = '';
+  });
 
   // on load: refresh file list (they'll appear locked)
   (async function init() {
     setUnlockedState(false);
+    for (const { id, available } of DB.listBackends()) {
+      const option = vaultBackendSelect.querySelector(`option[value="${id}"]`);
+      if (option) option.disabled = !available;
+    }
+    await loadVaults();
+    await refreshAuthMode();
     await refreshFileList();
   })();
 
@@ -0,0 +1,282 @@
+/* sync-server.js
+   Reference sync server for EFS Explorer (see sync-engine.js). Plain Node.js, no
+   dependencies: meant for testing and small self-hosted setups.
+
+     node server/sync-server.js [--port 8787] [--host 127.0.0.1] [--data ./sync-data] [--token SECRET]
+
+   The server only ever sees what the browser stores: records with opaque ids, sealed
+   headers and wrapped keys, and chunk ciphertext. It cannot read names or contents.
+   With --token every request needs "Authorization: Bearer SECRET".
+
+   Protocol (JSON unless noted; :vault is the random sync id of one vault):
+     GET    /v1                                     -> { protocol: 1 }
+     GET    /v1/vaults/:vault/changes?since=SEQ     -> { seq, changes: [{ store, id, rev, seq, deleted, data }] }
+            the current state of every record changed after SEQ, oldest change first
+     PUT    /v1/vaults/:vault/records/:store/:id    { baseRev, deleted, data } -> { rev, seq }
+            accepted only if baseRev is the record's current revision (0 for a new one);
+            otherwise 409 with the current { rev, deleted, data }. A record with content
+            (contentId, chunkCount) is refused with 422 until all of its chunks are uploaded.
+     GET    /v1/vaults/:vault/contents/:contentId   -> { chunks } (stored chunks 0..chunks-1)
+     PUT    /v1/vaults/:vault/contents/:contentId/:index   binary chunk
+     GET    /v1/vaults/:vault/contents/:contentId/:index   binary chunk, 404 if missing
+     DELETE /v1/vaults/:vault/contents/:contentId   409 while a record still uses it
+   A binary chunk is one byte of IV length, the IV, then the ciphertext. Bodies over the
+   size limits below get 413 (the client keeps such a record queued).
+
+   Layout on disk: <data>/<vault>/records.json and <data>/<vault>/contents/<contentId>/<index>.
+*/
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROTOCOL = 1;
+const STORES = ['files', 'folders', 'versions', 'trash', 'quarantine', 'meta'];
+const VAULT_ID = /^[0-9a-f]{16,64}$/;
+const RECORD_ID = /^[A-Za-z0-9_-]{1,128}$/;
+const MAX_JSON_BYTES = 64 * 1024 * 1024; // records of old single-part files hold their ciphertext
+const MAX_CHUNK_BYTES = 64 * 1024 * 1024;
+
+function parseArgs(argv) {
+  const options = { port: 8787, host: '127.0.0.1', data: path.resolve('sync-data'), token: '' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--port') options.port = Number(value);
+    else if (flag === '--host') options.host = value;
+    else if (flag === '--data') options.data = path.resolve(value);
+    else if (flag === '--token') options.token = value;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  return options;
+}
+
+/* The file record behind a record with chunks (a quarantine entry wraps one), or null */
+function contentOf(store, data) {
+  const file = store === 'quarantine' ? data && data.record : data;
+  return store !== 'folders' && store !== 'meta' && file && file.contentId ? file : null;
+}
+
+class HttpError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body || { error: message };
+  }
+}
+
+/* Records of one vault, cached in memory and written back on every change */
+function createVaultStore(dir) {
+  const file = path.join(dir, 'records.json');
+  let state = null;
+
+  function load() {
+    if (!state) {
+      try {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        state = { seq: 0, records: {} };
+      }
+    }
+    return state;
+  }
+
+  function save() {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function changes(since) {
+    const { seq, records } = load();
+    const changed = Object.values(records).filter(record => record.seq > since).sort((a, b) => a.seq - b.seq);
+    return { seq, changes: changed };
+  }
+
+  function put(store, id, { baseRev, deleted, data }) {
+    load();
+    const content = deleted ? null : contentOf(store, data);
+    if (content && (!RECORD_ID.test(content.contentId) || !Number.isInteger(content.chunkCount))) {
+      throw new HttpError(400, 'Invalid record content');
+    }
+    if (content && countChunks(content.contentId) < content.chunkCount) {
+      throw new HttpError(422, 'Upload the chunks of this record first');
+    }
+    const key = `${store}/${id}`;
+    const current = state.records[key];
+    const rev = current ? current.rev : 0;
+    if (baseRev !== rev) {
+      throw new HttpError(409, 'Revision conflict', current
+        ? { rev: current.rev, deleted: current.deleted, data: current.data }
+        : { rev: 0, deleted: true, data: null });
+    }
+    const record = { store, id, rev: rev + 1, seq: state.seq + 1, deleted: Boolean(deleted), data: deleted ? null : data };
+    state.records[key] = record;
+    state.seq = record.seq;
+    save();
+    return { rev: record.rev, seq: record.seq };
+  }
+
+  function contentDir(contentId) {
+    return path.join(dir, 'contents', contentId);
+  }
+
+  function countChunks(contentId) {
+    let count = 0;
+    while (fs.existsSync(path.join(contentDir(contentId), String(count)))) count++;
+    return count;
+  }
+
+  function contentInUse(contentId) {
+    return Object.values(load().records).some((record) => {
+      const content = !record.deleted && contentOf(record.store, record.data);
+      return content && content.contentId === contentId;
+    });
+  }
+
+  return { changes, put, contentDir, countChunks, contentInUse };
+}
+
+function createServer({ data, token }) {
+  const vaults = new Map(); // vault id -> store
+
+  function vaultStore(id) {
+    if (!VAULT_ID.test(id)) throw new HttpError(400, 'Invalid vault id');
+    if (!vaults.has(id)) vaults.set(id, createVaultStore(path.join(data, id)));
+    return vaults.get(id);
+  }
+
+  function authorized(req) {
+    if (!token) return true;
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+      const parts = [];
+      let size = 0;
+      const collect = (part) => {
+        size += part.length;
+        if (size > limit) {
+          // discard the rest: destroying the request would reset the connection before the
+          // 413 is sent, which a client cannot tell from a server that is down
+          req.off('data', collect);
+          req.resume();
+          reject(new HttpError(413, 'Request too large'));
+          return;
+        }
+        parts.push(part);
+      };
+      req.on('data', collect);
+      req.on('end', () => resolve(Buffer.concat(parts)));
+      req.on('error', reject);
+    });
+  }
+
+  async function readJson(req) {
+    try {
+      return JSON.parse((await readBody(req, MAX_JSON_BYTES)).toString('utf8'));
+    } catch (err) {
+      if (err instanceof HttpError) throw err;
+      throw new HttpError(400, 'Invalid JSON');
+    }
+  }
+
+  function send(res, status, body) {
+    const binary = Buffer.isBuffer(body);
+    const headers = { 'Content-Type': binary ? 'application/octet-stream' : 'application/json' };
+    if (status === 413) headers.Connection = 'close'; // the rest of the body is not read
+    res.writeHead(status, headers);
+    res.end(binary ? body : JSON.stringify(body));
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'v1') throw new HttpError(404, 'Not found');
+    if (!authorized(req)) throw new HttpError(401, 'Missing or wrong access token');
+    if (parts.length === 1 && req.method === 'GET') return send(res, 200, { protocol: PROTOCOL });
+    if (parts[1] !== 'vaults' || parts.length < 4) throw new HttpError(404, 'Not found');
+
+    const store = vaultStore(parts[2]);
+    const [, , , kind, a, b] = parts;
+
+    if (kind === 'changes' && parts.length === 4 && req.method === 'GET') {
+      const since = Number(url.searchParams.get('since') || 0);
+      if (!Number.isInteger(since) || since < 0) throw new HttpError(400, 'Invalid sequence number');
+      return send(res, 200, store.changes(since));
+    }
+
+    if (kind === 'records' && parts.length === 6 && req.method === 'PUT') {
+      if (!STORES.includes(a) || !RECORD_ID.test(b)) throw new HttpError(400, 'Invalid record');
+      const body = await readJson(req);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Invalid record');
+      if (!Number.isInteger(body.baseRev) || body.baseRev < 0) throw new HttpError(400, 'Invalid base revision');
+      if (!body.deleted && (!body.data || typeof body.data !== 'object' || body.data.id !== b)) {
+        throw new HttpError(400, 'Invalid record data');
+      }
+      return send(res, 200, store.put(a, b, body));
+    }
+
+    if (kind === 'contents' && RECORD_ID.test(a || '')) {
+      const dir = store.contentDir(a);
+      if (parts.length === 5 && req.method === 'GET') return send(res, 200, { chunks: store.countChunks(a) });
+      if (parts.length === 5 && req.method === 'DELETE') {
+        if (store.contentInUse(a)) throw new HttpError(409, 'Content still in use');
+        fs.rmSync(dir, { recursive: true, force: true });
+        return send(res, 200, {});
+      }
+      const index = Number(b);
+      if (parts.length !== 6 || !Number.isInteger(index) || index < 0) throw new HttpError(400, 'Invalid chunk index');
+      const file = path.join(dir, String(index));
+      if (req.method === 'PUT') {
+        const body = await readBody(req, MAX_CHUNK_BYTES);
+        if (!body.length || body.length < 1 + body[0]) throw new HttpError(400, 'Invalid chunk');
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, body);
+        fs.renameSync(`${file}.tmp`, file);
+        return send(res, 200, {});
+      }
+      if (req.method === 'GET') {
+        if (!fs.existsSync(file)) throw new HttpError(404, 'No such chunk');
+        return send(res, 200, fs.readFileSync(file));
+      }
+    }
+    throw new HttpError(404, 'Not found');
+  }
+
+  return http.createServer((req, res) => {
+    // the app is usually served from another origin (or opened from disk)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    route(req, res).catch((err) => {
+      if (res.headersSent) return;
+      if (err instanceof HttpError) send(res, err.status, err.body);
+      else {
+        console.error(err);
+        send(res, 500, { error: 'Internal server error' });
+      }
+    });
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  createServer(options).listen(options.port, options.host, () => {
+    console.log(`EFS sync server on http://${options.host}:${options.port} (data in ${options.data})`);
+    if (!options.token) console.log('No --token given: anyone who can reach this port can read and write vaults.');
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,221 @@
+/* share-package.js
+   Self-contained encrypted package of a single file, for sharing over untrusted channels.
+   Layout (integers are big-endian uint32, framing as in vault-archive.js):
+     "EFSSHARE"                    8-byte magic
+     length + header JSON          format version, dates, how the package key is wrapped,
+                                   the wrapped integrity key and the file record
+     CHUNK sections ...            uint8 type, length, payload
+     END section                   type 0, length 0
+     tag                           32-byte HMAC-SHA256 over the SHA-256 chain of all units
+   The file is re-encrypted under a fresh file key and content id, and that key is wrapped
+   under a random package key. The package key is wrapped either under a one-time
+   passphrase (PBKDF2) or for a recipient's public key (ECDH, see CryptoHelper), so the
+   vault's own keys never leave it. Name, type, size and hash stay in the record's sealed
+   header; folder, tags and notes are left out. Only the format, dates and key-wrapping
+   parameters are readable without the secret.
+   The expiry date is authenticated by the tag and enforced when the package is opened.
+   It stops this app from opening a stale package; it cannot stop someone who already
+   holds the secret from decrypting a copy with other tools.
+   Uses window.CryptoHelper and window.VaultArchive. Exposes: window.SharePackage
+*/
+
+(() => {
+  const MAGIC = 'EFSSHARE';
+  const FORMAT = 'efs-share-package';
+  const FORMAT_VERSION = 1;
+  const TAG_LENGTH = 32; // bytes (HMAC-SHA256)
+  const MAX_SECTION = 64 * 1024 * 1024; // sanity limit for a single section
+  const BLOB_PART = 16 * 1024 * 1024; // chunk sections are folded into Blobs this large, so the browser can page them out
+
+  const SECTION_END = 0;
+  const SECTION_CHUNK = 4; // same payload as a vault archive chunk
+
+  const METHOD_PASSPHRASE = 'passphrase';
+  const METHOD_PUBLIC_KEY = 'public-key';
+  const KEY_FORMAT = 'efs-public-key';
+
+  const {
+    _encodeJson: encodeJson, _decodeJson: decodeJson, _uint32: uint32, _concat: concat,
+    _section: section, _chunkPayload: chunkPayload, _readBytes: readBytes
+  } = VaultArchive;
+
+  /* Package one file record of the unlocked vault.
+     record: the stored file record; masterKey: the vault master key; getChunk(index);
+     secret: { passphrase } or { publicKey } (the recipient's public JWK);
+     expiresAt: ISO date or null. Returns a Blob. */
+  async function createPackage({ record, masterKey, getChunk, secret, expiresAt = null }) {
+    const packageKey = await CryptoHelper.generateMasterKey();
+    // chunk sections are stored as they are re-encrypted; they are hashed once the header
+    // (which holds the new record) is known, reading them back one at a time
+    const blobs = [];
+    const sizes = [];
+    let pending = [];
+    let pendingBytes = 0;
+    const addSection = (bytes) => {
+      sizes.push(bytes.byteLength);
+      pending.push(bytes);
+      pendingBytes += bytes.byteLength;
+      if (pendingBytes >= BLOB_PART) {
+        blobs.push(new Blob(pending));
+        pending = [];
+        pendingBytes = 0;
+      }
+    };
+    // private annotations stay behind; undefined fields are dropped from the sealed header
+    const { record: shared } = await CryptoHelper.recryptRecord(record, masterKey, packageKey, getChunk,
+      (chunk) => addSection(section(SECTION_CHUNK, chunkPayload(chunk))),
+      { folderId: undefined, tags: undefined, note: undefined }, CryptoHelper.randomId());
+    const body = new Blob([...blobs, ...pending]);
+    pending = [];
+
+    let recipient;
+    if (secret.publicKey) {
+      recipient = {
+        method: METHOD_PUBLIC_KEY,
+        keyId: await CryptoHelper.publicKeyFingerprint(secret.publicKey),
+        ...(await CryptoHelper.wrapKeyForRecipient(packageKey, secret.publicKey))
+      };
+    } else {
+      recipient = { method: METHOD_PASSPHRASE, ...(await CryptoHelper.wrapMasterKey(packageKey, secret.passphrase)) };
+    }
+    const macKey = await CryptoHelper.generateMacKey();
+    const header = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      recipient,
+      macKey: await CryptoHelper.wrapMacKey(macKey, packageKey),
+      record: shared
+    };
+
+    const headerBytes = encodeJson(header);
+    const head = concat(new TextEncoder().encode(MAGIC), uint32(headerBytes.byteLength), headerBytes);
+    const end = section(SECTION_END, new Uint8Array(0));
+    let digest = await CryptoHelper.chainHash(new ArrayBuffer(32), head);
+    let offset = 0;
+    for (const size of sizes) {
+      digest = await CryptoHelper.chainHash(digest, await readBytes(body, offset, size));
+      offset += size;
+    }
+    digest = await CryptoHelper.chainHash(digest, end);
+    return new Blob([head, body, end, await CryptoHelper.signBuffer(macKey, digest)], { type: 'application/octet-stream' });
+  }
+
+  /* Read the clear header only (to know which secret to ask for). Nothing is verified yet.
+     Returns { header, headerLength } */
+  async function readHeader(blob) {
+    const magic = new TextDecoder().decode(await readBytes(blob, 0, MAGIC.length));
+    if (magic !== MAGIC) throw new Error('Not an EFS share package.');
+    const headerLength = new DataView((await readBytes(blob, MAGIC.length, 4)).buffer).getUint32(0);
+    if (headerLength > MAX_SECTION) throw new Error('Package header is corrupted.');
+    const header = decodeJson(await readBytes(blob, MAGIC.length + 4, headerLength));
+    if (header.format !== FORMAT) throw new Error('Not an EFS share package.');
+    if (header.version !== FORMAT_VERSION) throw new Error(`Unsupported package version ${header.version}.`);
+    if (![METHOD_PASSPHRASE, METHOD_PUBLIC_KEY].includes(header.recipient && header.recipient.method)) {
+      throw new Error('Package uses an unknown key method.');
+    }
+    return { header, headerLength };
+  }
+
+  /* Unwrap, verify and check the expiry of a package.
+     secret: { passphrase } or { privateKey } (the recipient vault's private JWK).
+     Returns { header, packageKey, record, getChunk }; the record's file key is wrapped
+     under packageKey. */
+  async function openPackage(blob, secret) {
+    const { header, headerLength } = await readHeader(blob);
+    let packageKey;
+    if (header.recipient.method === METHOD_PUBLIC_KEY) {
+      if (!secret.privateKey) throw new Error('This package was shared to a public key.');
+      packageKey = await CryptoHelper.unwrapKeyForRecipient(header.recipient, secret.privateKey);
+    } else {
+      try {
+        packageKey = await CryptoHelper.unwrapMasterKey(header.recipient, secret.passphrase || '');
+      } catch (err) {
+        throw new Error('Wrong passphrase.');
+      }
+    }
+    const macKey = await CryptoHelper.unwrapMacKey(header.macKey, packageKey);
+
+    let offset = MAGIC.length + 4 + headerLength;
+    let digest = await CryptoHelper.chainHash(new ArrayBuffer(32), await readBytes(blob, 0, offset));
+    const chunkIndex = new Map(); // index -> { offset, length, iv }
+    for (;;) {
+      const prefix = await readBytes(blob, offset, 5);
+      const type = prefix[0];
+      const length = new DataView(prefix.buffer).getUint32(1);
+      if (length > MAX_SECTION) throw new Error('Package section is corrupted.');
+      const payload = await readBytes(blob, offset + 5, length);
+      digest = await CryptoHelper.chainHash(digest, concat(prefix, payload));
+      if (type === SECTION_END) {
+        offset += 5;
+        break;
+      } else if (type === SECTION_CHUNK) {
+        const jsonLength = new DataView(payload.buffer).getUint32(0);
+        const desc = decodeJson(payload.subarray(4, 4 + jsonLength));
+        if (desc.contentId !== header.record.contentId) throw new Error('Package chunk belongs to another file.');
+        chunkIndex.set(desc.index, { offset: offset + 5 + 4 + jsonLength, length: length - 4 - jsonLength, iv: desc.iv });
+      } else {
+        throw new Error(`Unknown package section type ${type}.`);
+      }
+      offset += 5 + length;
+    }
+
+    if (blob.size !== offset + TAG_LENGTH) throw new Error('Package has trailing or missing data.');
+    const tag = await readBytes(blob, offset, TAG_LENGTH);
+    if (!(await CryptoHelper.verifyBuffer(macKey, tag, digest))) {
+      throw new Error('Package integrity check failed. The file was modified or is corrupted.');
+    }
+    if (header.expiresAt && new Date(header.expiresAt) < new Date()) {
+      throw new Error(`This package expired on ${new Date(header.expiresAt).toLocaleString()}.`);
+    }
+
+    async function getChunk(index) {
+      const entry = chunkIndex.get(index);
+      if (!entry) return null;
+      const data = (await readBytes(blob, entry.offset, entry.length)).buffer;
+      return { contentId: header.record.contentId, index, iv: entry.iv, data };
+    }
+
+    return { header, packageKey, record: header.record, getChunk };
+  }
+
+  /* A vault's public key as a small JSON file, handed to the people who share to it */
+  async function publicKeyFile(publicKey, name) {
+    const json = JSON.stringify({
+      format: KEY_FORMAT,
+      version: FORMAT_VERSION,
+      name,
+      keyId: await CryptoHelper.publicKeyFingerprint(publicKey),
+      key: publicKey
+    }, null, 2);
+    return new Blob([json], { type: 'application/json' });
+  }
+
+  /* Returns { name, keyId, key } of a public key file; the id is recomputed, not trusted */
+  async function readPublicKeyFile(blob) {
+    let file;
+    try {
+      file = JSON.parse(await blob.text());
+    } catch (err) {
+      throw new Error('Not an EFS public key file.');
+    }
+    if (!file || file.format !== KEY_FORMAT || !file.key || file.key.kty !== 'EC' || file.key.d) {
+      throw new Error('Not an EFS public key file.');
+    }
+    if (file.version !== FORMAT_VERSION) throw new Error(`Unsupported key file version ${file.version}.`);
+    return { name: String(file.name || ''), keyId: await CryptoHelper.publicKeyFingerprint(file.key), key: file.key };
+  }
+
+  window.SharePackage = {
+    FILE_EXTENSION: '.efsshare',
+    METHOD_PASSPHRASE,
+    METHOD_PUBLIC_KEY,
+    createPackage, // ({ record, masterKey, getChunk, secret, expiresAt }) => Blob
+    readHeader,    // (Blob) => { header } (unverified)
+    openPackage,   // (Blob, { passphrase } | { privateKey }) => { header, packageKey, record, getChunk }
+    KEY_FILE_EXTENSION: '.efskey',
+    publicKeyFile,     // (publicJwk, name) => Blob
+    readPublicKeyFile, // (Blob) => { name, keyId, key }
+  };
+})();
@@ -0,0 +1,735 @@
+/* storage-indexeddb.js
+   IndexedDB storage adapter for EFS Explorer (the adapter interface is described in db.js).
+   Each vault is one database with object stores "files", "folders", "chunks", "versions",
+   "trash", "quarantine" and "meta". Chunk ciphertext is kept as raw binary in "chunks",
+   keyed by [contentId, index].
+   The record stores can also be paired with a chunk store of another backend
+   (storage-opfs.js): "chunks" then stays empty, and the chunks of a record that is
+   overwritten or deleted are removed right after the record's transaction commits.
+   Exposes: window.StorageAdapters.indexeddb
+*/
+
+(() => {
+  const DB_VERSION = 8;
+  const STORE_NAME = "files";
+  const FOLDER_STORE = "folders";
+  const CHUNK_STORE = "chunks";
+  const META_STORE = "meta";
+  const VERSION_STORE = "versions";
+  const TRASH_STORE = "trash";
+  const QUARANTINE_STORE = "quarantine";
+  // stores a quarantined record can come from (and be released back to)
+  const QUARANTINE_SOURCES = [STORE_NAME, VERSION_STORE, TRASH_STORE, FOLDER_STORE];
+  // stores putRecord() / deleteRecord() work on (every store keyed by record id)
+  const RECORD_STORES = [STORE_NAME, FOLDER_STORE, VERSION_STORE, TRASH_STORE, QUARANTINE_STORE, META_STORE];
+  const ROOT = "/"; // folder of records from before folders existed
+
+  /** Random opaque id (hex) */
+  function newId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  /** v1-v4 -> v5: re-key a store by opaque id. Plaintext fields are kept until the
+      next unlock, when script.js seals them into encrypted headers. */
+  function rekeyStoreById(db, tx, storeName, upgrade) {
+    const request = tx.objectStore(storeName).getAll();
+    request.onsuccess = () => {
+      db.deleteObjectStore(storeName);
+      const store = db.createObjectStore(storeName, { keyPath: "id" });
+      for (const record of request.result || []) {
+        store.put({ ...upgrade(record), id: newId() });
+      }
+    };
+  }
+
+  function openVaultDB(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const tx = request.transaction;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        } else if (event.oldVersion < 5) {
+          // v1 records had no folder; v2+ records were keyed by path
+          rekeyStoreById(db, tx, STORE_NAME, (record) => ({ ...record, folder: record.folder || ROOT }));
+        }
+        if (!db.objectStoreNames.contains(FOLDER_STORE)) {
+          db.createObjectStore(FOLDER_STORE, { keyPath: "id" });
+        } else if (event.oldVersion < 5) {
+          rekeyStoreById(db, tx, FOLDER_STORE, (folder) => folder);
+        }
+        if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+          db.createObjectStore(CHUNK_STORE, { keyPath: ["contentId", "index"] });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(VERSION_STORE)) {
+          db.createObjectStore(VERSION_STORE, { keyPath: "id" }).createIndex("fileId", "fileId");
+        }
+        if (!db.objectStoreNames.contains(TRASH_STORE)) {
+          db.createObjectStore(TRASH_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+          db.createObjectStore(QUARANTINE_STORE, { keyPath: "id" });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /** All chunk keys belonging to one content id */
+  function chunkRange(contentId) {
+    return IDBKeyRange.bound([contentId, 0], [contentId, Infinity]);
+  }
+
+  /** Adapter on database `dbName`. With `chunkStore` (an object with saveChunk, getChunk,
+      deleteChunks, getChunkUsage, clear and destroy) chunks are kept there instead. */
+  function createAdapter(dbName, chunkStore = null) {
+    let connection = null; // cached connection (promise), opened on first use
+
+    /** Open (or create) the database. The connection is kept open and reused; it is
+        closed by close() and when another tab deletes or upgrades the database. */
+    function openDB() {
+      if (!connection) {
+        const opening = openVaultDB(dbName).then((db) => {
+          db.onversionchange = () => {
+            db.close();
+            if (connection === opening) connection = null;
+          };
+          return db;
+        });
+        opening.catch(() => { if (connection === opening) connection = null; });
+        connection = opening;
+      }
+      return connection;
+    }
+
+    /** Close the cached connection (if any) */
+    function close() {
+      if (!connection) return;
+      connection.then(db => db.close(), () => {});
+      connection = null;
+    }
+
+    /** Delete the database (and the paired chunk store) */
+    async function destroy() {
+      close();
+      await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(dbName);
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+        // other tabs close their connection on "versionchange", which unblocks the delete
+      });
+      if (chunkStore) await chunkStore.destroy();
+    }
+
+    /** Chunk deletions of transaction `tx`: part of it while chunks live in "chunks";
+        with a paired chunk store they run once it has committed (done() waits for them) */
+    function chunkDrops(tx) {
+      const contentIds = [];
+      return {
+        drop(contentId) {
+          if (chunkStore) contentIds.push(contentId);
+          else tx.objectStore(CHUNK_STORE).delete(chunkRange(contentId));
+        },
+        done: () => Promise.all(contentIds.map(id => chunkStore.deleteChunks(id))).then(() => true)
+      };
+    }
+
+    /** Add or update a file record (keyed by record.id).
+        Chunks of a record being overwritten are removed along with it, unless
+        options.version is given: that is the record being replaced, re-sealed by the
+        caller as a version ({ ...record, id, fileId }); it is stored and keeps its chunks. */
+    async function saveFile(record, { version = null } = {}) {
+      if (!record || !record.id) throw new Error("Invalid file record");
+      if (version && version.fileId !== record.id) throw new Error("Version belongs to another file");
+
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME, CHUNK_STORE, VERSION_STORE], "readwrite");
+        const store = tx.objectStore(STORE_NAME);
+        const chunks = chunkDrops(tx);
+
+        const existingReq = store.get(record.id);
+        existingReq.onsuccess = () => {
+          const existing = existingReq.result;
+          if (existing && version) {
+            tx.objectStore(VERSION_STORE).put(version);
+          } else if (existing && existing.contentId && existing.contentId !== record.contentId) {
+            chunks.drop(existing.contentId);
+          }
+          store.put(record);
+        };
+
+        tx.oncomplete = () => resolve(chunks.done());
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Store one encrypted chunk: { contentId, index, iv, data } */
+    async function saveChunk(chunk) {
+      if (chunkStore) return chunkStore.saveChunk(chunk);
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(CHUNK_STORE, "readwrite");
+        const request = tx.objectStore(CHUNK_STORE).put(chunk);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Get one encrypted chunk */
+    async function getChunk(contentId, index) {
+      if (chunkStore) return chunkStore.getChunk(contentId, index);
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(CHUNK_STORE, "readonly");
+        const request = tx.objectStore(CHUNK_STORE).get([contentId, index]);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Delete every chunk of a content id (e.g. after a failed upload) */
+    async function deleteChunks(contentId) {
+      if (chunkStore) return chunkStore.deleteChunks(contentId);
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(CHUNK_STORE, "readwrite");
+        const request = tx.objectStore(CHUNK_STORE).delete(chunkRange(contentId));
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Stored ciphertext bytes (IVs and data) per content id: Map(contentId -> bytes).
+        Walks the chunk store with a cursor, so only one chunk is in memory at a time. */
+    async function getChunkUsage() {
+      if (chunkStore) return chunkStore.getChunkUsage();
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const usage = new Map();
+        const tx = db.transaction(CHUNK_STORE, "readonly");
+        const request = tx.objectStore(CHUNK_STORE).openCursor();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          const { contentId, iv, data } = cursor.value;
+          const bytes = (iv ? iv.byteLength : 0) + (data ? data.byteLength : 0);
+          usage.set(contentId, (usage.get(contentId) || 0) + bytes);
+          cursor.continue();
+        };
+        tx.oncomplete = () => resolve(usage);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Get file record by id */
+    async function getFile(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, "readonly");
+        const store = tx.objectStore(STORE_NAME);
+        const request = store.get(id);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Delete file (and its chunks and versions) by id */
+    async function deleteFile(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME, CHUNK_STORE, VERSION_STORE], "readwrite");
+        const store = tx.objectStore(STORE_NAME);
+        const chunks = chunkDrops(tx);
+        const versions = tx.objectStore(VERSION_STORE);
+
+        const getReq = store.get(id);
+        getReq.onsuccess = () => {
+          const record = getReq.result;
+          if (record && record.contentId) chunks.drop(record.contentId);
+          store.delete(id);
+        };
+        const versionsReq = versions.index("fileId").getAll(id);
+        versionsReq.onsuccess = () => {
+          for (const version of versionsReq.result) {
+            if (version.contentId) chunks.drop(version.contentId);
+            versions.delete(version.id);
+          }
+        };
+
+        tx.oncomplete = () => resolve(chunks.done());
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Get all stored files */
+    async function getAllFiles() {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, "readonly");
+        const store = tx.objectStore(STORE_NAME);
+        const request = store.getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** All versions of one file (oldest-first order is not guaranteed; dates are sealed) */
+    async function getVersions(fileId) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(VERSION_STORE, "readonly");
+        const request = tx.objectStore(VERSION_STORE).index("fileId").getAll(fileId);
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Every version record in the vault */
+    async function getAllVersions() {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(VERSION_STORE, "readonly");
+        const request = tx.objectStore(VERSION_STORE).getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Add or update a version record ({ id, fileId, ...file record }) */
+    async function saveVersion(version) {
+      if (!version || !version.id || !version.fileId) throw new Error("Invalid version record");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(VERSION_STORE, "readwrite");
+        const request = tx.objectStore(VERSION_STORE).put(version);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Delete a version and its chunks */
+    async function deleteVersion(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([VERSION_STORE, CHUNK_STORE], "readwrite");
+        const store = tx.objectStore(VERSION_STORE);
+        const chunks = chunkDrops(tx);
+
+        const getReq = store.get(id);
+        getReq.onsuccess = () => {
+          const version = getReq.result;
+          if (version && version.contentId) chunks.drop(version.contentId);
+          store.delete(id);
+        };
+
+        tx.oncomplete = () => resolve(chunks.done());
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Make a version current again, in one transaction:
+        record is the version re-sealed as the file (id = fileId), previous is the current
+        file re-sealed as a version. Neither loses its chunks. */
+    async function restoreVersion(versionId, record, previous) {
+      if (!record || !previous || previous.fileId !== record.id) throw new Error("Invalid version restore");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME, VERSION_STORE], "readwrite");
+        const versions = tx.objectStore(VERSION_STORE);
+        versions.delete(versionId);
+        versions.put(previous);
+        tx.objectStore(STORE_NAME).put(record);
+
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Move records to the trash in one transaction.
+        items: [{ kind: "file" | "folder", record }] with each record re-sealed for the trash;
+        the live record with the same id is removed, its chunks and versions are kept. */
+    async function trashRecords(items) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME, FOLDER_STORE, TRASH_STORE], "readwrite");
+        const trash = tx.objectStore(TRASH_STORE);
+        for (const { kind, record } of items) {
+          tx.objectStore(kind === "folder" ? FOLDER_STORE : STORE_NAME).delete(record.id);
+          trash.put({ ...record, kind });
+        }
+
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Get everything in the trash */
+    async function getTrash() {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(TRASH_STORE, "readonly");
+        const request = tx.objectStore(TRASH_STORE).getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Add a trash record as-is (used when restoring an archive or moving a vault) */
+    async function saveTrash(item) {
+      if (!item || !item.id || !item.kind) throw new Error("Invalid trash record");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(TRASH_STORE, "readwrite");
+        const request = tx.objectStore(TRASH_STORE).put(item);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Put trashed records back in one transaction.
+        items: [{ kind, record }] with each record re-sealed as a live file / folder. */
+    async function restoreTrash(items) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME, FOLDER_STORE, TRASH_STORE], "readwrite");
+        const trash = tx.objectStore(TRASH_STORE);
+        for (const { kind, record } of items) {
+          trash.delete(record.id);
+          tx.objectStore(kind === "folder" ? FOLDER_STORE : STORE_NAME).put(record);
+        }
+
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Permanently delete trash records by id, with the chunks and versions of trashed files */
+    async function purgeTrash(ids) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([TRASH_STORE, CHUNK_STORE, VERSION_STORE], "readwrite");
+        const trash = tx.objectStore(TRASH_STORE);
+        const chunks = chunkDrops(tx);
+        const versions = tx.objectStore(VERSION_STORE);
+
+        for (const id of ids) {
+          const getReq = trash.get(id);
+          getReq.onsuccess = () => {
+            const item = getReq.result;
+            if (!item) return;
+            if (item.kind === "file") {
+              if (item.contentId) chunks.drop(item.contentId);
+              const versionsReq = versions.index("fileId").getAll(id);
+              versionsReq.onsuccess = () => {
+                for (const version of versionsReq.result) {
+                  if (version.contentId) chunks.drop(version.contentId);
+                  versions.delete(version.id);
+                }
+              };
+            }
+            trash.delete(id);
+          };
+        }
+
+        tx.oncomplete = () => resolve(chunks.done());
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Move a record out of `source` ("files", "versions", "trash" or "folders") into the
+        quarantine. Its chunks stay where they are. */
+    async function quarantineRecord(source, record, reason) {
+      if (!QUARANTINE_SOURCES.includes(source)) throw new Error("Unknown record store");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([source, QUARANTINE_STORE], "readwrite");
+        tx.objectStore(source).delete(record.id);
+        tx.objectStore(QUARANTINE_STORE).put({
+          id: record.id,
+          source,
+          reason,
+          quarantinedAt: new Date().toISOString(),
+          record
+        });
+
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Get all quarantined entries */
+    async function getQuarantine() {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUARANTINE_STORE, "readonly");
+        const request = tx.objectStore(QUARANTINE_STORE).getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Add a quarantine entry as-is (used when moving a vault to another backend) */
+    async function saveQuarantined(entry) {
+      if (!entry || !entry.id || !QUARANTINE_SOURCES.includes(entry.source)) throw new Error("Invalid quarantine entry");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUARANTINE_STORE, "readwrite");
+        const request = tx.objectStore(QUARANTINE_STORE).put(entry);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Put a quarantined record back into the store it came from */
+    async function releaseQuarantined(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction([QUARANTINE_STORE, ...QUARANTINE_SOURCES], "readwrite");
+        const quarantine = tx.objectStore(QUARANTINE_STORE);
+
+        const getReq = quarantine.get(id);
+        getReq.onsuccess = () => {
+          const entry = getReq.result;
+          if (!entry) return;
+          tx.objectStore(entry.source).put(entry.record);
+          quarantine.delete(id);
+        };
+
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Permanently delete a quarantined record. Its chunks go too, unless another record
+        still points at the same content id (a swapped record may share one). */
+    async function deleteQuarantined(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const stores = [QUARANTINE_STORE, CHUNK_STORE, STORE_NAME, VERSION_STORE, TRASH_STORE];
+        const tx = db.transaction(stores, "readwrite");
+        const quarantine = tx.objectStore(QUARANTINE_STORE);
+        const chunks = chunkDrops(tx);
+
+        const getReq = quarantine.get(id);
+        getReq.onsuccess = () => {
+          const entry = getReq.result;
+          if (!entry) return;
+          quarantine.delete(id);
+          const contentId = entry.record.contentId;
+          if (!contentId) return;
+
+          const owners = [STORE_NAME, VERSION_STORE, TRASH_STORE, QUARANTINE_STORE];
+          let pending = owners.length;
+          let shared = false;
+          for (const name of owners) {
+            const allReq = tx.objectStore(name).getAll();
+            allReq.onsuccess = () => {
+              const records = name === QUARANTINE_STORE ? allReq.result.map(e => e.record) : allReq.result;
+              if (records.some(r => r.id !== id && r.contentId === contentId)) shared = true;
+              if (--pending === 0 && !shared) chunks.drop(contentId);
+            };
+          }
+        };
+
+        tx.oncomplete = () => resolve(chunks.done());
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    /** Add or update a folder record ({ id, header }) */
+    async function saveFolder(record) {
+      if (!record || !record.id) throw new Error("Invalid folder record");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(FOLDER_STORE, "readwrite");
+        const request = tx.objectStore(FOLDER_STORE).put(record);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Get all folders (root excluded) */
+    async function getAllFolders() {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(FOLDER_STORE, "readonly");
+        const request = tx.objectStore(FOLDER_STORE).getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Delete a folder record by id (its contents are handled by the caller) */
+    async function deleteFolder(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(FOLDER_STORE, "readwrite");
+        const request = tx.objectStore(FOLDER_STORE).delete(id);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Get a vault-wide meta record by id */
+    async function getMeta(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(META_STORE, "readonly");
+        const request = tx.objectStore(META_STORE).get(id);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Get all meta records */
+    async function getAllMeta() {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(META_STORE, "readonly");
+        const request = tx.objectStore(META_STORE).getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Add or update a meta record ({ id, ... }) */
+    async function saveMeta(record) {
+      if (!record || !record.id) throw new Error("Invalid meta record");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(META_STORE, "readwrite");
+        const request = tx.objectStore(META_STORE).put(record);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Delete a meta record by id (missing ids are ignored) */
+    async function deleteMeta(id) {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(META_STORE, "readwrite");
+        const request = tx.objectStore(META_STORE).delete(id);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Store a record exactly as given in one of the record stores ("files", "folders",
+        "versions", "trash", "quarantine" or "meta"), replacing the one with the same id.
+        Nothing else changes: chunks of a replaced record stay (used by sync, which
+        removes the chunks no record points at any more itself). */
+    async function putRecord(storeName, record) {
+      if (!RECORD_STORES.includes(storeName)) throw new Error("Unknown record store");
+      if (!record || !record.id) throw new Error("Invalid record");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, "readwrite");
+        const request = tx.objectStore(storeName).put(record);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Delete one record from a record store by id; its chunks and related records stay */
+    async function deleteRecord(storeName, id) {
+      if (!RECORD_STORES.includes(storeName)) throw new Error("Unknown record store");
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, "readwrite");
+        const request = tx.objectStore(storeName).delete(id);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /** Remove every file, chunk, version, trash, quarantine, folder and meta record (including the vault key) */
+    async function clearAll() {
+      const db = await openDB();
+      return new Promise((resolve, reject) => {
+        const stores = [STORE_NAME, FOLDER_STORE, CHUNK_STORE, VERSION_STORE, TRASH_STORE, QUARANTINE_STORE, META_STORE];
+        const tx = db.transaction(stores, "readwrite");
+        for (const name of stores) tx.objectStore(name).clear();
+
+        tx.oncomplete = () => resolve(chunkStore ? chunkStore.clear().then(() => true) : true);
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    return {
+      saveFile,
+      getFile,
+      deleteFile,
+      getAllFiles,
+      saveFolder,
+      getAllFolders,
+      deleteFolder,
+      clearAll,
+      saveChunk,
+      getChunk,
+      deleteChunks,
+      getChunkUsage,
+      getVersions,
+      getAllVersions,
+      saveVersion,
+      deleteVersion,
+      restoreVersion,
+      trashRecords,
+      getTrash,
+      saveTrash,
+      restoreTrash,
+      purgeTrash,
+      quarantineRecord,
+      getQuarantine,
+      saveQuarantined,
+      releaseQuarantined,
+      deleteQuarantined,
+      getMeta,
+      getAllMeta,
+      saveMeta,
+      deleteMeta,
+      putRecord,
+      deleteRecord,
+      close,
+      destroy,
+    };
+  }
+
+  window.StorageAdapters = window.StorageAdapters || {};
+  window.StorageAdapters.indexeddb = {
+    label: "IndexedDB",
+    isAvailable: () => typeof indexedDB !== "undefined",
+    open: createAdapter, // (name, chunkStore?) => adapter
+  };
+})();
@@ -0,0 +1,127 @@
+/* storage-opfs.js
+   Origin Private File System storage adapter for EFS Explorer (the adapter interface is
+   described in db.js).
+   Chunk ciphertext is written as plain binary files, one per chunk, so large files are
+   read and written without going through IndexedDB:
+     efs-explorer/<vault database name>/<contentId>/<index>
+   A chunk file holds the IV length (one byte), the IV and the encrypted data.
+   Records are small and need transactions (an overwrite stores the new record and the
+   replaced version together), so they stay in an IndexedDB database of the same name
+   whose record stores are paired with these chunk files (see storage-indexeddb.js).
+   Exposes: window.StorageAdapters.opfs
+*/
+
+(() => {
+  const ROOT_DIRECTORY = "efs-explorer"; // top directory of all vaults in the origin private file system
+
+  /** OPFS with writable file streams on the main thread (not in every browser yet) */
+  function isAvailable() {
+    return typeof navigator !== "undefined" && !!navigator.storage &&
+      typeof navigator.storage.getDirectory === "function" &&
+      typeof FileSystemFileHandle !== "undefined" && "createWritable" in FileSystemFileHandle.prototype;
+  }
+
+  /** handle.getXHandle(name), or null if there is no such entry */
+  async function entryOrNull(lookup) {
+    try {
+      return await lookup();
+    } catch (err) {
+      if (err.name === "NotFoundError") return null;
+      throw err;
+    }
+  }
+
+  /** Chunk files of one vault, in directory `name` */
+  function createChunkStore(name) {
+    let directory = null; // cached handle (promise) of the vault's directory
+
+    async function topDirectory() {
+      const root = await navigator.storage.getDirectory();
+      return root.getDirectoryHandle(ROOT_DIRECTORY, { create: true });
+    }
+
+    function vaultDirectory() {
+      if (!directory) {
+        const opening = topDirectory().then(top => top.getDirectoryHandle(name, { create: true }));
+        opening.catch(() => { if (directory === opening) directory = null; });
+        directory = opening;
+      }
+      return directory;
+    }
+
+    /** Store one encrypted chunk: { contentId, index, iv, data } */
+    async function saveChunk(chunk) {
+      const dir = await (await vaultDirectory()).getDirectoryHandle(chunk.contentId, { create: true });
+      const handle = await dir.getFileHandle(String(chunk.index), { create: true });
+      const iv = new Uint8Array(chunk.iv);
+      const writable = await handle.createWritable();
+      try {
+        await writable.write(new Blob([new Uint8Array([iv.byteLength]), iv, chunk.data]));
+        await writable.close();
+      } catch (err) {
+        await writable.abort();
+        throw err;
+      }
+      return true;
+    }
+
+    /** Get one encrypted chunk, or null */
+    async function getChunk(contentId, index) {
+      const vault = await vaultDirectory();
+      const dir = await entryOrNull(() => vault.getDirectoryHandle(contentId));
+      const handle = dir && await entryOrNull(() => dir.getFileHandle(String(index)));
+      if (!handle) return null;
+      const bytes = await (await handle.getFile()).arrayBuffer();
+      const ivLength = new Uint8Array(bytes, 0, 1)[0];
+      return { contentId, index, iv: bytes.slice(1, 1 + ivLength), data: bytes.slice(1 + ivLength) };
+    }
+
+    /** Delete every chunk of a content id */
+    async function deleteChunks(contentId) {
+      const vault = await vaultDirectory();
+      await entryOrNull(() => vault.removeEntry(contentId, { recursive: true }));
+      return true;
+    }
+
+    /** Stored ciphertext bytes (IVs and data) per content id: Map(contentId -> bytes).
+        Only file sizes are read, not their contents. */
+    async function getChunkUsage() {
+      const usage = new Map();
+      for await (const [contentId, dir] of (await vaultDirectory()).entries()) {
+        if (dir.kind !== "directory") continue;
+        let bytes = 0;
+        for await (const handle of dir.values()) {
+          if (handle.kind === "file") bytes += Math.max(0, (await handle.getFile()).size - 1);
+        }
+        usage.set(contentId, bytes);
+      }
+      return usage;
+    }
+
+    /** Delete every chunk, keeping the (empty) vault directory */
+    async function clear() {
+      const vault = await vaultDirectory();
+      const names = [];
+      for await (const entryName of vault.keys()) names.push(entryName);
+      for (const entryName of names) await vault.removeEntry(entryName, { recursive: true });
+      return true;
+    }
+
+    /** Delete the vault directory */
+    async function destroy() {
+      directory = null;
+      const top = await topDirectory();
+      await entryOrNull(() => top.removeEntry(name, { recursive: true }));
+      return true;
+    }
+
+    return { saveChunk, getChunk, deleteChunks, getChunkUsage, clear, destroy };
+  }
+
+  window.StorageAdapters = window.StorageAdapters || {};
+  window.StorageAdapters.opfs = {
+    label: "Origin Private File System",
+    isAvailable,
+    open: (name) => window.StorageAdapters.indexeddb.open(name, createChunkStore(name)),
+  };
+})();
@@ -0,0 +1,488 @@
+/* sync-engine.js
+   Optional sync of a vault with a self-hosted server (the protocol is described in
+   server/sync-server.js, which is a reference implementation).
+   Only what the vault already stores leaves the browser: records exactly as they are in
+   the stores (opaque ids, sealed headers, wrapped keys) and chunk ciphertext. Nothing is
+   decrypted, so a sync can run without the master key.
+   Every record ("files/<id>", "meta/<id>", ...) has a revision on the server, which only
+   accepts a change made on top of its current revision. This device's sync state is the
+   meta record "sync" (never synced itself): the server and sync id, the revision and hash
+   each record had when it was last in sync, the queue of local changes not pushed yet and
+   the conflicts waiting for a decision.
+   A sync queues what changed locally since the last one, pulls what changed on the server
+   (a record changed on both sides becomes a conflict and is left alone on both), then
+   replays the queue. While the server cannot be reached the queue just grows.
+   Uses window.DB and window.CryptoHelper. Exposes: window.SyncEngine
+*/
+
+(() => {
+  const STATE_ID = 'sync';
+  const PROTOCOL = 1;
+  const STATE_SAVE_EVERY = 25; // pushed records between saves of the sync state
+
+  // record stores that sync, in push order (keys, folders and settings before files)
+  const STORES = {
+    meta: () => DB.getAllMeta(),
+    folders: () => DB.getAllFolders(),
+    files: () => DB.getAllFiles(),
+    versions: () => DB.getAllVersions(),
+    trash: () => DB.getTrash(),
+    quarantine: () => DB.getQuarantine()
+  };
+  const CONTENT_STORES = ['files', 'versions', 'trash', 'quarantine'];
+
+  const ab2base64 = CryptoHelper._ab2base64;
+  const base642ab = CryptoHelper._base642ab;
+
+  let serial = Promise.resolve(); // every call that changes the sync state runs in turn
+
+  function exclusive(fn) {
+    const run = serial.then(fn, fn);
+    serial = run.catch(() => {});
+    return run;
+  }
+
+  /* Records travel as JSON with ArrayBuffers as { $b64: <base64> }, like in vault archives */
+  function wireJson(value) {
+    return JSON.stringify(value, (key, v) => {
+      if (v instanceof ArrayBuffer) return { $b64: ab2base64(v) };
+      if (ArrayBuffer.isView(v)) return { $b64: ab2base64(v.buffer.slice(v.byteOffset, v.byteOffset + v.byteLength)) };
+      return v;
+    });
+  }
+
+  function parseWire(text) {
+    return JSON.parse(text, (key, v) => {
+      if (v && typeof v === 'object' && typeof v.$b64 === 'string') return base642ab(v.$b64);
+      return v;
+    });
+  }
+
+  /* Chunks travel as one byte of IV length, the IV, then the ciphertext */
+  function packChunk({ iv, data }) {
+    const ivBytes = new Uint8Array(iv);
+    const out = new Uint8Array(1 + ivBytes.byteLength + data.byteLength);
+    out[0] = ivBytes.byteLength;
+    out.set(ivBytes, 1);
+    out.set(new Uint8Array(data), 1 + ivBytes.byteLength);
+    return out;
+  }
+
+  function unpackChunk(contentId, index, buffer) {
+    const ivLength = new Uint8Array(buffer)[0];
+    return { contentId, index, iv: buffer.slice(1, 1 + ivLength), data: buffer.slice(1 + ivLength) };
+  }
+
+  /* Identifies a record's exact stored form (null for a deleted record) */
+  async function recordHash(record) {
+    if (!record) return null;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(wireJson(record)));
+    return ab2base64(digest);
+  }
+
+  /* The file record behind a record that has chunks (a quarantine entry wraps one), or null */
+  function contentOf(store, record) {
+    const file = store === 'quarantine' ? record && record.record : record;
+    return CONTENT_STORES.includes(store) && file && file.contentId ? file : null;
+  }
+
+  function splitKey(key) {
+    const slash = key.indexOf('/');
+    return [key.slice(0, slash), key.slice(slash + 1)];
+  }
+
+  function isLocalMeta(id, localMetaIds) {
+    return id === STATE_ID || localMetaIds.includes(id);
+  }
+
+  // --- Server requests ---
+
+  /* One request to the server. Resolves to { status, body }; statuses other than 2xx and
+     those in `allow` throw. A server that cannot be reached throws an error with
+     .offline set, so callers can keep the queue for later. */
+  async function request(state, method, path, { body, binary = false, allow = [], signal } = {}) {
+    const headers = {};
+    if (state.token) headers.Authorization = `Bearer ${state.token}`;
+    if (body instanceof Uint8Array) {
+      headers['Content-Type'] = 'application/octet-stream';
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = wireJson(body);
+    }
+    let response;
+    try {
+      response = await fetch(state.server + path, { method, headers, body, signal });
+    } catch (err) {
+      if (signal) signal.throwIfAborted();
+      const offline = new Error(`The sync server ${state.server} cannot be reached.`);
+      offline.offline = true;
+      throw offline;
+    }
+    if (!response.ok && !allow.includes(response.status)) {
+      let message = `${response.status} ${response.statusText}`;
+      try {
+        message = (await response.json()).error || message;
+      } catch (err) {
+        // not a JSON error: keep the status line
+      }
+      throw new Error(`Sync server: ${message}.`);
+    }
+    const result = binary && response.ok ? await response.arrayBuffer() : parseWire(await response.text());
+    return { status: response.status, body: result };
+  }
+
+  const vaultPath = (state) => `/v1/vaults/${state.vaultId}`;
+
+  /* Upload the chunks of a record the server does not have yet */
+  async function uploadContent(state, file, signal) {
+    const path = `${vaultPath(state)}/contents/${file.contentId}`;
+    const { body } = await request(state, 'GET', path, { signal });
+    for (let index = body.chunks; index < file.chunkCount; index++) {
+      const chunk = await DB.getChunk(file.contentId, index);
+      if (!chunk) break; // incomplete here too; the audit reports it
+      await request(state, 'PUT', `${path}/${index}`, { body: packChunk(chunk), signal });
+    }
+  }
+
+  /* Download the chunks of a record that are not stored here yet */
+  async function downloadContent(state, file, signal) {
+    const path = `${vaultPath(state)}/contents/${file.contentId}`;
+    for (let index = 0; index < file.chunkCount; index++) {
+      if (await DB.getChunk(file.contentId, index)) continue;
+      const { body } = await request(state, 'GET', `${path}/${index}`, { binary: true, signal });
+      signal.throwIfAborted();
+      await DB.saveChunk(unpackChunk(file.contentId, index, body));
+    }
+  }
+
+  // --- Local records ---
+
+  /* Every synced record of the vault: Map(key -> { store, record, hash }) */
+  async function localRecords(localMetaIds) {
+    const records = new Map();
+    for (const [store, getAll] of Object.entries(STORES)) {
+      for (const record of await getAll()) {
+        if (store === 'meta' && isLocalMeta(record.id, localMetaIds)) continue;
+        records.set(`${store}/${record.id}`, { store, record, hash: await recordHash(record) });
+      }
+    }
+    return records;
+  }
+
+  // records that can be read one by one; the other stores are searched
+  const GET_ONE = {
+    meta: id => DB.getMeta(id),
+    files: id => DB.getFile(id)
+  };
+
+  async function readLocal(store, id) {
+    if (GET_ONE[store]) return GET_ONE[store](id);
+    return (await STORES[store]()).find(record => record.id === id) || null;
+  }
+
+  /* Bring the queue up to date: every key whose record differs from the one last in sync
+     (a record deleted here differs too), in the order the changes were first seen */
+  function updateQueue(state, local) {
+    const changed = (key) => {
+      const entry = local.get(key);
+      const synced = state.revs[key];
+      return (entry ? entry.hash : null) !== (synced ? synced.hash : null);
+    };
+    const queue = state.queue.filter(changed);
+    const queued = new Set(queue);
+    for (const key of [...local.keys(), ...Object.keys(state.revs)]) {
+      if (!queued.has(key) && changed(key)) {
+        queue.push(key);
+        queued.add(key);
+      }
+    }
+    state.queue = queue;
+  }
+
+  /* Make the server's record (null: deleted) the local one, if the local record still has
+     the hash `expected` once its chunks are downloaded (that can take a while). Content ids
+     the replaced record used are added to `dropped`. Returns false, changing nothing, if
+     the record was changed here in the meantime. */
+  async function applyRemote(state, store, id, record, expected, dropped, signal) {
+    const content = contentOf(store, record);
+    if (content) await downloadContent(state, content, signal);
+    const previous = await readLocal(store, id);
+    if (await recordHash(previous) !== expected) {
+      if (content) dropped.add(content.contentId); // unless the local record uses them too
+      return false;
+    }
+    signal.throwIfAborted();
+    if (record) await DB.putRecord(store, record);
+    else await DB.deleteRecord(store, id);
+    const before = contentOf(store, previous);
+    if (before && (!content || content.contentId !== before.contentId)) dropped.add(before.contentId);
+    return true;
+  }
+
+  /* Delete the chunks of content ids no record points at any more */
+  async function dropUnusedChunks(contentIds, signal) {
+    if (!contentIds.size) return;
+    const used = new Set();
+    for (const store of CONTENT_STORES) {
+      for (const record of await STORES[store]()) {
+        const content = contentOf(store, record);
+        if (content) used.add(content.contentId);
+      }
+    }
+    for (const contentId of contentIds) {
+      if (used.has(contentId)) continue;
+      signal.throwIfAborted();
+      await DB.deleteChunks(contentId);
+    }
+  }
+
+  function syncedEntry(store, rev, record, hash) {
+    const content = contentOf(store, record);
+    return { rev, hash, contentId: content ? content.contentId : null };
+  }
+
+  // --- Sync ---
+
+  /* Pull the server's changes since the last pull. Returns how many were applied. */
+  async function pull(state, local, localMetaIds, signal) {
+    const { body } = await request(state, 'GET', `${vaultPath(state)}/changes?since=${state.cursor}`, { signal });
+    const queued = new Set(state.queue);
+    const dropped = new Set();
+    const incoming = Object.entries(state.conflicts)
+      .filter(([key]) => !queued.has(key)) // no longer changed here: the server's side wins
+      .map(([key, conflict]) => ({ key, ...conflict }))
+      .concat(body.changes.map(change => ({ key: `${change.store}/${change.id}`, ...change })));
+    let applied = 0;
+
+    for (const change of incoming) {
+      const [store, id] = splitKey(change.key);
+      if (!(store in STORES) || (store === 'meta' && isLocalMeta(id, localMetaIds))) continue;
+      const synced = state.revs[change.key];
+      if (synced && change.rev <= synced.rev && !state.conflicts[change.key]) continue; // pushed from here
+      const remote = change.deleted ? null : change.data;
+      const remoteHash = await recordHash(remote);
+      const entry = local.get(change.key);
+
+      const conflict = () => {
+        state.conflicts[change.key] = { rev: change.rev, deleted: change.deleted, data: remote,
+          detectedAt: new Date().toISOString() };
+      };
+
+      if (entry ? entry.hash === remoteHash : !remote) {
+        // already the same here (e.g. pushed just before an interrupted sync)
+        delete state.conflicts[change.key];
+      } else if (queued.has(change.key)) {
+        conflict();
+        continue;
+      } else if (!(await applyRemote(state, store, id, remote, entry ? entry.hash : null, dropped, signal))) {
+        // edited here while the chunks were downloading: queue the edit, keep the server's side
+        const record = await readLocal(store, id);
+        if (record) local.set(change.key, { store, record, hash: await recordHash(record) });
+        else local.delete(change.key);
+        conflict();
+        continue;
+      } else {
+        delete state.conflicts[change.key];
+        if (remote) local.set(change.key, { store, record: remote, hash: remoteHash });
+        else local.delete(change.key);
+        applied++;
+      }
+      state.revs[change.key] = syncedEntry(store, change.rev, remote, remoteHash);
+    }
+    state.cursor = body.seq;
+    await dropUnusedChunks(dropped, signal);
+    updateQueue(state, local);
+    return applied;
+  }
+
+  /* Replay the queue. Returns { pushed, refused }: how many records were pushed, and how
+     many the server refused as too large (they stay queued; the others are still pushed). */
+  async function push(state, local, signal) {
+    const done = new Set();
+    const released = new Set(); // content ids pushed records stopped using
+    let pushed = 0;
+    let refused = 0;
+
+    for (const key of state.queue) {
+      if (state.conflicts[key]) continue;
+      const [store, id] = splitKey(key);
+      const entry = local.get(key);
+      const synced = state.revs[key];
+      const content = entry && contentOf(store, entry.record);
+      if (content) await uploadContent(state, content, signal);
+
+      const { status, body } = await request(state, 'PUT',
+        `${vaultPath(state)}/records/${store}/${encodeURIComponent(id)}`, {
+          body: { baseRev: synced ? synced.rev : 0, deleted: !entry, data: entry ? entry.record : null },
+          allow: [409, 413],
+          signal
+        });
+      if (status === 413) {
+        refused++;
+        continue;
+      }
+      if (status === 409) {
+        // changed on the server since the last pull: a conflict, unless it is this very change
+        const remote = body.deleted ? null : body.data;
+        const remoteHash = await recordHash(remote);
+        if (remoteHash !== (entry ? entry.hash : null)) {
+          state.conflicts[key] = { rev: body.rev, deleted: body.deleted, data: remote, detectedAt: new Date().toISOString() };
+          continue;
+        }
+        state.revs[key] = syncedEntry(store, body.rev, remote, remoteHash);
+      } else {
+        if (synced && synced.contentId && (!content || content.contentId !== synced.contentId)) {
+          released.add(synced.contentId);
+        }
+        state.revs[key] = syncedEntry(store, body.rev, entry && entry.record, entry ? entry.hash : null);
+        if (body.seq === state.cursor + 1) state.cursor = body.seq; // nothing else changed in between
+      }
+      done.add(key);
+      if (++pushed % STATE_SAVE_EVERY === 0) {
+        state.queue = state.queue.filter(k => !done.has(k));
+        signal.throwIfAborted();
+        await DB.saveMeta(state);
+      }
+    }
+    state.queue = state.queue.filter(k => !done.has(k));
+
+    // the server keeps content that a record still uses (it answers 409)
+    const used = new Set([...local.values()].map(({ store, record }) => contentOf(store, record))
+      .filter(Boolean).map(file => file.contentId));
+    for (const contentId of released) {
+      if (used.has(contentId)) continue;
+      await request(state, 'DELETE', `${vaultPath(state)}/contents/${contentId}`, { allow: [409], signal });
+    }
+    return { pushed, refused };
+  }
+
+  /* Sync the active vault once. options: { localMetaIds } meta records that stay on this
+     device, { signal } aborts requests and stops before the next write (e.g. on lock, so a
+     sync never writes into a vault selected afterwards). Local changes are queued (and saved) before the server is
+     contacted, so they are replayed by a later sync if this one fails.
+     Returns { pulled, pushed, refused, pending, conflicts } or null if sync is not set up;
+     `refused` counts queued records the server would not take (too large). */
+  function sync({ localMetaIds = [], signal = new AbortController().signal } = {}) {
+    return exclusive(async () => {
+      signal.throwIfAborted();
+      const state = await DB.getMeta(STATE_ID);
+      if (!state) return null;
+      const local = await localRecords(localMetaIds);
+      updateQueue(state, local);
+      signal.throwIfAborted();
+      await DB.saveMeta(state);
+
+      let pulled = 0;
+      let pushed = 0;
+      let refused = 0;
+      try {
+        pulled = await pull(state, local, localMetaIds, signal);
+        ({ pushed, refused } = await push(state, local, signal));
+        state.lastSyncAt = new Date().toISOString();
+      } finally {
+        if (!signal.aborted) await DB.saveMeta(state);
+      }
+      return { pulled, pushed, refused, pending: state.queue.length, conflicts: Object.keys(state.conflicts).length };
+    });
+  }
+
+  // --- Set up and conflicts ---
+
+  /* Start syncing the active vault with `server` (http(s) URL). Without vaultId a new sync
+     id is created on the server; with one, the vault joins the vault synced under it (it
+     should be empty: its records would be mixed with the other vault's). The server is
+     contacted to check the address and token. Returns the sync id. */
+  function connect({ server, token = '', vaultId = '', signal }) {
+    return exclusive(async () => {
+      let url;
+      try {
+        url = new URL(server);
+      } catch (err) {
+        throw new Error('Enter the server address as a URL, e.g. http://localhost:8787.');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('The server address must start with http:// or https://.');
+      if (vaultId && !/^[0-9a-f]{16,64}$/.test(vaultId)) throw new Error('That is not a sync id.');
+      if (await DB.getMeta(STATE_ID)) throw new Error('This vault is synced already.');
+
+      const state = {
+        id: STATE_ID,
+        server: url.href.replace(/\/+$/, ''),
+        token,
+        vaultId: vaultId || CryptoHelper.randomId(),
+        cursor: 0,
+        revs: {},       // key -> { rev, hash, contentId } as last in sync
+        queue: [],      // keys changed here and not pushed yet
+        conflicts: {},  // key -> { rev, deleted, data, detectedAt }: the server's side
+        connectedAt: new Date().toISOString(),
+        lastSyncAt: null
+      };
+      const { body } = await request(state, 'GET', '/v1', { signal });
+      if (body.protocol !== PROTOCOL) throw new Error('The server speaks another version of the sync protocol.');
+      await DB.saveMeta(state);
+      return state.vaultId;
+    });
+  }
+
+  /* Stop syncing the active vault here; the server's copy is left as it is */
+  function disconnect() {
+    return exclusive(() => DB.deleteMeta(STATE_ID));
+  }
+
+  /* { server, vaultId, pending, conflicts, connectedAt, lastSyncAt } or null if not synced.
+     `pending` counts the changes queued by the last sync. */
+  async function getStatus() {
+    const state = await DB.getMeta(STATE_ID);
+    if (!state) return null;
+    const { server, vaultId, connectedAt, lastSyncAt } = state;
+    return { server, vaultId, connectedAt, lastSyncAt, pending: state.queue.length, conflicts: Object.keys(state.conflicts).length };
+  }
+
+  /* Open conflicts: [{ key, store, id, local, remote, detectedAt }] with the records of
+     both sides (null where that side deleted it) */
+  async function getConflicts() {
+    const state = await DB.getMeta(STATE_ID);
+    if (!state) return [];
+    const conflicts = [];
+    for (const [key, conflict] of Object.entries(state.conflicts)) {
+      const [store, id] = splitKey(key);
+      conflicts.push({ key, store, id, local: await readLocal(store, id), remote: conflict.data, detectedAt: conflict.detectedAt });
+    }
+    return conflicts;
+  }
+
+  /* Settle a conflict. "remote": the server's side replaces this device's (its chunks are
+     downloaded now). "local": this device's side is pushed over the server's by the next
+     sync. To keep both, save this side elsewhere first (e.g. as a version), then take "remote". */
+  function resolveConflict(key, choice, { signal = new AbortController().signal } = {}) {
+    return exclusive(async () => {
+      const state = await DB.getMeta(STATE_ID);
+      const conflict = state && state.conflicts[key];
+      if (!conflict) throw new Error('That conflict is settled already.');
+      if (choice !== 'remote' && choice !== 'local') throw new Error('Unknown choice');
+      const [store, id] = splitKey(key);
+
+      if (choice === 'remote') {
+        const dropped = new Set();
+        const expected = await recordHash(await readLocal(store, id));
+        const applied = await applyRemote(state, store, id, conflict.data, expected, dropped, signal);
+        await dropUnusedChunks(dropped, signal);
+        if (!applied) throw new Error('This record was just changed on this device. Choose again.');
+        state.queue = state.queue.filter(k => k !== key);
+      }
+      state.revs[key] = syncedEntry(store, conflict.rev, conflict.data, await recordHash(conflict.data));
+      delete state.conflicts[key];
+      signal.throwIfAborted();
+      await DB.saveMeta(state);
+    });
+  }
+
+  window.SyncEngine = {
+    STATE_ID,        // meta record of the sync state (stays on this device)
+    connect,         // ({ server, token?, vaultId?, signal? }) => sync id
+    disconnect,      // () => stop syncing the active vault
+    sync,            // ({ localMetaIds, signal }?) => { pulled, pushed, refused, pending, conflicts } | null
+    getStatus,       // () => { server, vaultId, pending, conflicts, ... } | null
+    getConflicts,    // () => [{ key, store, id, local, remote, detectedAt }]
+    resolveConflict, // (key, 'local' | 'remote', { signal }?) => settles one conflict
+  };
+})();
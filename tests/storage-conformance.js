@@ -0,0 +1,375 @@
+/* storage-conformance.js
+   Conformance suite for storage adapters (see db.js for the interface)
+   The same checks run against every backend in window.StorageAdapters. Each test gets a
+   fresh store with a unique name, destroyed afterwards; nothing touches real vaults.
+   Run it by opening tests/storage-conformance.html from a local web server (OPFS needs
+   a secure context, e.g. http://localhost).
+   Exposes: window.StorageConformance
+*/
+
+(() => {
+  const tests = [];
+
+  /* Register a test: fn(adapter, reopen) where reopen() opens the same store again */
+  function test(name, fn) {
+    tests.push({ name, fn });
+  }
+
+  function assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  function assertEqual(actual, expected, message) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) throw new Error(`${message}: expected ${e}, got ${a}`);
+  }
+
+  const ids = (records) => records.map(r => r.id).sort();
+
+  function bytes(values) {
+    return new Uint8Array(values).buffer;
+  }
+
+  function sameBytes(a, b) {
+    const x = new Uint8Array(a);
+    const y = new Uint8Array(b);
+    return x.length === y.length && x.every((value, i) => value === y[i]);
+  }
+
+  function chunk(contentId, index, size = 16) {
+    const data = new Uint8Array(size);
+    crypto.getRandomValues(data.subarray(0, Math.min(size, 65536)));
+    return { contentId, index, iv: crypto.getRandomValues(new Uint8Array(12)).buffer, data: data.buffer };
+  }
+
+  async function saveChunks(adapter, contentId, count) {
+    for (let index = 0; index < count; index++) await adapter.saveChunk(chunk(contentId, index));
+  }
+
+  const file = (id, contentId, extra = {}) => ({ id, contentId, header: { data: `header of ${id}` }, ...extra });
+
+  // --- Interface ---
+
+  test('implements every storage method', async (adapter) => {
+    for (const name of [...DB.STORAGE_METHODS, 'close', 'destroy']) {
+      assert(typeof adapter[name] === 'function', `missing ${name}()`);
+    }
+  });
+
+  test('a new store is empty', async (adapter) => {
+    assertEqual(await adapter.getAllFiles(), [], 'files');
+    assertEqual(await adapter.getAllFolders(), [], 'folders');
+    assertEqual(await adapter.getAllVersions(), [], 'versions');
+    assertEqual(await adapter.getTrash(), [], 'trash');
+    assertEqual(await adapter.getQuarantine(), [], 'quarantine');
+    assertEqual(await adapter.getAllMeta(), [], 'meta');
+    assertEqual((await adapter.getChunkUsage()).size, 0, 'chunk usage');
+  });
+
+  // --- Chunks ---
+
+  test('chunks round-trip as binary', async (adapter) => {
+    const saved = chunk('c1', 0, 1000);
+    await adapter.saveChunk(saved);
+    const loaded = await adapter.getChunk('c1', 0);
+    assertEqual([loaded.contentId, loaded.index], ['c1', 0], 'chunk key');
+    assert(sameBytes(loaded.iv, saved.iv), 'IV differs');
+    assert(sameBytes(loaded.data, saved.data), 'data differs');
+    assertEqual(await adapter.getChunk('c1', 1), null, 'missing index');
+    assertEqual(await adapter.getChunk('nope', 0), null, 'missing content');
+  });
+
+  test('large chunks keep every byte', async (adapter) => {
+    const data = new Uint8Array(1024 * 1024 + 16);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 31) & 0xff;
+    await adapter.saveChunk({ contentId: 'big', index: 0, iv: bytes([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]), data: data.buffer });
+    const loaded = await adapter.getChunk('big', 0);
+    assert(sameBytes(loaded.data, data.buffer), 'data differs');
+  });
+
+  test('a chunk can be overwritten', async (adapter) => {
+    await adapter.saveChunk(chunk('c1', 0, 100));
+    const second = chunk('c1', 0, 10);
+    await adapter.saveChunk(second);
+    assert(sameBytes((await adapter.getChunk('c1', 0)).data, second.data), 'old data kept');
+  });
+
+  test('deleteChunks removes one content id only', async (adapter) => {
+    await saveChunks(adapter, 'a', 3);
+    await saveChunks(adapter, 'b', 2);
+    await adapter.deleteChunks('a');
+    await adapter.deleteChunks('missing');
+    assertEqual(await adapter.getChunk('a', 0), null, 'a[0]');
+    assertEqual(await adapter.getChunk('a', 2), null, 'a[2]');
+    assert(await adapter.getChunk('b', 1), 'b[1] lost');
+  });
+
+  test('getChunkUsage counts IV and data bytes per content id', async (adapter) => {
+    await adapter.saveChunk({ contentId: 'a', index: 0, iv: new ArrayBuffer(12), data: new ArrayBuffer(100) });
+    await adapter.saveChunk({ contentId: 'a', index: 1, iv: new ArrayBuffer(12), data: new ArrayBuffer(50) });
+    await adapter.saveChunk({ contentId: 'b', index: 0, iv: new ArrayBuffer(12), data: new ArrayBuffer(0) });
+    const usage = await adapter.getChunkUsage();
+    assertEqual([...usage].sort(), [['a', 174], ['b', 12]], 'usage');
+  });
+
+  // --- Files and versions ---
+
+  test('file records round-trip', async (adapter) => {
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.saveFile(file('f2', 'c2'));
+    assertEqual(await adapter.getFile('f1'), file('f1', 'c1'), 'f1');
+    assertEqual(await adapter.getFile('nope'), null, 'missing file');
+    assertEqual(ids(await adapter.getAllFiles()), ['f1', 'f2'], 'all files');
+  });
+
+  test('overwriting a file drops its old chunks', async (adapter) => {
+    await saveChunks(adapter, 'old', 2);
+    await saveChunks(adapter, 'new', 1);
+    await adapter.saveFile(file('f1', 'old'));
+    await adapter.saveFile(file('f1', 'new'));
+    assertEqual(await adapter.getChunk('old', 0), null, 'old chunks kept');
+    assert(await adapter.getChunk('new', 0), 'new chunks lost');
+  });
+
+  test('overwriting with a version keeps the old chunks', async (adapter) => {
+    await saveChunks(adapter, 'old', 1);
+    await saveChunks(adapter, 'new', 1);
+    await adapter.saveFile(file('f1', 'old'));
+    await adapter.saveFile(file('f1', 'new'), { version: file('v1', 'old', { fileId: 'f1' }) });
+    assert(await adapter.getChunk('old', 0), 'version chunks lost');
+    assertEqual(ids(await adapter.getVersions('f1')), ['v1'], 'versions');
+  });
+
+  test('a version of another file is refused', async (adapter) => {
+    let failed = false;
+    try {
+      await adapter.saveFile(file('f1', 'c1'), { version: file('v1', 'c0', { fileId: 'f2' }) });
+    } catch (err) {
+      failed = true;
+    }
+    assert(failed, 'saved anyway');
+  });
+
+  test('deleteFile removes its chunks and versions', async (adapter) => {
+    await saveChunks(adapter, 'c1', 1);
+    await saveChunks(adapter, 'c0', 1);
+    await saveChunks(adapter, 'keep', 1);
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.saveFile(file('f2', 'keep'));
+    await adapter.saveVersion(file('v1', 'c0', { fileId: 'f1' }));
+    await adapter.deleteFile('f1');
+    assertEqual(await adapter.getFile('f1'), null, 'file');
+    assertEqual(await adapter.getAllVersions(), [], 'versions');
+    assertEqual(await adapter.getChunk('c1', 0), null, 'file chunks');
+    assertEqual(await adapter.getChunk('c0', 0), null, 'version chunks');
+    assert(await adapter.getChunk('keep', 0), 'other chunks lost');
+  });
+
+  test('versions: list, delete and restore', async (adapter) => {
+    await saveChunks(adapter, 'c0', 1);
+    await saveChunks(adapter, 'c1', 1);
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.saveVersion(file('v1', 'c0', { fileId: 'f1' }));
+    await adapter.saveVersion(file('v2', 'cx', { fileId: 'f9' }));
+    assertEqual(ids(await adapter.getVersions('f1')), ['v1'], 'versions of f1');
+    assertEqual(ids(await adapter.getAllVersions()), ['v1', 'v2'], 'all versions');
+
+    await adapter.restoreVersion('v1', file('f1', 'c0'), file('v3', 'c1', { fileId: 'f1' }));
+    assertEqual((await adapter.getFile('f1')).contentId, 'c0', 'restored content');
+    assertEqual(ids(await adapter.getVersions('f1')), ['v3'], 'versions after restore');
+    assert(await adapter.getChunk('c0', 0) && await adapter.getChunk('c1', 0), 'restore lost chunks');
+
+    await adapter.deleteVersion('v3');
+    assertEqual(await adapter.getVersions('f1'), [], 'versions after delete');
+    assertEqual(await adapter.getChunk('c1', 0), null, 'deleted version chunks');
+  });
+
+  // --- Trash and quarantine ---
+
+  test('trash: move, restore and purge', async (adapter) => {
+    await saveChunks(adapter, 'c1', 1);
+    await saveChunks(adapter, 'c0', 1);
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.saveVersion(file('v1', 'c0', { fileId: 'f1' }));
+    await adapter.saveFolder({ id: 'd1', header: {} });
+
+    await adapter.trashRecords([{ kind: 'file', record: file('f1', 'c1') }, { kind: 'folder', record: { id: 'd1', header: {} } }]);
+    assertEqual(await adapter.getAllFiles(), [], 'files after trashing');
+    assertEqual(await adapter.getAllFolders(), [], 'folders after trashing');
+    assertEqual((await adapter.getTrash()).map(t => `${t.id}:${t.kind}`).sort(), ['d1:folder', 'f1:file'], 'trash');
+    assert(await adapter.getChunk('c1', 0), 'trashed file lost its chunks');
+
+    await adapter.restoreTrash([{ kind: 'folder', record: { id: 'd1', header: {} } }]);
+    assertEqual(ids(await adapter.getAllFolders()), ['d1'], 'restored folder');
+
+    await adapter.purgeTrash(['f1']);
+    assertEqual(await adapter.getTrash(), [], 'trash after purge');
+    assertEqual(await adapter.getAllVersions(), [], 'versions after purge');
+    assertEqual(await adapter.getChunk('c1', 0), null, 'purged chunks');
+    assertEqual(await adapter.getChunk('c0', 0), null, 'purged version chunks');
+
+    await adapter.saveTrash({ ...file('f2', 'c2'), kind: 'file' });
+    assertEqual(ids(await adapter.getTrash()), ['f2'], 'saveTrash');
+  });
+
+  test('quarantine: move, release and delete', async (adapter) => {
+    await saveChunks(adapter, 'c1', 1);
+    await saveChunks(adapter, 'shared', 1);
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.saveFile(file('f2', 'shared'));
+    await adapter.saveFile(file('f3', 'shared'));
+
+    await adapter.quarantineRecord('files', file('f1', 'c1'), 'tampered');
+    const [entry] = await adapter.getQuarantine();
+    assertEqual([entry.id, entry.source, entry.reason, entry.record.id], ['f1', 'files', 'tampered', 'f1'], 'entry');
+    assertEqual(await adapter.getFile('f1'), null, 'quarantined file still listed');
+    await adapter.releaseQuarantined('f1');
+    assert(await adapter.getFile('f1'), 'released file missing');
+
+    await adapter.quarantineRecord('files', file('f1', 'c1'), 'tampered');
+    await adapter.deleteQuarantined('f1');
+    assertEqual(await adapter.getChunk('c1', 0), null, 'deleted chunks');
+
+    await adapter.quarantineRecord('files', file('f2', 'shared'), 'mismatched');
+    await adapter.deleteQuarantined('f2');
+    assert(await adapter.getChunk('shared', 0), 'chunks still used by f3 were deleted');
+
+    const kept = { id: 'q1', source: 'versions', reason: 'corrupt', quarantinedAt: '2020-01-01T00:00:00.000Z', record: file('q1', 'cq') };
+    await adapter.saveQuarantined(kept);
+    assertEqual(await adapter.getQuarantine(), [kept], 'saveQuarantined');
+  });
+
+  // --- Folders, meta and whole-store operations ---
+
+  test('folders and meta records', async (adapter) => {
+    await adapter.saveFolder({ id: 'd1', header: { data: 'x' } });
+    await adapter.saveFolder({ id: 'd2', header: { data: 'y' } });
+    await adapter.deleteFolder('d1');
+    assertEqual(await adapter.getAllFolders(), [{ id: 'd2', header: { data: 'y' } }], 'folders');
+
+    await adapter.saveMeta({ id: 'vault', salt: 'abc' });
+    await adapter.saveMeta({ id: 'draft', header: {} });
+    assertEqual(await adapter.getMeta('vault'), { id: 'vault', salt: 'abc' }, 'meta');
+    assertEqual(await adapter.getMeta('nope'), null, 'missing meta');
+    await adapter.deleteMeta('draft');
+    await adapter.deleteMeta('nope');
+    assertEqual(ids(await adapter.getAllMeta()), ['vault'], 'meta after delete');
+  });
+
+  test('putRecord and deleteRecord touch one record only', async (adapter) => {
+    await saveChunks(adapter, 'c1', 2);
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.saveVersion({ ...file('v1', 'c2'), fileId: 'f1' });
+    await adapter.putRecord('files', file('f1', 'c3'));
+    assertEqual(await adapter.getFile('f1'), file('f1', 'c3'), 'put file');
+    assert(await adapter.getChunk('c1', 1), 'putRecord dropped the old chunks');
+
+    await adapter.deleteRecord('files', 'f1');
+    assertEqual(await adapter.getFile('f1'), null, 'deleted file');
+    assertEqual(ids(await adapter.getAllVersions()), ['v1'], 'deleteRecord removed versions');
+    assert(await adapter.getChunk('c1', 0), 'deleteRecord dropped chunks');
+
+    for (const store of ['folders', 'versions', 'trash', 'quarantine', 'meta']) {
+      await adapter.putRecord(store, { id: `${store}-1`, fileId: 'f1', kind: 'file', source: 'files' });
+    }
+    assertEqual(ids(await adapter.getAllFolders()), ['folders-1'], 'put folder');
+    assertEqual(ids(await adapter.getVersions('f1')), ['v1', 'versions-1'], 'put version');
+    assertEqual(ids(await adapter.getTrash()), ['trash-1'], 'put trash');
+    assertEqual(ids(await adapter.getQuarantine()), ['quarantine-1'], 'put quarantine');
+    assertEqual(ids(await adapter.getAllMeta()), ['meta-1'], 'put meta');
+    await adapter.deleteRecord('meta', 'meta-1');
+    await adapter.deleteRecord('meta', 'nope');
+    assertEqual(await adapter.getAllMeta(), [], 'deleted meta');
+
+    let failed = false;
+    try {
+      await adapter.putRecord('chunks', { id: 'x' });
+    } catch (err) {
+      failed = true;
+    }
+    assert(failed, 'putRecord accepted an unknown store');
+  });
+
+  test('records without an id are refused', async (adapter) => {
+    for (const [name, call] of [
+      ['saveFile', () => adapter.saveFile({})],
+      ['saveFolder', () => adapter.saveFolder({})],
+      ['saveMeta', () => adapter.saveMeta({})],
+      ['saveVersion', () => adapter.saveVersion({ id: 'v' })],
+      ['saveTrash', () => adapter.saveTrash({ id: 't' })],
+      ['putRecord', () => adapter.putRecord('files', {})],
+    ]) {
+      let failed = false;
+      try {
+        await call();
+      } catch (err) {
+        failed = true;
+      }
+      assert(failed, `${name} accepted an invalid record`);
+    }
+  });
+
+  test('clearAll empties every store', async (adapter) => {
+    await saveChunks(adapter, 'c1', 2);
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.saveFolder({ id: 'd1', header: {} });
+    await adapter.saveMeta({ id: 'vault' });
+    await adapter.saveTrash({ ...file('t1', 'c9'), kind: 'file' });
+    await adapter.clearAll();
+    assertEqual(await adapter.getAllFiles(), [], 'files');
+    assertEqual(await adapter.getAllFolders(), [], 'folders');
+    assertEqual(await adapter.getAllMeta(), [], 'meta');
+    assertEqual(await adapter.getTrash(), [], 'trash');
+    assertEqual(await adapter.getChunk('c1', 0), null, 'chunks');
+    assertEqual((await adapter.getChunkUsage()).size, 0, 'chunk usage');
+  });
+
+  test('data survives closing and reopening', async (adapter, reopen) => {
+    const saved = chunk('c1', 0, 64);
+    await adapter.saveChunk(saved);
+    await adapter.saveFile(file('f1', 'c1'));
+    adapter.close();
+    const again = reopen();
+    assertEqual(ids(await again.getAllFiles()), ['f1'], 'files');
+    assert(sameBytes((await again.getChunk('c1', 0)).data, saved.data), 'chunk');
+    again.close();
+  });
+
+  test('destroy removes everything', async (adapter, reopen) => {
+    await saveChunks(adapter, 'c1', 1);
+    await adapter.saveFile(file('f1', 'c1'));
+    await adapter.destroy();
+    const again = reopen();
+    assertEqual(await again.getAllFiles(), [], 'files');
+    assertEqual(await again.getChunk('c1', 0), null, 'chunks');
+    await again.destroy();
+  });
+
+  /* Run every test against one backend; onResult({ backend, name, ok, error }) is called
+     per test. Returns { passed, failed } */
+  async function run(backendId, onResult = () => {}) {
+    const backend = window.StorageAdapters[backendId];
+    let passed = 0;
+    let failed = 0;
+    for (const { name, fn } of tests) {
+      const storeName = `efs-conformance-${backendId}-${Math.random().toString(36).slice(2)}`;
+      const adapter = backend.open(storeName);
+      try {
+        await fn(adapter, () => backend.open(storeName));
+        passed++;
+        onResult({ backend: backendId, name, ok: true });
+      } catch (err) {
+        failed++;
+        onResult({ backend: backendId, name, ok: false, error: err });
+      } finally {
+        await backend.open(storeName).destroy();
+      }
+    }
+    return { passed, failed };
+  }
+
+  window.StorageConformance = {
+    run, // (backendId, onResult) => { passed, failed }
+  };
+})();
@@ -0,0 +1,268 @@
+/* vault-archive.js
+   Portable vault archive for EFS Explorer (export / import).
+   Layout (integers are big-endian uint32 unless noted):
+     "EFSVAULT"                    8-byte magic
+     length + header JSON          format version, KDF parameters, wrapped keys, counts
+     sections ...                  uint8 type, length, payload
+     END section                   type 0, length 0
+     tag                           32-byte HMAC-SHA256 (see below)
+   The tag authenticates the whole archive: every unit above (magic + header, then each
+   section) is folded into a SHA-256 chain, and the final digest is signed with a random
+   HMAC key that is stored wrapped under the vault master key.
+   Records are copied exactly as stored, so contents, names and folders stay encrypted
+   and the archive can be kept on untrusted media. Opening it needs the password (and
+   keyfile, if any) the vault had when it was exported.
+   Uses window.CryptoHelper, window.DB and window.SyncEngine. Exposes: window.VaultArchive
+*/
+
+(() => {
+  const MAGIC = 'EFSVAULT';
+  const FORMAT = 'efs-vault-archive';
+  const FORMAT_VERSION = 1;
+  const TAG_LENGTH = 32; // bytes (HMAC-SHA256)
+  const MAX_SECTION = 64 * 1024 * 1024; // sanity limit for a single section
+  const BLOB_PART = 16 * 1024 * 1024; // the archive is folded into Blobs this large, so the browser can page it out
+
+  const SECTION_END = 0;
+  const SECTION_META = 1;
+  const SECTION_FOLDER = 2;
+  const SECTION_FILE = 3;
+  const SECTION_CHUNK = 4;
+  const SECTION_VERSION = 5;
+  const SECTION_TRASH = 6;
+
+  const ab2base64 = CryptoHelper._ab2base64;
+  const base642ab = CryptoHelper._base642ab;
+
+  /* JSON with ArrayBuffers (sealed headers, IVs) encoded as { $b64: <base64> } */
+  function encodeJson(value) {
+    const json = JSON.stringify(value, (key, v) => {
+      if (v instanceof ArrayBuffer) return { $b64: ab2base64(v) };
+      if (ArrayBuffer.isView(v)) return { $b64: ab2base64(v.buffer.slice(v.byteOffset, v.byteOffset + v.byteLength)) };
+      return v;
+    });
+    return new TextEncoder().encode(json);
+  }
+
+  function decodeJson(bytes) {
+    return JSON.parse(new TextDecoder().decode(bytes), (key, v) => {
+      if (v && typeof v === 'object' && typeof v.$b64 === 'string') return base642ab(v.$b64);
+      return v;
+    });
+  }
+
+  function uint32(n) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, n);
+    return out;
+  }
+
+  function concat(...arrays) {
+    const total = arrays.reduce((sum, a) => sum + a.byteLength, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const a of arrays) {
+      out.set(new Uint8Array(a), offset);
+      offset += a.byteLength;
+    }
+    return out;
+  }
+
+  function section(type, payload) {
+    return concat(new Uint8Array([type]), uint32(payload.byteLength), payload);
+  }
+
+  /* Chunk payload: JSON descriptor ({ contentId, index, iv }) followed by the raw ciphertext */
+  function chunkPayload(chunk) {
+    const json = encodeJson({ contentId: chunk.contentId, index: chunk.index, iv: chunk.iv });
+    return concat(uint32(json.byteLength), json, chunk.data);
+  }
+
+  /* Build an archive of the whole vault.
+     vaultKey: the stored vault key record ({ id, kdf, iv, wrappedKey });
+     masterKey: the unlocked master key (wraps the archive's integrity key).
+     Returns a Blob. */
+  async function exportVault({ masterKey, vaultKey }) {
+    // the sync state stays with this device (it holds the sync server's access token)
+    const metas = (await DB.getAllMeta()).filter(m => m.id !== vaultKey.id && m.id !== SyncEngine.STATE_ID);
+    const folders = await DB.getAllFolders();
+    const files = await DB.getAllFiles();
+    const versions = await DB.getAllVersions();
+    const trash = await DB.getTrash();
+    const macKey = await CryptoHelper.generateMacKey();
+
+    const header = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      kdf: vaultKey.kdf,
+      vaultKey: { id: vaultKey.id, iv: vaultKey.iv, wrappedKey: vaultKey.wrappedKey },
+      macKey: await CryptoHelper.wrapMacKey(macKey, masterKey),
+      counts: { meta: metas.length, folders: folders.length, files: files.length, versions: versions.length,
+        trash: trash.length }
+    };
+
+    const blobs = [];
+    let pending = [];
+    let pendingBytes = 0;
+    let digest = new ArrayBuffer(32);
+    async function push(bytes) {
+      digest = await CryptoHelper.chainHash(digest, bytes);
+      pending.push(bytes);
+      pendingBytes += bytes.byteLength;
+      if (pendingBytes >= BLOB_PART) {
+        blobs.push(new Blob(pending));
+        pending = [];
+        pendingBytes = 0;
+      }
+    }
+
+    const headerBytes = encodeJson(header);
+    await push(concat(new TextEncoder().encode(MAGIC), uint32(headerBytes.byteLength), headerBytes));
+    for (const meta of metas) await push(section(SECTION_META, encodeJson(meta)));
+    for (const folder of folders) await push(section(SECTION_FOLDER, encodeJson(folder)));
+    const records = files.map(file => [SECTION_FILE, file])
+      .concat(versions.map(v => [SECTION_VERSION, v]), trash.map(item => [SECTION_TRASH, item]));
+    for (const [type, file] of records) {
+      await push(section(type, encodeJson(file)));
+      for (let index = 0; file.contentId && index < file.chunkCount; index++) {
+        const chunk = await DB.getChunk(file.contentId, index);
+        if (!chunk) throw new Error(`Vault is missing chunk ${index + 1} of a file; export aborted.`);
+        await push(section(SECTION_CHUNK, chunkPayload(chunk)));
+      }
+    }
+    await push(section(SECTION_END, new Uint8Array(0)));
+    pending.push(await CryptoHelper.signBuffer(macKey, digest));
+
+    return new Blob([...blobs, ...pending], { type: 'application/octet-stream' });
+  }
+
+  async function readBytes(blob, start, length) {
+    if (start + length > blob.size) throw new Error('Archive is truncated.');
+    return new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+  }
+
+  /* Parse and verify an archive. Throws on a wrong password or keyfile (a digest, see
+     CryptoHelper.hashKeyfile), unknown format or a bad tag.
+     Chunk data is not kept in memory: the returned getChunk(contentId, index) re-reads it
+     from the (immutable) file after the whole archive has been verified.
+     Returns { header, masterKey, vaultKey, metas, folders, files, versions, trash, getChunk } */
+  async function readArchive(blob, password, keyfile = null) {
+    const magic = new TextDecoder().decode(await readBytes(blob, 0, MAGIC.length));
+    if (magic !== MAGIC) throw new Error('Not an EFS vault archive.');
+    const headerLength = new DataView((await readBytes(blob, MAGIC.length, 4)).buffer).getUint32(0);
+    if (headerLength > MAX_SECTION) throw new Error('Archive header is corrupted.');
+    const headerBytes = await readBytes(blob, MAGIC.length + 4, headerLength);
+    const header = decodeJson(headerBytes);
+    if (header.format !== FORMAT) throw new Error('Not an EFS vault archive.');
+    if (header.version !== FORMAT_VERSION) throw new Error(`Unsupported archive version ${header.version}.`);
+
+    const vaultKey = { ...header.vaultKey, kdf: header.kdf };
+    const masterKey = await CryptoHelper.unwrapMasterKey(vaultKey, password, keyfile); // throws on wrong password
+    const macKey = await CryptoHelper.unwrapMacKey(header.macKey, masterKey);
+
+    let digest = await CryptoHelper.chainHash(new ArrayBuffer(32),
+      concat(await readBytes(blob, 0, MAGIC.length + 4), headerBytes));
+    const metas = [];
+    const folders = [];
+    const files = [];
+    const versions = [];
+    const trash = [];
+    const chunkIndex = new Map(); // "contentId:index" -> { offset, length, iv }
+
+    let offset = MAGIC.length + 4 + headerLength;
+    for (;;) {
+      const prefix = await readBytes(blob, offset, 5);
+      const type = prefix[0];
+      const length = new DataView(prefix.buffer).getUint32(1);
+      if (length > MAX_SECTION) throw new Error('Archive section is corrupted.');
+      const payload = await readBytes(blob, offset + 5, length);
+      digest = await CryptoHelper.chainHash(digest, concat(prefix, payload));
+
+      if (type === SECTION_END) {
+        offset += 5;
+        break;
+      } else if (type === SECTION_META) {
+        metas.push(decodeJson(payload));
+      } else if (type === SECTION_FOLDER) {
+        folders.push(decodeJson(payload));
+      } else if (type === SECTION_FILE) {
+        files.push(decodeJson(payload));
+      } else if (type === SECTION_VERSION) {
+        versions.push(decodeJson(payload));
+      } else if (type === SECTION_TRASH) {
+        trash.push(decodeJson(payload));
+      } else if (type === SECTION_CHUNK) {
+        const jsonLength = new DataView(payload.buffer).getUint32(0);
+        const desc = decodeJson(payload.subarray(4, 4 + jsonLength));
+        chunkIndex.set(`${desc.contentId}:${desc.index}`, {
+          offset: offset + 5 + 4 + jsonLength,
+          length: length - 4 - jsonLength,
+          iv: desc.iv
+        });
+      } else {
+        throw new Error(`Unknown archive section type ${type}.`);
+      }
+      offset += 5 + length;
+    }
+
+    if (blob.size !== offset + TAG_LENGTH) throw new Error('Archive has trailing or missing data.');
+    const tag = await readBytes(blob, offset, TAG_LENGTH);
+    if (!(await CryptoHelper.verifyBuffer(macKey, tag, digest))) {
+      throw new Error('Archive integrity check failed. The file was modified or is corrupted.');
+    }
+
+    async function getChunk(contentId, index) {
+      const entry = chunkIndex.get(`${contentId}:${index}`);
+      if (!entry) return null;
+      const data = (await readBytes(blob, entry.offset, entry.length)).buffer;
+      return { contentId, index, iv: entry.iv, data };
+    }
+
+    return { header, masterKey, vaultKey, metas, folders, files, versions, trash, getChunk };
+  }
+
+  /* Replace the current vault with a verified archive: every record, version, trash item,
+     chunk and meta record (including the wrapped master key) is written as-is. The caller clears
+     the vault first. */
+  async function restoreArchive(archive) {
+    async function restoreChunks(record) {
+      for (let index = 0; record.contentId && index < record.chunkCount; index++) {
+        const chunk = await archive.getChunk(record.contentId, index);
+        if (!chunk) throw new Error('Archive is missing file chunks.');
+        await DB.saveChunk(chunk);
+      }
+    }
+
+    await DB.saveMeta(archive.vaultKey);
+    for (const meta of archive.metas) await DB.saveMeta(meta);
+    for (const folder of archive.folders) await DB.saveFolder(folder);
+    for (const file of archive.files) {
+      await restoreChunks(file);
+      await DB.saveFile(file);
+    }
+    for (const version of archive.versions) {
+      await restoreChunks(version);
+      await DB.saveVersion(version);
+    }
+    for (const item of archive.trash) {
+      await restoreChunks(item);
+      await DB.saveTrash(item);
+    }
+  }
+
+  window.VaultArchive = {
+    FILE_EXTENSION: '.efsvault',
+    exportVault,    // ({ masterKey, vaultKey }) => Blob
+    readArchive,    // (Blob, password, keyfileDigest?) => verified archive
+    restoreArchive, // (archive) => writes it into the (cleared) vault
+    // framing helpers, shared with share-package.js
+    _encodeJson: encodeJson,
+    _decodeJson: decodeJson,
+    _uint32: uint32,
+    _concat: concat,
+    _section: section,
+    _chunkPayload: chunkPayload,
+    _readBytes: readBytes,
+  };
+})();
@@ -0,0 +1,254 @@
+/* zip-writer.js
+   Streaming ZIP writer for EFS Explorer (multi-file downloads).
+   Entries are stored without compression and written as they are produced: a local
+   header first, then the data, then a data descriptor with the CRC-32 and sizes (flag
+   bit 3), so no entry ever has to be held in memory. Names are UTF-8 (flag bit 11).
+   ZIP64 fields are added where a size, offset or entry count does not fit the classic
+   format, so archives over 4 GiB work as well.
+   Exposes: window.ZipWriter
+*/
+
+(() => {
+  const LOCAL_HEADER = 0x04034b50;
+  const DATA_DESCRIPTOR = 0x08074b50;
+  const CENTRAL_HEADER = 0x02014b50;
+  const ZIP64_END = 0x06064b50;
+  const ZIP64_LOCATOR = 0x07064b50;
+  const END_OF_CENTRAL = 0x06054b50;
+  const ZIP64_EXTRA = 0x0001;
+
+  const FLAGS = 0x0808; // data descriptor + UTF-8 names
+  const VERSION = 20;
+  const VERSION_ZIP64 = 45;
+  const MAX_32 = 0xffffffff;
+  const MAX_16 = 0xffff;
+  const DIRECTORY_ATTR = 0x10; // MS-DOS directory attribute
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /* Continue a CRC-32 over more bytes (start with crc = 0) */
+  function crc32(crc, bytes) {
+    let c = crc ^ MAX_32;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ MAX_32) >>> 0;
+  }
+
+  /* Little-endian record builder */
+  function record(size) {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    return {
+      bytes,
+      u16(value) { view.setUint16(offset, value, true); offset += 2; return this; },
+      u32(value) { view.setUint32(offset, value, true); offset += 4; return this; },
+      u64(value) {
+        view.setUint32(offset, value % 0x100000000, true);
+        view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+        offset += 8;
+        return this;
+      },
+      raw(data) { bytes.set(data, offset); offset += data.length; return this; }
+    };
+  }
+
+  /* MS-DOS date and time fields (local time, 2-second resolution, 1980 at the earliest) */
+  function dosDateTime(date) {
+    const d = date instanceof Date && !isNaN(date) ? date : new Date();
+    if (d.getFullYear() < 1980) return { time: 0, date: (1 << 5) | 1 };
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  /* Start a ZIP written through `write(Uint8Array) => Promise`. Entries are added one at
+     a time; call close() once to write the central directory. */
+  function create(write) {
+    const entries = [];
+    let offset = 0;
+    let busy = false;
+    let closed = false;
+
+    async function emit(bytes) {
+      await write(bytes);
+      offset += bytes.length;
+    }
+
+    function begin() {
+      if (closed) throw new Error('ZIP archive is already closed');
+      if (busy) throw new Error('Previous ZIP entry is still being written');
+      busy = true;
+    }
+
+    async function localHeader(entry) {
+      const extra = entry.zip64 ? record(20).u16(ZIP64_EXTRA).u16(16).u64(0).u64(0).bytes : new Uint8Array(0);
+      await emit(record(30 + entry.name.length + extra.length)
+        .u32(LOCAL_HEADER)
+        .u16(entry.zip64 ? VERSION_ZIP64 : VERSION)
+        .u16(FLAGS)
+        .u16(0) // stored
+        .u16(entry.dos.time)
+        .u16(entry.dos.date)
+        .u32(0) // CRC and sizes follow in the data descriptor
+        .u32(entry.zip64 ? MAX_32 : 0)
+        .u32(entry.zip64 ? MAX_32 : 0)
+        .u16(entry.name.length)
+        .u16(extra.length)
+        .raw(entry.name)
+        .raw(extra)
+        .bytes);
+    }
+
+    /* Add a file. `produce(push)` calls push(ArrayBuffer | Uint8Array) for each piece of
+       data. `size` is the expected size (it decides whether ZIP64 fields are needed).
+       If produce throws, the entry is still closed properly (holding whatever was written
+       so far) and the error is rethrown, so the archive stays valid. */
+    async function addFile(name, { date, size = 0 } = {}, produce) {
+      begin();
+      const entry = {
+        name: new TextEncoder().encode(name),
+        dos: dosDateTime(date),
+        offset,
+        zip64: size >= MAX_32 || offset >= MAX_32,
+        crc: 0,
+        size: 0,
+        directory: false
+      };
+      try {
+        await localHeader(entry);
+        let failure = null;
+        try {
+          await produce(async (data) => {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            entry.crc = crc32(entry.crc, bytes);
+            entry.size += bytes.length;
+            if (!entry.zip64 && entry.size >= MAX_32) throw new Error(`${name} is larger than announced`);
+            await emit(bytes);
+          });
+        } catch (err) {
+          failure = err;
+        }
+        const descriptor = entry.zip64
+          ? record(24).u32(DATA_DESCRIPTOR).u32(entry.crc).u64(entry.size).u64(entry.size)
+          : record(16).u32(DATA_DESCRIPTOR).u32(entry.crc).u32(entry.size).u32(entry.size);
+        await emit(descriptor.bytes);
+        entries.push(entry);
+        if (failure) throw failure;
+      } finally {
+        busy = false;
+      }
+    }
+
+    /* Add an (empty) directory entry; `name` should end with "/" */
+    async function addDirectory(name, { date } = {}) {
+      begin();
+      const entry = {
+        name: new TextEncoder().encode(name.endsWith('/') ? name : `${name}/`),
+        dos: dosDateTime(date),
+        offset,
+        zip64: offset >= MAX_32,
+        crc: 0,
+        size: 0,
+        directory: true
+      };
+      try {
+        await localHeader(entry);
+        await emit(record(16).u32(DATA_DESCRIPTOR).u32(0).u32(0).u32(0).bytes);
+        entries.push(entry);
+      } finally {
+        busy = false;
+      }
+    }
+
+    function centralHeader(entry) {
+      // ZIP64 extra: sizes when the entry uses ZIP64, offset when it is past 4 GiB
+      const large = entry.zip64 || entry.size >= MAX_32;
+      const farOffset = entry.offset >= MAX_32;
+      const fields = (large ? 2 : 0) + (farOffset ? 1 : 0);
+      let extra = new Uint8Array(0);
+      if (fields) {
+        const r = record(4 + fields * 8).u16(ZIP64_EXTRA).u16(fields * 8);
+        if (large) r.u64(entry.size).u64(entry.size);
+        if (farOffset) r.u64(entry.offset);
+        extra = r.bytes;
+      }
+      const version = fields ? VERSION_ZIP64 : VERSION;
+      return record(46 + entry.name.length + extra.length)
+        .u32(CENTRAL_HEADER)
+        .u16(version) // made by (MS-DOS attributes)
+        .u16(version)
+        .u16(FLAGS)
+        .u16(0)
+        .u16(entry.dos.time)
+        .u16(entry.dos.date)
+        .u32(entry.crc)
+        .u32(large ? MAX_32 : entry.size)
+        .u32(large ? MAX_32 : entry.size)
+        .u16(entry.name.length)
+        .u16(extra.length)
+        .u16(0) // comment
+        .u16(0) // disk
+        .u16(0) // internal attributes
+        .u32(entry.directory ? DIRECTORY_ATTR : 0)
+        .u32(farOffset ? MAX_32 : entry.offset)
+        .raw(entry.name)
+        .raw(extra)
+        .bytes;
+    }
+
+    /* Write the central directory and end records. Returns the total archive size. */
+    async function close() {
+      begin();
+      closed = true;
+      const start = offset;
+      for (const entry of entries) await emit(centralHeader(entry));
+      const size = offset - start;
+
+      const zip64 = entries.length >= MAX_16 || start >= MAX_32 || size >= MAX_32;
+      if (zip64) {
+        const end64 = offset;
+        await emit(record(56)
+          .u32(ZIP64_END)
+          .u64(44) // size of the rest of this record
+          .u16(VERSION_ZIP64)
+          .u16(VERSION_ZIP64)
+          .u32(0)
+          .u32(0)
+          .u64(entries.length)
+          .u64(entries.length)
+          .u64(size)
+          .u64(start)
+          .bytes);
+        await emit(record(20).u32(ZIP64_LOCATOR).u32(0).u64(end64).u32(1).bytes);
+      }
+      await emit(record(22)
+        .u32(END_OF_CENTRAL)
+        .u16(0)
+        .u16(0)
+        .u16(zip64 ? MAX_16 : entries.length)
+        .u16(zip64 ? MAX_16 : entries.length)
+        .u32(zip64 ? MAX_32 : size)
+        .u32(zip64 ? MAX_32 : start)
+        .u16(0)
+        .bytes);
+      busy = false;
+      return offset;
+    }
+
+    return { addFile, addDirectory, close };
+  }
+
+  window.ZipWriter = {
+    create, // (write: Uint8Array => Promise) => { addFile, addDirectory, close }
+    crc32,  // (crc, Uint8Array) => crc, for incremental checks
+  };
+})();